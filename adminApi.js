@@ -0,0 +1,334 @@
+// Admin REST API
+// Routes for listing, reading and deleting stored conversations, viewing their usage, downloading
+// feedback and audit logs and managing IRS disaster-relief deadline postponements. Requests are
+// authenticated with an API key (x-api-key header) or a Microsoft Entra access token
+// (Authorization: Bearer). Everything goes through storageService, so the
+// API works the same against local file storage and Azure Blob Storage.
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const storageService = require('./storageService');
+const { STORAGE_ERROR_CODES } = require('./storageAdapters/storageError');
+const { listFeedback, feedbackToCsv, FEEDBACK_RATINGS } = require('./feedbackLog');
+const { recordAuditEvent, listAuditEvents } = require('./auditLog');
+const { getConversationUsage } = require('./usageTracker');
+const { deleteConversationRecords } = require('./dataRetention');
+const { isValidOverrideId, validateDeadlineOverride, listDeadlineOverrides, saveDeadlineOverride, deleteDeadlineOverride } = require('./deadlineReminders');
+
+// How long Entra signing keys are cached before they are fetched again
+const SIGNING_KEY_CACHE_MS = 24 * 60 * 60 * 1000;
+let signingKeys = null;
+let signingKeysFetchedAt = 0;
+
+/**
+ * Check whether admin authentication is configured
+ * @returns {boolean} - True if an API key or Entra tenant is configured
+ */
+function isAdminApiEnabled() {
+  return !!(process.env.ADMIN_API_KEY || process.env.ADMIN_ENTRA_TENANT_ID);
+}
+
+/**
+ * Check the admin authentication settings
+ * Without an audience, jsonwebtoken skips the audience check and any token the tenant issued for any app would be accepted
+ * @throws {Error} If ADMIN_ENTRA_TENANT_ID is set without ADMIN_ENTRA_AUDIENCE
+ */
+function validateAdminConfig() {
+  if (process.env.ADMIN_ENTRA_TENANT_ID && !process.env.ADMIN_ENTRA_AUDIENCE) {
+    throw new Error('ADMIN_ENTRA_TENANT_ID is set without ADMIN_ENTRA_AUDIENCE. Set the audience (the admin API\'s application ID URI or client ID) to accept Entra tokens.');
+  }
+}
+
+/**
+ * Compare an API key with the configured key in constant time
+ * @param {string} apiKey - The key sent with the request
+ * @returns {boolean} - True if the key matches
+ */
+function isValidApiKey(apiKey) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected || !apiKey) {
+    return false;
+  }
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(apiKey);
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Get the public key Entra signed a token with
+ * @param {string} keyId - The kid from the token header
+ * @returns {Promise<KeyObject>} - The public key
+ */
+async function getSigningKey(keyId) {
+  const expired = Date.now() - signingKeysFetchedAt > SIGNING_KEY_CACHE_MS;
+  if (!signingKeys || expired || !signingKeys.some(key => key.kid === keyId)) {
+    const tenantId = process.env.ADMIN_ENTRA_TENANT_ID;
+    const response = await axios.get(`https://login.microsoftonline.com/${tenantId}/discovery/v2.0/keys`);
+    signingKeys = response.data.keys;
+    signingKeysFetchedAt = Date.now();
+  }
+
+  const jwk = signingKeys.find(key => key.kid === keyId);
+  if (!jwk) {
+    throw new Error(`Unknown signing key ${keyId}`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Verify a Microsoft Entra access token for the admin API
+ * The token must be issued by ADMIN_ENTRA_TENANT_ID for ADMIN_ENTRA_AUDIENCE and, if ADMIN_ENTRA_ROLE is set, carry that app role
+ * @param {string} token - The bearer token
+ * @returns {Promise<Object>} - The verified token claims
+ */
+async function verifyEntraToken(token) {
+  const tenantId = process.env.ADMIN_ENTRA_TENANT_ID;
+  const audience = process.env.ADMIN_ENTRA_AUDIENCE;
+  if (!audience) {
+    throw new Error('ADMIN_ENTRA_AUDIENCE is not set');
+  }
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw new Error('Malformed token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(token, key, {
+    algorithms: ['RS256'],
+    audience: audience,
+    issuer: [`https://login.microsoftonline.com/${tenantId}/v2.0`, `https://sts.windows.net/${tenantId}/`]
+  });
+
+  const requiredRole = process.env.ADMIN_ENTRA_ROLE;
+  if (requiredRole && !(claims.roles || []).includes(requiredRole)) {
+    throw new Error(`Token is missing the ${requiredRole} role`);
+  }
+  return claims;
+}
+
+/**
+ * Express middleware that authenticates admin requests and sets req.adminActor for the audit log
+ */
+async function requireAdmin(req, res, next) {
+  if (isValidApiKey(req.get('x-api-key'))) {
+    req.adminActor = 'api-key';
+    return next();
+  }
+
+  const authorization = req.get('authorization') || '';
+  if (process.env.ADMIN_ENTRA_TENANT_ID && authorization.startsWith('Bearer ')) {
+    try {
+      const claims = await verifyEntraToken(authorization.slice('Bearer '.length));
+      req.adminActor = claims.preferred_username || claims.upn || claims.oid || claims.appid || claims.azp;
+      return next();
+    } catch (error) {
+      console.warn(`Rejected admin API token: ${error.message}`);
+    }
+  }
+
+  res.status(401).json({ error: 'Unauthorized' });
+}
+
+/**
+ * Check whether a record name belongs to a conversation history
+ * Histories are stored at the top level; settings, profiles, feedback and audit records are in folders
+ * @param {string} name - The record name
+ * @returns {boolean} - True for conversation histories
+ */
+function isConversationRecord(name) {
+  return !name.includes('/');
+}
+
+/**
+ * Summarize a conversation history for the API
+ * @param {Object} bot - The TeamsBot instance, used to count tokens
+ * @param {string} conversationId - The conversation ID
+ * @param {Array} history - The conversation history
+ * @returns {Object} - Message counts, token usage and activity dates
+ */
+function summarizeConversation(bot, conversationId, history) {
+  const timestamps = history.map(message => message.timestamp).filter(Boolean).sort();
+  return {
+    conversationId: conversationId,
+    messageCount: history.length,
+    userMessageCount: history.filter(message => message.role === 'user').length,
+    assistantMessageCount: history.filter(message => message.role === 'assistant').length,
+    historyTokens: bot.countTokensInHistory(history),
+    maxHistoryTokens: bot.maxHistoryTokens,
+    firstActivity: timestamps[0] || null,
+    lastActivity: timestamps[timestamps.length - 1] || null
+  };
+}
+
+/**
+ * Send a list of records as a JSON or CSV download
+ * @param {Response} res - The Express response
+ * @param {string} name - The file name without extension
+ * @param {string} content - The file contents
+ * @param {string} format - "json" or "csv"
+ */
+function sendDownload(res, name, content, format) {
+  res.set('Content-Type', format === 'csv' ? 'text/csv' : 'application/json');
+  res.set('Content-Disposition', `attachment; filename="${name}.${format}"`);
+  res.send(content);
+}
+
+/**
+ * Create the admin API router, to be mounted at /api/admin
+ * @param {Object} bot - The TeamsBot instance
+ * @returns {Router} - The Express router
+ * @throws {Error} If Entra authentication is configured without an audience
+ */
+function createAdminRouter(bot) {
+  validateAdminConfig();
+  const router = express.Router();
+
+  // Without credentials configured, the admin API is switched off
+  router.use((req, res, next) => {
+    if (!isAdminApiEnabled()) {
+      return res.status(404).json({ error: 'The admin API is not enabled. Set ADMIN_API_KEY or ADMIN_ENTRA_TENANT_ID.' });
+    }
+    next();
+  });
+  router.use(requireAdmin);
+
+  // Only top-level conversation records can be addressed, which also keeps IDs from escaping the storage folder
+  router.param('conversationId', (req, res, next, conversationId) => {
+    if (!isConversationRecord(conversationId) || conversationId.includes('\\') || conversationId.startsWith('.')) {
+      return res.status(400).json({ error: 'Invalid conversation ID' });
+    }
+    next();
+  });
+  router.param('overrideId', (req, res, next, overrideId) => {
+    if (!isValidOverrideId(overrideId)) {
+      return res.status(400).json({ error: 'Invalid deadline override ID' });
+    }
+    next();
+  });
+
+  // List stored conversations with their message counts and token usage
+  router.get('/conversations', async (req, res) => {
+    const names = (await storageService.listRecords('')).filter(isConversationRecord);
+    const conversations = [];
+    for (const conversationId of names) {
+      // A record that can't be parsed is listed with its error instead of failing the whole list
+      try {
+        const history = await storageService.loadRecord(conversationId);
+        conversations.push(summarizeConversation(bot, conversationId, history || []));
+      } catch (error) {
+        if (error.code !== STORAGE_ERROR_CODES.CORRUPT_RECORD) {
+          throw error;
+        }
+        conversations.push({ conversationId: conversationId, error: error.message });
+      }
+    }
+
+    await recordAuditEvent({ actor: req.adminActor, action: 'conversation.list', details: { count: conversations.length } });
+    res.json({ conversations: conversations });
+  });
+
+  // Get a conversation's history and usage
+  router.get('/conversations/:conversationId', async (req, res) => {
+    const conversationId = req.params.conversationId;
+    const history = await storageService.loadRecord(conversationId);
+    if (!history) {
+      return res.status(404).json({ error: `Conversation ${conversationId} not found` });
+    }
+
+    await recordAuditEvent({ actor: req.adminActor, action: 'conversation.read', target: conversationId });
+    res.json({ ...summarizeConversation(bot, conversationId, history), history: history });
+  });
+
+  // Get a conversation's usage without the messages, including the tokens and estimated cost of its model calls
+  router.get('/conversations/:conversationId/usage', async (req, res) => {
+    const conversationId = req.params.conversationId;
+    const history = await storageService.loadRecord(conversationId);
+    if (!history) {
+      return res.status(404).json({ error: `Conversation ${conversationId} not found` });
+    }
+    const usage = await getConversationUsage(conversationId);
+    await recordAuditEvent({ actor: req.adminActor, action: 'conversation.usage.read', target: conversationId });
+    res.json({ ...summarizeConversation(bot, conversationId, history), usage: usage });
+  });
+
+  // Delete a conversation's history, settings, usage and activity records
+  router.delete('/conversations/:conversationId', async (req, res) => {
+    const conversationId = req.params.conversationId;
+    const deleted = await deleteConversationRecords(conversationId);
+    if (!deleted) {
+      return res.status(404).json({ error: `Conversation ${conversationId} not found` });
+    }
+
+    await recordAuditEvent({ actor: req.adminActor, action: 'conversation.delete', target: conversationId });
+    res.status(204).end();
+  });
+
+  // Download feedback, all of it or one rating (?rating=negative), as JSON or CSV (?format=csv)
+  router.get('/feedback', async (req, res) => {
+    const { rating, format = 'json' } = req.query;
+    if (rating && !Object.values(FEEDBACK_RATINGS).includes(rating)) {
+      return res.status(400).json({ error: `Unknown rating "${rating}". Use ${Object.values(FEEDBACK_RATINGS).join(' or ')}.` });
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: `Unsupported format "${format}". Use json or csv.` });
+    }
+
+    const records = await listFeedback(rating ? { rating: rating } : {});
+    await recordAuditEvent({ actor: req.adminActor, action: 'feedback.download', details: { rating: rating, count: records.length } });
+    sendDownload(res, `feedback-${rating || 'all'}`, format === 'csv' ? feedbackToCsv(records) : JSON.stringify(records, null, 2), format);
+  });
+
+  // Download the audit log, optionally limited to a date range (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+  router.get('/audit-logs', async (req, res) => {
+    const records = await listAuditEvents({ from: req.query.from, to: req.query.to });
+    await recordAuditEvent({ actor: req.adminActor, action: 'audit.download', details: { from: req.query.from, to: req.query.to, count: records.length } });
+    sendDownload(res, 'audit-log', JSON.stringify(records, null, 2), 'json');
+  });
+
+  // List the IRS disaster-relief postponements applied to deadline reminders
+  router.get('/deadline-overrides', async (req, res) => {
+    res.json({ overrides: await listDeadlineOverrides() });
+  });
+
+  // Add or replace a postponement, identified by its IRS announcement (e.g. CA-2025-01), with a body of
+  // { name, states, from, to, postponedTo }: deadlines from "from" to "to" are postponed to "postponedTo" in those states
+  router.put('/deadline-overrides/:overrideId', async (req, res) => {
+    try {
+      validateDeadlineOverride(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const override = await saveDeadlineOverride(req.params.overrideId, req.body);
+    await recordAuditEvent({ actor: req.adminActor, action: 'deadlineOverride.save', target: override.id, details: override });
+    res.json(override);
+  });
+
+  // Delete a postponement
+  router.delete('/deadline-overrides/:overrideId', async (req, res) => {
+    const overrideId = req.params.overrideId;
+    const deleted = await deleteDeadlineOverride(overrideId);
+    if (!deleted) {
+      return res.status(404).json({ error: `Deadline override ${overrideId} not found` });
+    }
+
+    await recordAuditEvent({ actor: req.adminActor, action: 'deadlineOverride.delete', target: overrideId });
+    res.status(204).end();
+  });
+
+  // Report storage errors as JSON instead of Express's HTML error page
+  router.use((error, req, res, next) => {
+    if (error.code === STORAGE_ERROR_CODES.INVALID_NAME) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Error handling admin API request ${req.method} ${req.originalUrl}:`, error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter
+};
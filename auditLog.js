@@ -0,0 +1,58 @@
+// Audit log
+// Records administrative actions (e.g. deleting a conversation or downloading feedback) so they can be reviewed later
+const crypto = require('crypto');
+const storageService = require('./storageService');
+
+// Prefix of the audit records in storage; records are grouped by day
+const AUDIT_PREFIX = 'audit/';
+
+/**
+ * Record an audit event
+ * @param {Object} event - { actor, action, target, details } describing who did what to which record
+ * @returns {Promise<Object>} - The saved audit record
+ */
+async function recordAuditEvent({ actor, action, target, details }) {
+  const timestamp = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    timestamp: timestamp,
+    actor: actor,
+    action: action,
+    target: target,
+    details: details
+  };
+
+  try {
+    await storageService.saveRecord(`${AUDIT_PREFIX}${timestamp.slice(0, 10)}/${timestamp.replace(/[:.]/g, '-')}-${record.id}`, record);
+  } catch (error) {
+    // Audit failures are logged rather than failing the action being audited
+    console.error(`Error saving audit event ${action}:`, error);
+  }
+  return record;
+}
+
+/**
+ * List audit events, oldest first
+ * @param {Object} [filter] - { from, to } as YYYY-MM-DD dates, inclusive
+ * @returns {Promise<Array<Object>>} - The audit records
+ */
+async function listAuditEvents(filter = {}) {
+  const names = await storageService.listRecords(AUDIT_PREFIX);
+  const records = [];
+  for (const name of names) {
+    const day = name.slice(AUDIT_PREFIX.length, AUDIT_PREFIX.length + 10);
+    if ((filter.from && day < filter.from) || (filter.to && day > filter.to)) {
+      continue;
+    }
+    const record = await storageService.loadRecord(name);
+    if (record) {
+      records.push(record);
+    }
+  }
+  return records;
+}
+
+module.exports = {
+  recordAuditEvent,
+  listAuditEvents
+};
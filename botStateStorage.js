@@ -0,0 +1,72 @@
+// Bot Framework state storage backed by the storage service
+// Implements the botbuilder Storage interface so ConversationState is kept in the configured storage backend
+// instead of process memory, which lets several instances of the bot serve the same conversations.
+// Each state object is saved as a "state/<key>" record, encrypted like any other record when encryption is enabled.
+const storageService = require('./storageService');
+
+const STATE_PREFIX = 'state/';
+
+/**
+ * Get the record name for a state key
+ * Bot state keys end in "/" (e.g. "msteams/conversations/<conversationId>/"), and record names can't have empty parts
+ * @param {string} key - The state key
+ * @returns {string} - The record name
+ */
+function getRecordName(key) {
+  return `${STATE_PREFIX}${key.split('/').filter(Boolean).join('/')}`;
+}
+
+class BotStateStorage {
+  /**
+   * Read state objects
+   * @param {Array<string>} keys - The state keys, e.g. "msteams/conversations/<conversationId>/"
+   * @returns {Promise<Object>} - The state objects that exist, by key, each with its eTag
+   */
+  async read(keys) {
+    const items = {};
+    for (const key of keys) {
+      const { data, eTag } = await storageService.loadRecordWithETag(getRecordName(key));
+      if (data) {
+        items[key] = { ...data.state, eTag: eTag };
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Write state objects
+   * An object with an eTag other than "*" is only written if it hasn't changed since it was read
+   * @param {Object} changes - The state objects to write, by key
+   * @throws {StorageError} PRECONDITION_FAILED if another instance changed the state in the meantime
+   */
+  async write(changes) {
+    for (const [key, item] of Object.entries(changes)) {
+      const { eTag, ...state } = item;
+      const options = eTag && eTag !== '*' ? { eTag: eTag } : {};
+      const newETag = await storageService.saveRecord(getRecordName(key), {
+        state: state,
+        updatedAt: new Date().toISOString()
+      }, options);
+
+      // Callers keep using the object they wrote, so give it the new eTag for their next write
+      if (eTag && eTag !== '*') {
+        item.eTag = newETag;
+      }
+    }
+  }
+
+  /**
+   * Delete state objects
+   * @param {Array<string>} keys - The state keys
+   */
+  async delete(keys) {
+    for (const key of keys) {
+      await storageService.deleteRecord(getRecordName(key));
+    }
+  }
+}
+
+module.exports = {
+  BotStateStorage,
+  STATE_PREFIX
+};
@@ -0,0 +1,232 @@
+// Citation handling for file_search and web_search_preview results
+// Extracts url_citation and file_citation annotations from a Responses API response
+// and renders them as a numbered source list
+const { DEFAULT_LANGUAGE, translate } = require('./localization');
+
+// Cache of vector store file titles keyed by file ID, file titles rarely change
+const fileTitleCache = new Map();
+
+/**
+ * Extract citations from the output of a Responses API response
+ * Duplicate sources are merged so each source gets a single number
+ * @param {Object} response - The response object returned by the OpenAI API
+ * @returns {Array} - Citations with number, type, title and url/fileId, plus the text positions they refer to
+ */
+function extractCitations(response) {
+  const citations = [];
+  const citationsByKey = new Map();
+
+  if (!response || !Array.isArray(response.output)) {
+    return citations;
+  }
+
+  for (const item of response.output) {
+    if (item.type !== 'message' || !Array.isArray(item.content)) {
+      continue;
+    }
+
+    for (const content of item.content) {
+      if (content.type !== 'output_text' || !Array.isArray(content.annotations)) {
+        continue;
+      }
+
+      for (const annotation of content.annotations) {
+        let key;
+        let citation;
+        let position;
+
+        if (annotation.type === 'url_citation') {
+          key = `url:${annotation.url}`;
+          citation = {
+            type: 'url',
+            title: annotation.title || annotation.url,
+            url: annotation.url
+          };
+          position = annotation.end_index;
+        } else if (annotation.type === 'file_citation') {
+          key = `file:${annotation.file_id}`;
+          citation = {
+            type: 'file',
+            title: titleFromFilename(annotation.filename),
+            fileId: annotation.file_id,
+            filename: annotation.filename
+          };
+          position = annotation.index;
+        } else {
+          continue;
+        }
+
+        if (!citationsByKey.has(key)) {
+          citation.number = citations.length + 1;
+          citation.positions = [];
+          citations.push(citation);
+          citationsByKey.set(key, citation);
+        }
+
+        if (typeof position === 'number') {
+          citationsByKey.get(key).positions.push(position);
+        }
+      }
+    }
+  }
+
+  return citations;
+}
+
+/**
+ * Turn a vector store filename into a readable title
+ * @param {string} filename - The filename of the cited vector store file
+ * @returns {string} - The filename without its extension and separators
+ */
+function titleFromFilename(filename) {
+  if (!filename) {
+    return 'U.S. Tax Code';
+  }
+  return filename.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+}
+
+/**
+ * Look up the titles of cited vector store files
+ * Uses the "title" attribute of the vector store file when one is set, otherwise keeps the filename title
+ * @param {OpenAI} openaiClient - The OpenAI client
+ * @param {string} vectorStoreId - The vector store the files belong to
+ * @param {Array} citations - Citations returned by extractCitations
+ */
+async function resolveFileCitationTitles(openaiClient, vectorStoreId, citations) {
+  if (!vectorStoreId) {
+    return;
+  }
+
+  for (const citation of citations) {
+    if (citation.type !== 'file') {
+      continue;
+    }
+
+    if (!fileTitleCache.has(citation.fileId)) {
+      try {
+        const file = await openaiClient.vectorStores.files.retrieve(citation.fileId, { vector_store_id: vectorStoreId });
+        const title = file.attributes && file.attributes.title;
+        fileTitleCache.set(citation.fileId, title ? String(title) : null);
+      } catch (error) {
+        console.warn(`Could not look up title for cited file ${citation.fileId}: ${error.message}`);
+        // Don't cache failures so the lookup is retried next time
+        continue;
+      }
+    }
+
+    const cachedTitle = fileTitleCache.get(citation.fileId);
+    if (cachedTitle) {
+      citation.title = cachedTitle;
+    }
+  }
+}
+
+/**
+ * Insert numbered citation markers (e.g. [1]) into the answer text where the sources were cited
+ * @param {string} text - The answer text the annotation positions refer to
+ * @param {Array} citations - Citations returned by extractCitations
+ * @returns {string} - The answer text with citation markers
+ */
+function addCitationMarkers(text, citations) {
+  const markers = [];
+  for (const citation of citations) {
+    for (const position of citation.positions || []) {
+      markers.push({ position: Math.min(position, text.length), number: citation.number });
+    }
+  }
+
+  // Insert from the end of the text so earlier positions stay valid, skipping repeated markers at the same spot
+  markers.sort((a, b) => b.position - a.position || b.number - a.number);
+  const inserted = new Set();
+  let result = text;
+  for (const marker of markers) {
+    const key = `${marker.position}:${marker.number}`;
+    if (inserted.has(key)) {
+      continue;
+    }
+    inserted.add(key);
+    result = result.slice(0, marker.position) + ` [${marker.number}]` + result.slice(marker.position);
+  }
+
+  return result;
+}
+
+/**
+ * Format a single citation as a Markdown line
+ * @param {Object} citation - A citation returned by extractCitations
+ * @param {string} [language] - The user's language code
+ * @returns {string} - e.g. "1. [Topic no. 751](https://www.irs.gov/...)"
+ */
+function formatCitation(citation, language = DEFAULT_LANGUAGE) {
+  if (citation.type === 'url') {
+    return `${citation.number}. [${citation.title}](${citation.url})`;
+  }
+  return `${citation.number}. ${translate(language, 'answer.fileSource', { title: citation.title })}`;
+}
+
+/**
+ * Format citations as a Markdown source list
+ * @param {Array} citations - Citations returned by extractCitations
+ * @param {string} [language] - The user's language code
+ * @returns {string} - The source list, or an empty string if there are no citations
+ */
+function formatCitationsAsMarkdown(citations, language = DEFAULT_LANGUAGE) {
+  if (!citations || citations.length === 0) {
+    return '';
+  }
+  return `**${translate(language, 'answer.sources')}**\n\n${citations.map(citation => formatCitation(citation, language)).join('\n')}`;
+}
+
+/**
+ * Build an Adaptive Card attachment listing the sources as a footer
+ * @param {Array} citations - Citations returned by extractCitations
+ * @param {string} [language] - The user's language code
+ * @returns {Object|null} - The card attachment, or null if there are no citations
+ */
+function buildCitationCard(citations, language = DEFAULT_LANGUAGE) {
+  if (!citations || citations.length === 0) {
+    return null;
+  }
+
+  return {
+    contentType: 'application/vnd.microsoft.card.adaptive',
+    content: {
+      type: 'AdaptiveCard',
+      $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+      version: '1.5',
+      body: [
+        {
+          type: 'TextBlock',
+          text: translate(language, 'answer.sources'),
+          weight: 'Bolder',
+          size: 'Small'
+        },
+        ...citations.map(citation => ({
+          type: 'TextBlock',
+          text: formatCitation(citation, language),
+          wrap: true,
+          size: 'Small',
+          spacing: 'Small'
+        }))
+      ]
+    }
+  };
+}
+
+/**
+ * Strip internal fields from citations before they are stored in the conversation history
+ * @param {Array} citations - Citations returned by extractCitations
+ * @returns {Array} - Citations with only the fields needed to render them later
+ */
+function toStoredCitations(citations) {
+  return citations.map(({ positions, ...citation }) => citation);
+}
+
+module.exports = {
+  extractCitations,
+  resolveFileCitationTitles,
+  addCitationMarkers,
+  formatCitationsAsMarkdown,
+  buildCitationCard,
+  toStoredCitations
+};
@@ -0,0 +1,95 @@
+// /documents - list uploaded tax documents and confirm or discard their extracted values
+const { describeDocument, formatDocumentBoxes, buildDocumentMessage } = require('../documentExtractor');
+const { translate } = require('../localization');
+
+/**
+ * Add a confirmed document to the conversation history as a user message with an acknowledgement
+ * @param {Object} bot - The TeamsBot instance
+ * @param {TurnContext} context - The turn context for the current activity
+ * @param {string} conversationId - The conversation ID used as the storage key
+ * @param {Object} document - The confirmed document
+ */
+async function addDocumentToHistory(bot, context, conversationId, document) {
+  const timestamp = new Date().toISOString();
+
+  await bot.updateConversationHistory(context, conversationId, history => [
+    ...history,
+    {
+      role: 'user',
+      content: [{ type: 'input_text', text: buildDocumentMessage(document) }],
+      timestamp: timestamp,
+      document: { name: document.name, formType: document.formType, taxYear: document.taxYear, issuerName: document.issuerName }
+    },
+    {
+      role: 'assistant',
+      content: [{ type: 'output_text', text: `Thanks, I'll use the values from your ${describeDocument(document)} when answering.` }],
+      timestamp: timestamp
+    }
+  ]);
+}
+
+module.exports = {
+  name: 'documents',
+  description: 'List the tax documents you uploaded in this conversation.',
+  usage: '/documents [discard]',
+  help: 'Upload a W-2, 1099 or 1098 as a PDF or image in a personal chat and I\'ll read the box values. I show you what I read and only use the values after you confirm them. The uploaded file itself is never saved.\n\n' +
+    '- /documents lists confirmed documents and documents waiting for confirmation\n' +
+    '- /documents discard discards documents waiting for confirmation\n' +
+    '- /restart removes confirmed documents along with the rest of the conversation',
+
+  async execute({ context, bot, conversationId, language, args }) {
+    const pendingDocuments = await bot.pendingDocumentsAccessor.get(context, []);
+
+    if ((args[0] || '').toLowerCase() === 'discard') {
+      await bot.pendingDocumentsAccessor.set(context, []);
+      await bot.conversationState.saveChanges(context);
+      await context.sendActivity(pendingDocuments.length > 0
+        ? translate(language, 'documents.discardedPending', { count: pendingDocuments.length })
+        : translate(language, 'documents.nonePending'));
+      return;
+    }
+
+    const history = await bot.loadConversationHistory(context, conversationId);
+    const confirmed = history.filter(message => message.document);
+    if (confirmed.length === 0 && pendingDocuments.length === 0) {
+      await context.sendActivity(translate(language, 'documents.none'));
+      return;
+    }
+
+    const sections = [];
+    if (confirmed.length > 0) {
+      const list = confirmed.map(message => `- ${describeDocument(message.document, language)}`).join('\n');
+      sections.push(`${translate(language, 'documents.confirmedHeader')}\n\n${list}`);
+    }
+    if (pendingDocuments.length > 0) {
+      const list = pendingDocuments.map(pending => `${describeDocument(pending.document, language)}\n${formatDocumentBoxes(pending.document, language)}`).join('\n\n');
+      sections.push(`${translate(language, 'documents.pendingHeader')}\n\n${list}`);
+    }
+    await context.sendActivity(sections.join('\n\n'));
+  },
+
+  async handleCardSubmit({ context, bot, conversationId, language, value }) {
+    const pendingDocuments = await bot.pendingDocumentsAccessor.get(context, []);
+    const pending = pendingDocuments.find(item => item.document.id === value.documentId);
+    if (!pending) {
+      await context.sendActivity(translate(language, 'documents.alreadyHandled'));
+      return;
+    }
+
+    const remaining = pendingDocuments.filter(item => item !== pending);
+    await bot.pendingDocumentsAccessor.set(context, remaining);
+    await bot.conversationState.saveChanges(context);
+
+    if (value.action === 'confirm') {
+      await addDocumentToHistory(bot, context, conversationId, pending.document);
+      await context.sendActivity(translate(language, 'documents.confirmed', { document: describeDocument(pending.document, language) }));
+    } else {
+      await context.sendActivity(translate(language, 'documents.discarded', { document: describeDocument(pending.document, language) }));
+    }
+
+    // Once every uploaded document is dealt with, answer the question that came with the upload
+    if (remaining.length === 0 && pending.question) {
+      return { continueWith: pending.question };
+    }
+  }
+};
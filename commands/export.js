@@ -0,0 +1,36 @@
+// /export - export the conversation transcript as a Markdown, HTML or PDF file
+const { TRANSCRIPT_FORMATS } = require('../transcriptRenderer');
+const { offerFile } = require('../fileDelivery');
+const { translate } = require('../localization');
+
+// Accepted spellings for each format
+const FORMAT_ALIASES = {
+  markdown: TRANSCRIPT_FORMATS.MARKDOWN,
+  md: TRANSCRIPT_FORMATS.MARKDOWN,
+  html: TRANSCRIPT_FORMATS.HTML,
+  pdf: TRANSCRIPT_FORMATS.PDF
+};
+
+module.exports = {
+  name: 'export',
+  description: 'Export this conversation as a Markdown, HTML or PDF file.',
+  usage: '/export [markdown|html|pdf]',
+  help: 'Exports the conversation, with timestamps, the disclaimer and any sources, as a file you can share with your accountant. The default format is Markdown.',
+
+  async execute({ context, bot, conversationId, language, args }) {
+    const requestedFormat = (args[0] || 'markdown').toLowerCase();
+    const format = FORMAT_ALIASES[requestedFormat];
+    if (!format) {
+      await context.sendActivity(translate(language, 'export.unsupportedFormat', { format: requestedFormat }));
+      return;
+    }
+
+    const file = await bot.buildTranscriptFile(context, conversationId, format);
+    if (!file) {
+      await context.sendActivity(translate(language, 'export.nothingYet'));
+      return;
+    }
+
+    await offerFile(context, file, { action: 'exportTranscript', format: format });
+  }
+};
@@ -0,0 +1,55 @@
+// Feedback buttons on answers - handles the thumbs-up/thumbs-down card and the "what was wrong" comment
+const storageService = require('../storageService');
+const { FEEDBACK_RATINGS, findAnswer, saveFeedback, addFeedbackComment, buildFeedbackCommentCard } = require('../feedbackLog');
+const { translate } = require('../localization');
+
+const HELP = 'Use the 👍 and 👎 buttons under an answer to tell us whether it was helpful. After a 👎 you can say what was wrong.';
+
+module.exports = {
+  name: 'feedback',
+  description: 'Rate an answer.',
+  usage: '/feedback',
+  help: HELP,
+  hidden: true,
+
+  async execute({ context, language }) {
+    await context.sendActivity(translate(language, 'commands.feedback.help', {}, HELP));
+  },
+
+  async handleCardSubmit({ context, bot, conversationId, userId, language, value }) {
+    if (value.action === 'comment') {
+      const comment = (value.comment || '').trim();
+      if (!comment) {
+        await context.sendActivity(translate(language, 'feedback.noComment'));
+        return;
+      }
+
+      // Comments are stored for reviewers, so sensitive numbers are removed like in regular messages, keeping
+      // the conversation's placeholders numbered consistently
+      const settings = await storageService.loadConversationSettings(conversationId);
+      const redacted = await bot.redactSensitiveData(context, conversationId, comment, settings, language);
+      const saved = await addFeedbackComment(value.answerId, userId, redacted.text);
+      await context.sendActivity(translate(language, saved ? 'feedback.commentSaved' : 'feedback.ratingNotFound'));
+      return;
+    }
+
+    if (!Object.values(FEEDBACK_RATINGS).includes(value.rating)) {
+      return;
+    }
+
+    const history = await bot.loadConversationHistory(context, conversationId);
+    const found = findAnswer(history, value.answerId);
+    if (!found) {
+      await context.sendActivity(translate(language, 'feedback.answerNotFound'));
+      return;
+    }
+
+    await saveFeedback({ conversationId, userId, rating: value.rating, question: found.question, answer: found.answer });
+
+    if (value.rating === FEEDBACK_RATINGS.NEGATIVE) {
+      await context.sendActivity({ attachments: [buildFeedbackCommentCard(value.answerId, language)] });
+    } else {
+      await context.sendActivity(translate(language, 'feedback.thanks'));
+    }
+  }
+};
@@ -0,0 +1,76 @@
+// /forget-me - delete everything the bot has stored about the user, after they confirm
+const { forgetUser } = require('../dataRetention');
+const { translate } = require('../localization');
+
+/**
+ * Build the card asking the user to confirm they want their data deleted
+ * Submitting the card sends { command: 'forget-me', action: 'confirm' | 'cancel', userId } back to the bot
+ * @param {string} userId - The user the request is for, so nobody else in a group chat can confirm it
+ * @param {string} language - The user's language code
+ * @returns {Object} - The card attachment
+ */
+function buildConfirmationCard(userId, language) {
+  return {
+    contentType: 'application/vnd.microsoft.card.adaptive',
+    content: {
+      type: 'AdaptiveCard',
+      $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+      version: '1.5',
+      body: [
+        { type: 'TextBlock', text: translate(language, 'forgetMe.card.title'), weight: 'Bolder', size: 'Medium', wrap: true },
+        { type: 'TextBlock', text: translate(language, 'forgetMe.card.text'), wrap: true }
+      ],
+      actions: [
+        { type: 'Action.Submit', title: translate(language, 'forgetMe.card.confirm'), style: 'destructive', data: { command: 'forget-me', action: 'confirm', userId: userId } },
+        { type: 'Action.Submit', title: translate(language, 'forgetMe.card.cancel'), data: { command: 'forget-me', action: 'cancel', userId: userId } }
+      ]
+    }
+  };
+}
+
+/**
+ * Describe what was deleted
+ * @param {string} language - The user's language code
+ * @param {Object} removed - { conversations, profile, feedback, usage } from forgetUser
+ * @returns {string} - The confirmation message
+ */
+function describeRemoved(language, removed) {
+  return translate(language, 'forgetMe.deleted', {
+    conversations: removed.conversations,
+    profile: translate(language, removed.profile ? 'forgetMe.profileDeleted' : 'forgetMe.profileNone'),
+    feedback: removed.feedback,
+    usage: removed.usage
+  });
+}
+
+module.exports = {
+  name: 'forget-me',
+  description: 'Delete everything stored about you.',
+  usage: '/forget-me',
+  help: 'Permanently deletes your personal chat history, taxpayer profile, deadline reminders, answer feedback and usage records after you confirm. Group chat and channel conversations are kept because they are shared with other people.',
+
+  async execute({ context, userId, language }) {
+    await context.sendActivity({ attachments: [buildConfirmationCard(userId, language)] });
+  },
+
+  async handleCardSubmit({ context, bot, conversationId, userId, language, value }) {
+    if (value.userId !== userId) {
+      await context.sendActivity(translate(language, 'forgetMe.notYours'));
+      return;
+    }
+
+    if (value.action !== 'confirm') {
+      await context.sendActivity(translate(language, 'forgetMe.cancelled'));
+      return;
+    }
+
+    const removed = await forgetUser(userId, bot.isSharedConversation(context) ? undefined : conversationId);
+
+    // Clear the conversation state too, which holds documents waiting for confirmation
+    if (!bot.isSharedConversation(context)) {
+      await bot.conversationState.delete(context);
+    }
+
+    await context.sendActivity(describeRemoved(language, removed));
+  }
+};
@@ -0,0 +1,41 @@
+// /help - list the available commands or describe a single command
+const { translate } = require('../localization');
+
+/**
+ * Get a command's description in a language
+ * Commands are described in English in their own module, with translations under commands.<name> in the resource bundles
+ * @param {string} language - The language code
+ * @param {Object} command - The command module
+ * @returns {string} - The description
+ */
+function describeCommand(language, command) {
+  return translate(language, `commands.${command.name}.description`, {}, command.description);
+}
+
+module.exports = {
+  name: 'help',
+  description: 'Show the available commands.',
+  usage: '/help [command]',
+  help: 'Lists every command. Add a command name (e.g. "/help restart") for details about that command.',
+
+  async execute({ context, commands, language, args }) {
+    if (args.length > 0) {
+      const name = args[0].replace(/^\//, '');
+      const command = commands.get(name);
+      if (!command) {
+        await context.sendActivity(translate(language, 'help.unknownCommand', { command: name }));
+        return;
+      }
+
+      const help = command.help ? translate(language, `commands.${command.name}.help`, command.helpParams, command.help) : describeCommand(language, command);
+      await context.sendActivity(`**${command.usage || `/${command.name}`}**\n\n${help}`);
+      return;
+    }
+
+    const lines = commands.getAll()
+      .filter(command => !command.hidden)
+      .map(command => `- **${command.usage || `/${command.name}`}**: ${describeCommand(language, command)}`);
+
+    await context.sendActivity(translate(language, 'help.commandList', { commands: lines.join('\n') }));
+  }
+};
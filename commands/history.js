@@ -0,0 +1,42 @@
+// /history - show statistics about the stored conversation history
+const { translate } = require('../localization');
+
+module.exports = {
+  name: 'history',
+  description: 'Show message count, token usage and last activity for this conversation.',
+  usage: '/history',
+  help: 'Shows how many messages are stored for this conversation, how many tokens they use, and when the conversation was last active.',
+
+  async execute({ context, bot, conversationId, language }) {
+    const history = await bot.loadConversationHistory(context, conversationId);
+
+    if (history.length === 0) {
+      await context.sendActivity(translate(language, 'history.empty'));
+      return;
+    }
+
+    const summarized = history.some(message => message.isSummary);
+    const messageCount = history.filter(message => !message.isSummary).length;
+    const tokenCount = bot.countTokensInHistory(history);
+
+    // Messages are timestamped when they are added, older histories may not have timestamps
+    const lastTimestamp = history.map(message => message.timestamp).filter(Boolean).pop();
+    const lastActivity = lastTimestamp
+      ? new Date(lastTimestamp).toLocaleString(language, {
+        dateStyle: 'long',
+        timeStyle: 'short',
+        timeZone: process.env.BOT_TIMEZONE
+      })
+      : translate(language, 'history.unknownActivity');
+
+    const lines = [
+      translate(language, 'history.header'),
+      '',
+      `- ${translate(language, summarized ? 'history.messagesWithSummary' : 'history.messages', { count: messageCount })}`,
+      `- ${translate(language, 'history.tokens', { count: tokenCount.toLocaleString(language), max: bot.maxHistoryTokens.toLocaleString(language) })}`,
+      `- ${translate(language, 'history.lastActivity', { date: lastActivity })}`
+    ];
+
+    await context.sendActivity(lines.join('\n'));
+  }
+};
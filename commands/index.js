@@ -0,0 +1,96 @@
+// Slash command registry
+// Each command is a small module in this directory exporting { name, description, usage, execute }
+// Commands are loaded automatically, so new commands can be added without touching the message handler
+const fs = require('fs');
+const path = require('path');
+
+// Commands must start the message: a slash, the command name, then whitespace or the end of the message
+const COMMAND_PATTERN = /^\/([a-z][a-z0-9-]*)(?:\s+([\s\S]*))?$/i;
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+    this.loadCommands(__dirname);
+  }
+
+  /**
+   * Load every command module in a directory
+   * @param {string} directory - The directory containing command modules
+   */
+  loadCommands(directory) {
+    const files = fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js') && file !== 'index.js')
+      .sort();
+
+    for (const file of files) {
+      this.register(require(path.join(directory, file)));
+    }
+  }
+
+  /**
+   * Register a command
+   * @param {Object} command - Command module with name, description, usage and execute
+   */
+  register(command) {
+    if (!command || !command.name || typeof command.execute !== 'function') {
+      throw new Error('Commands must have a name and an execute function');
+    }
+
+    const name = command.name.toLowerCase();
+    if (this.commands.has(name)) {
+      throw new Error(`Command "/${name}" is already registered`);
+    }
+    this.commands.set(name, command);
+  }
+
+  /**
+   * Parse a message into a command and its arguments
+   * @param {string} text - The message text with the bot mention removed
+   * @returns {Object|null} - { name, argsText, args } or null if the message is not a command
+   */
+  parse(text) {
+    const match = COMMAND_PATTERN.exec(text.trim());
+    if (!match) {
+      return null;
+    }
+
+    const argsText = (match[2] || '').trim();
+    return {
+      name: match[1].toLowerCase(),
+      argsText: argsText,
+      args: argsText ? argsText.split(/\s+/) : []
+    };
+  }
+
+  /**
+   * Get a registered command by name
+   * @param {string} name - The command name without the slash
+   * @returns {Object|undefined} - The command module
+   */
+  get(name) {
+    return this.commands.get(name.toLowerCase());
+  }
+
+  /**
+   * Get all registered commands in registration order
+   * @returns {Array<Object>} - The command modules
+   */
+  getAll() {
+    return [...this.commands.values()];
+  }
+
+  /**
+   * Build the commandLists entry for the Teams app manifest
+   * @returns {Array<Object>} - Commands with title and description, as used in manifest.json
+   */
+  toManifestCommands() {
+    return this.getAll()
+      .filter(command => !command.hidden)
+      .map(command => ({
+        title: `/${command.name}`,
+        description: command.description
+      }));
+  }
+}
+
+module.exports = new CommandRegistry();
@@ -0,0 +1,58 @@
+// /language - choose the language the bot talks to you in
+const storageService = require('../storageService');
+const { SUPPORTED_LANGUAGES, parseLanguage, resolveLanguage, translate } = require('../localization');
+
+/**
+ * List the supported languages for display, e.g. "English (en), Español (es)"
+ * @returns {string} - The list
+ */
+function listLanguages() {
+  return Object.keys(SUPPORTED_LANGUAGES).map(code => `${SUPPORTED_LANGUAGES[code]} (${code})`).join(', ');
+}
+
+module.exports = {
+  name: 'language',
+  description: 'Show or choose the language I talk to you in.',
+  usage: '/language [language|auto]',
+  help: `Without a choice, I use the language of your Teams settings if I speak it, otherwise English. Your choice is kept across conversations. Supported languages: ${listLanguages()}.\n\n` +
+    '- /language shows the language in use\n' +
+    '- /language es (or /language español) switches to Spanish\n' +
+    '- /language auto goes back to your Teams language',
+  // Values for the placeholders in the translated help
+  helpParams: { languages: listLanguages() },
+
+  async execute({ context, userId, language, args }) {
+    const preferences = await storageService.loadUserPreferences(userId);
+
+    if (args.length === 0) {
+      const { source } = resolveLanguage(context.activity.locale, preferences);
+      await context.sendActivity(translate(language, 'language.current', {
+        language: SUPPORTED_LANGUAGES[language],
+        source: translate(language, `language.sources.${source}`)
+      }));
+      return;
+    }
+
+    const choice = args.join(' ');
+    try {
+      if (choice.toLowerCase() === 'auto') {
+        const { language: previousLanguage, ...remainingPreferences } = preferences;
+        await storageService.saveUserPreferences(userId, remainingPreferences);
+        const { language: localeLanguage } = resolveLanguage(context.activity.locale, remainingPreferences);
+        await context.sendActivity(translate(localeLanguage, 'language.reset', { language: SUPPORTED_LANGUAGES[localeLanguage] }));
+        return;
+      }
+
+      const selected = parseLanguage(choice);
+      if (!selected) {
+        await context.sendActivity(translate(language, 'language.unsupported', { value: choice, languages: listLanguages() }));
+        return;
+      }
+      await storageService.saveUserPreferences(userId, { ...preferences, language: selected });
+      await context.sendActivity(translate(selected, 'language.set', { language: SUPPORTED_LANGUAGES[selected] }));
+    } catch (error) {
+      console.error(`Error saving the language preference for ${userId}:`, error);
+      await context.sendActivity(translate(language, 'language.saveFailed'));
+    }
+  }
+};
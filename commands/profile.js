@@ -0,0 +1,95 @@
+// /profile - view, edit and clear the taxpayer profile used in every conversation
+const storageService = require('../storageService');
+const { setProfileField, hasProfile, formatProfile, buildProfileCard, PROFILE_FIELDS } = require('../userProfile');
+const { translate, translateError } = require('../localization');
+
+module.exports = {
+  name: 'profile',
+  description: 'View, edit or clear your saved taxpayer profile.',
+  usage: '/profile [edit|set <field> <value>|clear [field]]',
+  help: 'Saves your filing status, state of residence, tax year and self-employment status so you don\'t have to repeat them. Your profile is kept after /restart.\n\n' +
+    '- /profile shows your profile\n' +
+    '- /profile edit opens a form to edit it\n' +
+    '- /profile set state CA sets a single field (filing_status, state, tax_year or self_employed)\n' +
+    '- /profile clear deletes your profile, /profile clear state clears a single field',
+
+  async execute({ context, userId, language, args }) {
+    const subcommand = (args[0] || 'show').toLowerCase();
+    const profile = await storageService.loadUserProfile(userId);
+
+    if (subcommand === 'show') {
+      if (!hasProfile(profile)) {
+        await context.sendActivity({
+          text: translate(language, 'profile.none'),
+          attachments: [buildProfileCard(profile, language)]
+        });
+        return;
+      }
+      await context.sendActivity(translate(language, 'profile.show', { profile: formatProfile(profile, language) }));
+      return;
+    }
+
+    if (subcommand === 'edit') {
+      await context.sendActivity({ attachments: [buildProfileCard(profile, language)] });
+      return;
+    }
+
+    if (subcommand === 'set') {
+      if (args.length < 3) {
+        await context.sendActivity(translate(language, 'profile.setUsage'));
+        return;
+      }
+
+      try {
+        const updated = setProfileField(profile, args[1], args.slice(2).join(' '));
+        await storageService.saveUserProfile(userId, updated);
+        await context.sendActivity(translate(language, 'profile.updated', { profile: formatProfile(updated, language) }));
+      } catch (error) {
+        await context.sendActivity(translateError(language, error));
+      }
+      return;
+    }
+
+    if (subcommand === 'clear') {
+      if (args[1]) {
+        try {
+          const updated = setProfileField(profile, args[1], null);
+          await storageService.saveUserProfile(userId, updated);
+          await context.sendActivity(hasProfile(updated)
+            ? translate(language, 'profile.updated', { profile: formatProfile(updated, language) })
+            : translate(language, 'profile.updatedEmpty'));
+        } catch (error) {
+          await context.sendActivity(translateError(language, error));
+        }
+        return;
+      }
+
+      await storageService.deleteUserProfile(userId);
+      await context.sendActivity(translate(language, 'profile.deleted'));
+      return;
+    }
+
+    await context.sendActivity(translate(language, 'profile.unknownOption'));
+  },
+
+  async handleCardSubmit({ context, userId, language, value }) {
+    if (value.action === 'clear') {
+      await storageService.deleteUserProfile(userId);
+      await context.sendActivity(translate(language, 'profile.deleted'));
+      return;
+    }
+
+    try {
+      let updated = {};
+      for (const field of Object.keys(PROFILE_FIELDS)) {
+        updated = setProfileField(updated, field, value[field]);
+      }
+      await storageService.saveUserProfile(userId, updated);
+      await context.sendActivity(hasProfile(updated)
+        ? translate(language, 'profile.saved', { profile: formatProfile(updated, language) })
+        : translate(language, 'profile.savedEmpty'));
+    } catch (error) {
+      await context.sendActivity(translateError(language, error));
+    }
+  }
+};
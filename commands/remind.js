@@ -0,0 +1,158 @@
+// /remind - get reminded of federal tax deadlines ahead of time
+const { TurnContext } = require('botbuilder');
+const storageService = require('../storageService');
+const { translate } = require('../localization');
+const {
+  REMINDER_TOPICS,
+  DEFAULT_DAYS_BEFORE,
+  MAX_DAYS_BEFORE,
+  getUpcomingDeadlines,
+  parseTopic,
+  formatDate,
+  formatDeadlineName,
+  formatTopic,
+  listDeadlineOverrides,
+  loadReminders,
+  subscribe,
+  cancelReminders
+} = require('../deadlineReminders');
+
+// Upcoming deadlines shown with the user's reminders
+const UPCOMING_DEADLINE_COUNT = 3;
+
+/**
+ * Describe a deadline with its due date, e.g. "2nd quarter estimated tax payment for 2025 on Monday, June 16, 2025"
+ * @param {string} language - The language code
+ * @param {Object} deadline - The deadline, from getUpcomingDeadlines
+ * @returns {string} - The description
+ */
+function describeDeadline(language, deadline) {
+  return translate(language, 'reminders.deadlineOn', {
+    deadline: formatDeadlineName(language, deadline),
+    date: formatDate(language, deadline.dueDate)
+  });
+}
+
+/**
+ * Show the user's reminders and the next federal deadlines
+ * @param {TurnContext} context - The turn context for the current activity
+ * @param {string} userId - The user ID
+ * @param {string} language - The user's language code
+ */
+async function showReminders(context, userId, language) {
+  const subscriptions = await loadReminders(userId);
+  const overrides = await listDeadlineOverrides();
+  const { state } = await storageService.loadUserProfile(userId);
+
+  const lines = [];
+  if (subscriptions.length === 0) {
+    lines.push(translate(language, 'reminders.none', { days: DEFAULT_DAYS_BEFORE }));
+  } else {
+    lines.push(translate(language, 'reminders.listHeader'));
+    subscriptions.forEach((subscription, index) => {
+      const next = getUpcomingDeadlines(subscription.topic, overrides, state)[0];
+      lines.push(translate(language, 'reminders.listItem', {
+        number: index + 1,
+        topic: formatTopic(language, subscription.topic),
+        days: subscription.daysBefore,
+        next: describeDeadline(language, next)
+      }));
+    });
+    lines.push(translate(language, 'reminders.cancelHint'));
+  }
+
+  const upcoming = getUpcomingDeadlines(REMINDER_TOPICS.ALL, overrides, state).slice(0, UPCOMING_DEADLINE_COUNT);
+  lines.push(translate(language, 'reminders.upcomingHeader'));
+  upcoming.forEach(deadline => lines.push(`- ${describeDeadline(language, deadline)}`));
+  await context.sendActivity(lines.join('\n\n'));
+}
+
+/**
+ * Cancel one reminder by its number in the list, or all of them
+ * @param {TurnContext} context - The turn context for the current activity
+ * @param {string} userId - The user ID
+ * @param {string} language - The user's language code
+ * @param {string} choice - The reminder number or "all"
+ */
+async function cancel(context, userId, language, choice) {
+  if (!choice || choice.toLowerCase() === 'all') {
+    const cancelled = await cancelReminders(userId);
+    await context.sendActivity(translate(language, cancelled.length > 0 ? 'reminders.cancelledAll' : 'reminders.nothingToCancel'));
+    return;
+  }
+
+  const subscriptions = await loadReminders(userId);
+  const number = parseInt(choice, 10);
+  const subscription = String(number) === choice ? subscriptions[number - 1] : null;
+  if (!subscription) {
+    await context.sendActivity(translate(language, 'reminders.notFound', { number: choice }));
+    return;
+  }
+  await cancelReminders(userId, subscription.id);
+  await context.sendActivity(translate(language, 'reminders.cancelled', { topic: formatTopic(language, subscription.topic) }));
+}
+
+module.exports = {
+  name: 'remind',
+  description: 'Get reminded of federal tax deadlines before they are due.',
+  usage: '/remind [estimates|filing|extension|all [days]|list|cancel <number|all>]',
+  help: `I send you a message in this chat ahead of each deadline you subscribe to, ${DEFAULT_DAYS_BEFORE} days before unless you choose another number. If you saved your state with /profile, IRS disaster-relief postponements for your state are taken into account.\n\n` +
+    '- /remind or /remind list shows your reminders and the next deadlines\n' +
+    '- /remind estimates reminds you of the quarterly estimated tax payments (January, April, June and September)\n' +
+    '- /remind filing reminds you of the April filing deadline, /remind extension of the October deadline for extended returns\n' +
+    '- /remind all 14 reminds you of every federal deadline two weeks ahead\n' +
+    '- /remind cancel 1 cancels your first reminder, /remind cancel all cancels them all',
+  // Values for the placeholders in the translated help
+  helpParams: { days: DEFAULT_DAYS_BEFORE },
+
+  async execute({ context, bot, userId, language, args }) {
+    const subcommand = (args[0] || 'list').toLowerCase();
+
+    try {
+      if (subcommand === 'list') {
+        await showReminders(context, userId, language);
+        return;
+      }
+
+      if (subcommand === 'cancel' || subcommand === 'stop') {
+        await cancel(context, userId, language, args[1]);
+        return;
+      }
+
+      const topic = parseTopic(subcommand);
+      if (!topic) {
+        await context.sendActivity(translate(language, 'reminders.unknownOption'));
+        return;
+      }
+
+      // Reminders are personal, so they are only sent to a one-on-one chat with the bot
+      if (bot.isSharedConversation(context)) {
+        await context.sendActivity(translate(language, 'reminders.personalChatOnly'));
+        return;
+      }
+
+      const daysBefore = args[1] !== undefined ? Number(args[1]) : DEFAULT_DAYS_BEFORE;
+      if (!Number.isInteger(daysBefore) || daysBefore < 0 || daysBefore > MAX_DAYS_BEFORE) {
+        await context.sendActivity(translate(language, 'reminders.invalidDays', { max: MAX_DAYS_BEFORE }));
+        return;
+      }
+
+      const subscription = await subscribe(userId, topic, daysBefore, TurnContext.getConversationReference(context.activity));
+      if (!subscription) {
+        await context.sendActivity(translate(language, 'reminders.coveredByAll', { topic: formatTopic(language, topic) }));
+        return;
+      }
+
+      const { state } = await storageService.loadUserProfile(userId);
+      const next = getUpcomingDeadlines(topic, await listDeadlineOverrides(), state)[0];
+      await context.sendActivity(translate(language, 'reminders.subscribed', {
+        topic: formatTopic(language, topic),
+        days: daysBefore,
+        next: describeDeadline(language, next)
+      }));
+    } catch (error) {
+      console.error(`Error updating the deadline reminders for ${userId}:`, error);
+      await context.sendActivity(translate(language, 'reminders.saveFailed'));
+    }
+  }
+};
@@ -0,0 +1,40 @@
+// /restart - clear the conversation history and start over
+const { translate } = require('../localization');
+
+module.exports = {
+  name: 'restart',
+  description: 'Start a new conversation.',
+  usage: '/restart [question]',
+  help: 'Clears the conversation history. Any text after the command is answered as the first message of the new conversation.',
+
+  async execute({ context, bot, conversationId, language, argsText }) {
+    // In group chats and channels, only the current thread's history is cleared
+    const isThread = bot.isSharedConversation(context);
+
+    console.log("Restart command detected in message");
+    if (argsText) {
+      console.log(`Text after removing restart command: "${argsText}"`);
+    } else {
+      console.log("No text found after removing restart command");
+    }
+
+    // Clear conversation history
+    try {
+      await bot.deleteConversationHistory(context, conversationId);
+    } catch (error) {
+      console.error(`Error deleting conversation history for ${conversationId}:`, error);
+      await context.sendActivity(translate(language, 'restart.failed'));
+      return;
+    }
+
+    // If there's additional text after the restart command, answer it in the new conversation
+    if (argsText) {
+      await context.sendActivity(translate(language, isThread ? 'restart.resetThreadAnswering' : 'restart.resetAnswering'));
+      console.log("Continuing with new conversation using remaining text");
+      return { continueWith: argsText };
+    }
+
+    await context.sendActivity(translate(language, isThread ? 'restart.resetThread' : 'restart.reset'));
+    await bot.sendWelcome(context, language);
+  }
+};
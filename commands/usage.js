@@ -0,0 +1,48 @@
+// /usage - show the user's token usage, estimated cost and remaining quota
+const { getUserUsage, getConversationUsage, getQuotas, formatCost } = require('../usageTracker');
+const { translate } = require('../localization');
+
+/**
+ * Format usage totals as a single line
+ * @param {string} language - The user's language code
+ * @param {Object} totals - { requests, inputTokens, outputTokens, cost }
+ * @param {number|null} [limit] - The quota for the period in USD, if any
+ * @returns {string} - The formatted totals
+ */
+function formatTotals(language, totals, limit) {
+  const params = {
+    requests: totals.requests,
+    tokens: (totals.inputTokens + totals.outputTokens).toLocaleString(language),
+    cost: formatCost(totals.cost),
+    limit: limit ? formatCost(limit) : undefined
+  };
+  return translate(language, limit ? 'usage.totalsWithLimit' : 'usage.totals', params);
+}
+
+module.exports = {
+  name: 'usage',
+  description: 'Show how much you have used the assistant today and this month.',
+  usage: '/usage',
+  help: 'Shows the number of questions, the tokens used and the estimated cost for today, this month and this conversation, along with any usage limits.',
+
+  async execute({ context, conversationId, userId, language }) {
+    const usage = await getUserUsage(userId);
+    const conversationUsage = await getConversationUsage(conversationId);
+    const quotas = getQuotas();
+
+    const lines = [
+      translate(language, 'usage.header'),
+      '',
+      `- ${translate(language, 'usage.today', { totals: formatTotals(language, usage.today, quotas.daily) })}`,
+      `- ${translate(language, 'usage.month', { totals: formatTotals(language, usage.month, quotas.monthly) })}`
+    ];
+    if (conversationUsage) {
+      lines.push(`- ${translate(language, 'usage.conversation', { totals: formatTotals(language, conversationUsage.totals) })}`);
+    }
+    if (!quotas.daily && !quotas.monthly) {
+      lines.push('', translate(language, 'usage.noLimits'));
+    }
+
+    await context.sendActivity(lines.join('\n'));
+  }
+};
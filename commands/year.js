@@ -0,0 +1,43 @@
+// /year - choose the tax year this conversation is about
+const storageService = require('../storageService');
+const { getDefaultTaxYear, parseTaxYear, resolveTaxYear } = require('../taxYear');
+const { translate, translateError } = require('../localization');
+
+module.exports = {
+  name: 'year',
+  description: 'Show or choose the tax year this conversation is about.',
+  usage: '/year [year|auto]',
+  help: 'Answers and calculations use the selected tax year. Without a selection, the year in your taxpayer profile is used, otherwise the prior year until April 15 and the current year afterwards.\n\n' +
+    '- /year shows the selected tax year\n' +
+    '- /year 2024 selects tax year 2024 for this conversation\n' +
+    '- /year auto goes back to the automatic choice',
+
+  async execute({ context, conversationId, userId, language, args }) {
+    const settings = await storageService.loadConversationSettings(conversationId);
+
+    if (args.length === 0) {
+      const profile = await storageService.loadUserProfile(userId);
+      const { taxYear, source } = resolveTaxYear(settings, profile);
+      await context.sendActivity(translate(language, 'year.current', {
+        taxYear: taxYear,
+        source: translate(language, `year.sources.${source}`)
+      }));
+      return;
+    }
+
+    if (args[0].toLowerCase() === 'auto') {
+      const { taxYear, ...remainingSettings } = settings;
+      await storageService.saveConversationSettings(conversationId, remainingSettings);
+      await context.sendActivity(translate(language, 'year.reset', { taxYear: getDefaultTaxYear() }));
+      return;
+    }
+
+    try {
+      const taxYear = parseTaxYear(args[0]);
+      await storageService.saveConversationSettings(conversationId, { ...settings, taxYear: taxYear });
+      await context.sendActivity(translate(language, 'year.set', { taxYear: taxYear }));
+    } catch (error) {
+      await context.sendActivity(translateError(language, error));
+    }
+  }
+};
@@ -0,0 +1,115 @@
+// Rolling conversation summarization
+// Condenses older conversation turns into a single summary message that is pinned at the head of the history
+const { callOpenAI } = require('./openaiResilience');
+const { fromResponseUsage } = require('./usageTracker');
+
+// Model used to write the summary
+const SUMMARY_MODEL = "gpt-4.1-mini";
+
+// Marker text that prefixes the pinned summary message so the model knows what it is
+const SUMMARY_PREFIX = "Summary of the earlier conversation with this user:";
+
+// Labels for each message role in the transcript sent to the summarizer
+const TRANSCRIPT_ROLES = {
+  user: "User",
+  assistant: "Assistant",
+  developer: "Developer",
+  system: "System"
+};
+
+/**
+ * Check whether a history message is the pinned summary message
+ * @param {Object} message - Message object with role and content
+ * @returns {boolean} - True if the message is a conversation summary
+ */
+function isSummaryMessage(message) {
+  return !!(message && message.isSummary);
+}
+
+/**
+ * Build the pinned summary message stored at the head of the conversation history
+ * @param {string} summaryText - The summary produced by summarizeConversation
+ * @returns {Object} - A developer message flagged as the conversation summary
+ */
+function createSummaryMessage(summaryText) {
+  return {
+    "role": "developer",
+    "content": [{ "type": "input_text", "text": `${SUMMARY_PREFIX}\n\n${summaryText}` }],
+    "isSummary": true
+  };
+}
+
+/**
+ * Get the summary text from a pinned summary message
+ * @param {Object} message - The pinned summary message
+ * @returns {string} - The summary text without the prefix
+ */
+function getSummaryText(message) {
+  const text = message.content && message.content[0] ? message.content[0].text : "";
+  return text.startsWith(SUMMARY_PREFIX) ? text.slice(SUMMARY_PREFIX.length).trim() : text;
+}
+
+/**
+ * Get the label that prefixes a message in the summarization transcript
+ * @param {Object} message - Message object with role and content
+ * @returns {string} - The message's role, with the speaker's name in shared conversations
+ */
+function getTranscriptLabel(message) {
+  const role = TRANSCRIPT_ROLES[message.role] || message.role;
+  return message.speaker ? `${role} (${message.speaker.name})` : role;
+}
+
+/**
+ * Summarize conversation turns using OpenAI, folding in the previous summary
+ * @param {OpenAI} openaiClient - The OpenAI client
+ * @param {string} previousSummary - The current summary text, empty if there is none
+ * @param {Array} messages - The history messages to condense
+ * @returns {Promise<Object>} - { text, usage } with the updated summary and the normalized usage of the call
+ */
+async function summarizeConversation(openaiClient, previousSummary, messages) {
+  // Flatten the turns into a plain transcript for the summarization prompt
+  const transcript = messages.map(message => {
+    const text = (message.content || [])
+      .filter(content => content.type === 'input_text' || content.type === 'output_text')
+      .map(content => content.text)
+      .join("\n");
+    return `${getTranscriptLabel(message)}: ${text}`;
+  }).join("\n\n");
+
+  const prompt = `
+    You maintain a running summary of a conversation between a user and U.S. Tax Assistant.
+    Update the existing summary with the new conversation turns below and return only the updated summary.
+
+    Apply these rules:
+    1. Always keep facts the user gave about themselves: filing status, dependents, income types and amounts, state of residence, tax year, self-employment and business details
+    2. Keep the questions the user asked and the key conclusions, figures and form numbers from the answers
+    3. Keep any open questions or follow-ups the user is waiting on
+    4. Drop greetings, pleasantries and repeated explanations
+    5. Write concise bullet points and keep the whole summary under 500 words, condensing older points as needed
+
+    Existing summary:
+    ${previousSummary || "(none)"}
+
+    New conversation turns:
+    ${transcript}
+    `;
+
+  const response = await callOpenAI(signal => openaiClient.responses.create({
+    model: SUMMARY_MODEL,
+    input: prompt,
+    store: process.env.OPENAI_STORE_CONVERSATION_LOGS !== 'false'
+  }, { signal: signal, maxRetries: 0 }), { label: "Conversation summarization" });
+
+  if (!response.output_text) {
+    throw new Error("Summarization returned no text");
+  }
+
+  return { text: response.output_text.trim(), usage: fromResponseUsage(SUMMARY_MODEL, response.usage) };
+}
+
+module.exports = {
+  summarizeConversation,
+  createSummaryMessage,
+  getSummaryText,
+  isSummaryMessage
+};
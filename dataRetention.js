@@ -0,0 +1,287 @@
+// Data retention
+// Tracks when each conversation and user was last active, purges the records of conversations and users
+// that have been inactive for longer than the retention period, and deletes everything tied to a user
+// when they ask to be forgotten. Every purge is written to the audit log.
+const storageService = require('./storageService');
+const { recordAuditEvent } = require('./auditLog');
+const { purgeQuotaCounters } = require('./usageTracker');
+const { STATE_PREFIX } = require('./botStateStorage');
+
+// Days of inactivity after which conversations and user data are purged; unset keeps records forever
+const RETENTION_DAYS = parseFloat(process.env.RETENTION_DAYS) || null;
+// Days audit log entries are kept; unset keeps them forever
+const AUDIT_RETENTION_DAYS = parseFloat(process.env.AUDIT_RETENTION_DAYS) || null;
+// How often the background purge runs
+const PURGE_INTERVAL_HOURS = parseFloat(process.env.RETENTION_PURGE_INTERVAL_HOURS) || 24;
+
+// Last-activity records, one per conversation and one per user
+const CONVERSATION_ACTIVITY_PREFIX = 'activity/conversations/';
+const USER_ACTIVITY_PREFIX = 'activity/users/';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record that a user was active in a conversation
+ * @param {Object} details - { conversationId, userId, personal } where personal is true for one-on-one chats with the bot
+ */
+async function recordActivity({ conversationId, userId, personal }) {
+  const now = new Date().toISOString();
+
+  await storageService.updateRecord(`${CONVERSATION_ACTIVITY_PREFIX}${conversationId}`, () => ({ conversationId: conversationId, userIds: [] }), conversationActivity => {
+    conversationActivity.personal = personal;
+    conversationActivity.userIds = [...new Set([...conversationActivity.userIds, userId])];
+    conversationActivity.lastActivity = now;
+  });
+
+  await storageService.updateRecord(`${USER_ACTIVITY_PREFIX}${userId}`, () => ({ userId: userId, conversationIds: [] }), userActivity => {
+    userActivity.conversationIds = [...new Set([...userActivity.conversationIds, conversationId])];
+    userActivity.lastActivity = now;
+  });
+}
+
+/**
+ * Delete a conversation's history, settings, usage, bot state and activity records
+ * Pass the bot state record names when deleting many conversations, so they're listed once rather than per conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {Array<string>} [stateRecordNames] - The names from listing STATE_PREFIX, listed here if not given
+ * @returns {Promise<boolean>} - True if a history was deleted
+ */
+async function deleteConversationRecords(conversationId, stateRecordNames) {
+  const deleted = await storageService.deleteRecord(conversationId);
+  await storageService.deleteRecord(`settings/${conversationId}`);
+  await storageService.deleteRecord(`usage/conversations/${conversationId}`);
+
+  // Bot state is saved per channel as "state/<channelId>/conversations/<conversationId>"
+  for (const name of stateRecordNames || await storageService.listRecords(STATE_PREFIX)) {
+    if (name.endsWith(`/conversations/${conversationId}`)) {
+      await storageService.deleteRecord(name);
+    }
+  }
+  await storageService.deleteRecord(`${CONVERSATION_ACTIVITY_PREFIX}${conversationId}`);
+  return deleted;
+}
+
+/**
+ * Delete a user's profile, preferences, deadline reminders, usage and activity records
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - { profile, usage } with whether a profile was deleted and the number of usage records deleted
+ */
+async function deleteUserRecords(userId) {
+  const profile = await storageService.deleteRecord(`profiles/${userId}`);
+  await storageService.deleteRecord(`preferences/${userId}`);
+  await storageService.deleteRecord(`reminders/${userId}`);
+  let usage = 0;
+  for (const name of await storageService.listRecords(`usage/users/${userId}/`)) {
+    if (await storageService.deleteRecord(name)) {
+      usage++;
+    }
+  }
+  await storageService.deleteRecord(`${USER_ACTIVITY_PREFIX}${userId}`);
+  return { profile: profile, usage: usage };
+}
+
+/**
+ * Find when a conversation saved before activity was tracked was last active, from its message timestamps
+ * Conversations without timestamps are treated as active now, so their retention period starts with this purge
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<string>} - The last activity as an ISO date
+ */
+async function backfillConversationActivity(conversationId) {
+  const history = (await storageService.loadRecord(conversationId)) || [];
+  const timestamps = history.map(message => message.timestamp).filter(Boolean).sort();
+  const lastActivity = timestamps[timestamps.length - 1] || new Date().toISOString();
+  await storageService.saveRecord(`${CONVERSATION_ACTIVITY_PREFIX}${conversationId}`, {
+    conversationId: conversationId,
+    userIds: [],
+    lastActivity: lastActivity
+  });
+  return lastActivity;
+}
+
+/**
+ * Purge the records of conversations and users inactive for longer than the retention period
+ * Records saved before activity was tracked get an activity record first, so they are purged on a later run
+ * @param {Date} [now] - The current time
+ * @returns {Promise<Object>} - Counts of the purged records by type
+ */
+async function purgeExpiredRecords(now = new Date()) {
+  const purged = { conversations: 0, users: 0, feedback: 0, botState: 0, quotaCounters: 0, auditEvents: 0 };
+  const failures = [];
+
+  // Each record is purged on its own, so one failure doesn't stop the rest of the run
+  const purge = async (name, action) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(`Error purging ${name}:`, error);
+      failures.push(name);
+    }
+  };
+
+  if (RETENTION_DAYS) {
+    const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS).toISOString();
+    const stateRecordNames = await storageService.listRecords(STATE_PREFIX);
+
+    const trackedConversations = new Set();
+    for (const name of await storageService.listRecords(CONVERSATION_ACTIVITY_PREFIX)) {
+      const conversationId = name.slice(CONVERSATION_ACTIVITY_PREFIX.length);
+      trackedConversations.add(conversationId);
+      await purge(name, async () => {
+        const activity = await storageService.loadRecord(name);
+        if (activity && activity.lastActivity < cutoff) {
+          await deleteConversationRecords(conversationId, stateRecordNames);
+          purged.conversations++;
+        }
+      });
+    }
+
+    // Conversation histories are the only top-level records
+    for (const conversationId of await storageService.listRecords('')) {
+      if (conversationId.includes('/') || trackedConversations.has(conversationId)) {
+        continue;
+      }
+      await purge(conversationId, async () => {
+        if ((await backfillConversationActivity(conversationId)) < cutoff) {
+          await deleteConversationRecords(conversationId, stateRecordNames);
+          purged.conversations++;
+        }
+      });
+    }
+
+    const trackedUsers = new Set();
+    for (const name of await storageService.listRecords(USER_ACTIVITY_PREFIX)) {
+      const userId = name.slice(USER_ACTIVITY_PREFIX.length);
+      trackedUsers.add(userId);
+      await purge(name, async () => {
+        const activity = await storageService.loadRecord(name);
+        if (activity && activity.lastActivity < cutoff) {
+          await deleteUserRecords(userId);
+          purged.users++;
+        }
+      });
+    }
+
+    // Profiles saved before activity was tracked start their retention period now
+    for (const name of await storageService.listRecords('profiles/')) {
+      const userId = name.slice('profiles/'.length);
+      if (!trackedUsers.has(userId)) {
+        await purge(name, () => storageService.saveRecord(`${USER_ACTIVITY_PREFIX}${userId}`, {
+          userId: userId,
+          conversationIds: [],
+          lastActivity: now.toISOString()
+        }));
+      }
+    }
+
+    for (const name of await storageService.listRecords('feedback/')) {
+      await purge(name, async () => {
+        const feedback = await storageService.loadRecord(name);
+        if (feedback && feedback.updatedAt < cutoff) {
+          await storageService.deleteRecord(name);
+          purged.feedback++;
+        }
+      });
+    }
+
+    // Bot state left behind by conversations whose history was never saved, e.g. unconfirmed documents
+    for (const name of await storageService.listRecords(STATE_PREFIX)) {
+      await purge(name, async () => {
+        const state = await storageService.loadRecord(name);
+        if (state && state.updatedAt < cutoff) {
+          await storageService.deleteRecord(name);
+          purged.botState++;
+        }
+      });
+    }
+
+    // Quota counters aren't linked to a user and are only needed for the current month
+    await purge('usage/quotas/', async () => {
+      purged.quotaCounters += await purgeQuotaCounters(now);
+    });
+  }
+
+  if (AUDIT_RETENTION_DAYS) {
+    const cutoffDay = new Date(now.getTime() - AUDIT_RETENTION_DAYS * DAY_MS).toISOString().slice(0, 10);
+    for (const name of await storageService.listRecords('audit/')) {
+      if (name.slice('audit/'.length, 'audit/'.length + 10) < cutoffDay) {
+        await purge(name, async () => {
+          await storageService.deleteRecord(name);
+          purged.auditEvents++;
+        });
+      }
+    }
+  }
+
+  console.log(`Retention purge: deleted ${purged.conversations} conversations, ${purged.users} users' data, ${purged.feedback} feedback records, ${purged.botState} bot state records, ${purged.quotaCounters} quota counters and ${purged.auditEvents} audit events${failures.length > 0 ? `, ${failures.length} failed` : ''}`);
+  await recordAuditEvent({
+    actor: 'retention-job',
+    action: 'retention.purge',
+    details: { retentionDays: RETENTION_DAYS, auditRetentionDays: AUDIT_RETENTION_DAYS, purged: purged, failed: failures }
+  });
+  return purged;
+}
+
+/**
+ * Delete every record tied to a user: their personal conversation histories, profile, feedback and usage
+ * Group chat and channel histories are shared with other people, so they are kept
+ * @param {string} userId - The user ID
+ * @param {string} [conversationId] - The conversation the request came from, deleted if it's a personal chat
+ * @returns {Promise<Object>} - { conversations, profile, feedback, usage } describing what was deleted
+ */
+async function forgetUser(userId, conversationId) {
+  const userActivity = (await storageService.loadRecord(`${USER_ACTIVITY_PREFIX}${userId}`)) || { conversationIds: [] };
+  const conversationIds = new Set(userActivity.conversationIds);
+  if (conversationId) {
+    conversationIds.add(conversationId);
+  }
+
+  let conversations = 0;
+  const stateRecordNames = await storageService.listRecords(STATE_PREFIX);
+  for (const id of conversationIds) {
+    const activity = await storageService.loadRecord(`${CONVERSATION_ACTIVITY_PREFIX}${id}`);
+    if (activity && activity.personal && (await deleteConversationRecords(id, stateRecordNames))) {
+      conversations++;
+    }
+  }
+
+  let feedback = 0;
+  for (const name of await storageService.listRecords('feedback/')) {
+    const record = await storageService.loadRecord(name);
+    if (record && record.userId === userId && (await storageService.deleteRecord(name))) {
+      feedback++;
+    }
+  }
+
+  const { profile, usage } = await deleteUserRecords(userId);
+  const removed = { conversations: conversations, profile: profile, feedback: feedback, usage: usage };
+
+  console.log(`Forgot user ${userId}: ${JSON.stringify(removed)}`);
+  await recordAuditEvent({ actor: userId, action: 'user.forget', target: userId, details: removed });
+  return removed;
+}
+
+/**
+ * Start purging expired records in the background, shortly after startup and then every RETENTION_PURGE_INTERVAL_HOURS
+ * Does nothing unless RETENTION_DAYS or AUDIT_RETENTION_DAYS is set
+ */
+function startRetentionJob() {
+  if (!RETENTION_DAYS && !AUDIT_RETENTION_DAYS) {
+    console.log('Data retention: records are kept until deleted (set RETENTION_DAYS to purge inactive conversations)');
+    return;
+  }
+
+  console.log(`Data retention: purging conversations and user data after ${RETENTION_DAYS || 'unlimited'} days of inactivity and audit events after ${AUDIT_RETENTION_DAYS || 'unlimited'} days, every ${PURGE_INTERVAL_HOURS} hours`);
+  const run = () => purgeExpiredRecords().catch(error => console.error('Error running retention purge:', error));
+
+  // Timers are unref'd so they don't keep the process alive on shutdown
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, PURGE_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+}
+
+module.exports = {
+  recordActivity,
+  deleteConversationRecords,
+  purgeExpiredRecords,
+  forgetUser,
+  startRetentionJob
+};
@@ -0,0 +1,600 @@
+// Deadline reminders
+// Keeps the calendar of federal tax deadlines (quarterly estimated payments, the April filing deadline and
+// the extension deadline), with IRS disaster-relief postponements entered through the admin API. Users
+// subscribe with /remind, which saves a reference to their personal chat, and a background job sends them a
+// proactive message through the adapter a configurable number of days before each deadline.
+const crypto = require('crypto');
+const storageService = require('./storageService');
+const { PROFILE_FIELDS } = require('./userProfile');
+const { resolveLanguage, translate } = require('./localization');
+const config = require('./config');
+
+// Days before a deadline reminders are sent, unless the user chooses otherwise
+const DEFAULT_DAYS_BEFORE = process.env.REMINDER_DAYS_BEFORE !== undefined && process.env.REMINDER_DAYS_BEFORE !== ''
+  ? parseInt(process.env.REMINDER_DAYS_BEFORE, 10)
+  : 7;
+const MAX_DAYS_BEFORE = 60;
+// How often the background job looks for reminders to send
+const CHECK_INTERVAL_MINUTES = parseFloat(process.env.REMINDER_CHECK_INTERVAL_MINUTES) || 60;
+
+// Subscriptions are kept per user, disaster-relief postponements per IRS announcement
+const REMINDERS_PREFIX = 'reminders/';
+const OVERRIDES_PREFIX = 'deadlineOverrides/';
+
+// What a subscription reminds the user about
+const REMINDER_TOPICS = {
+  ALL: 'all',
+  ESTIMATES: 'estimates',
+  FILING: 'filing',
+  EXTENSION: 'extension'
+};
+
+// Federal deadlines in each calendar year, with the tax year they belong to relative to the calendar year
+// Each has a name in the resource bundles under reminders.deadlines.<key>
+const DEADLINES = [
+  { key: 'q4Estimate', month: 1, day: 15, topic: REMINDER_TOPICS.ESTIMATES, taxYearOffset: -1 },
+  { key: 'filing', month: 4, day: 15, topic: REMINDER_TOPICS.FILING, taxYearOffset: -1 },
+  { key: 'q1Estimate', month: 4, day: 15, topic: REMINDER_TOPICS.ESTIMATES, taxYearOffset: 0 },
+  { key: 'q2Estimate', month: 6, day: 15, topic: REMINDER_TOPICS.ESTIMATES, taxYearOffset: 0 },
+  { key: 'q3Estimate', month: 9, day: 15, topic: REMINDER_TOPICS.ESTIMATES, taxYearOffset: 0 },
+  { key: 'extension', month: 10, day: 15, topic: REMINDER_TOPICS.EXTENSION, taxYearOffset: -1 }
+];
+
+// HTTP statuses from the Bot Connector meaning the conversation is gone, e.g. the user uninstalled the bot
+const GONE_STATUSES = [403, 404];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OVERRIDE_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {number} year - The year
+ * @param {number} month - The month, 1-12
+ * @param {number} day - The day of the month
+ * @returns {string} - The date string
+ */
+function toDateString(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - The date
+ * @param {number} days - Days to add, negative to subtract
+ * @returns {string} - The new date
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Count the days from one YYYY-MM-DD date to another
+ * @param {string} from - The earlier date
+ * @param {string} to - The later date
+ * @returns {number} - The number of days
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Get today's date in the bot's timezone as YYYY-MM-DD
+ * @param {Date} [now] - The current time
+ * @returns {string} - The date string
+ */
+function getToday(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    timeZone: process.env.BOT_TIMEZONE
+  }).format(now);
+}
+
+/**
+ * Get the legal holidays in Washington, D.C. that can fall on or right after a federal tax deadline
+ * A deadline on one of these days, or on a weekend, moves to the next business day
+ * @param {number} year - The calendar year
+ * @returns {Array<string>} - The holiday dates
+ */
+function getDeadlineHolidays(year) {
+  // Martin Luther King Jr. Day, the third Monday in January, can fall on January 15
+  const firstOfJanuary = new Date(Date.UTC(year, 0, 1)).getUTCDay();
+  const kingDay = toDateString(year, 1, 1 + ((8 - firstOfJanuary) % 7) + 14);
+
+  // Emancipation Day, April 16, is observed on the Friday before when it falls on a Saturday and the Monday after on a Sunday
+  const emancipationDay = new Date(Date.UTC(year, 3, 16)).getUTCDay();
+  const emancipationDayObserved = toDateString(year, 4, emancipationDay === 6 ? 15 : emancipationDay === 0 ? 17 : 16);
+
+  return [kingDay, emancipationDayObserved];
+}
+
+/**
+ * Move a date on a weekend or holiday to the next business day
+ * @param {string} date - The date
+ * @returns {string} - The business day
+ */
+function toBusinessDay(date) {
+  let result = date;
+  for (;;) {
+    const weekday = new Date(`${result}T00:00:00Z`).getUTCDay();
+    if (weekday !== 0 && weekday !== 6 && !getDeadlineHolidays(parseInt(result.slice(0, 4), 10)).includes(result)) {
+      return result;
+    }
+    result = addDays(result, 1);
+  }
+}
+
+/**
+ * Get the federal deadlines that fall in a calendar year
+ * @param {number} year - The calendar year
+ * @returns {Array<Object>} - { id, key, topic, taxYear, date } in date order, where date is the business day the deadline falls on
+ */
+function getFederalDeadlines(year) {
+  return DEADLINES.map(deadline => {
+    const taxYear = year + deadline.taxYearOffset;
+    return {
+      id: `${taxYear}-${deadline.key}`,
+      key: deadline.key,
+      topic: deadline.topic,
+      taxYear: taxYear,
+      date: toBusinessDay(toDateString(year, deadline.month, deadline.day))
+    };
+  });
+}
+
+/**
+ * Check whether a subscription topic covers a deadline
+ * @param {string} topic - One of REMINDER_TOPICS
+ * @param {Object} deadline - The deadline
+ * @returns {boolean} - True if the deadline is covered
+ */
+function topicCovers(topic, deadline) {
+  return topic === REMINDER_TOPICS.ALL || topic === deadline.topic;
+}
+
+/**
+ * Parse a subscription topic from user input
+ * @param {string} value - The topic (e.g. "estimates", "quarterly", "filing")
+ * @returns {string|null} - One of REMINDER_TOPICS, or null if the topic isn't known
+ */
+function parseTopic(value) {
+  const normalized = String(value).trim().toLowerCase();
+  const aliases = {
+    [REMINDER_TOPICS.ALL]: ['all', 'everything'],
+    [REMINDER_TOPICS.ESTIMATES]: ['estimates', 'estimate', 'estimated', 'quarterly'],
+    [REMINDER_TOPICS.FILING]: ['filing', 'file', 'april'],
+    [REMINDER_TOPICS.EXTENSION]: ['extension', 'extended', 'october']
+  };
+  return Object.keys(aliases).find(topic => aliases[topic].includes(normalized)) || null;
+}
+
+/**
+ * Check whether a disaster-relief postponement ID is valid
+ * @param {string} id - The postponement ID, e.g. the IRS announcement number "CA-2025-01"
+ * @returns {boolean} - True if the ID only contains letters, digits and dashes
+ */
+function isValidOverrideId(id) {
+  return OVERRIDE_ID_PATTERN.test(id);
+}
+
+/**
+ * Check a disaster-relief postponement entered through the admin API
+ * @param {Object} override - { name, states, from, to, postponedTo }: the disaster, the states it covers and the
+ *                            window of original deadlines (inclusive) postponed to postponedTo, dates as YYYY-MM-DD
+ * @returns {Object} - The postponement with only the known fields and state names turned into postal codes
+ * @throws {Error} If a field is missing or invalid
+ */
+function validateDeadlineOverride(override) {
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    throw new Error('The postponement must be a JSON object');
+  }
+  if (typeof override.name !== 'string' || !override.name.trim()) {
+    throw new Error('name must describe the disaster, e.g. "California wildfires (CA-2025-01)"');
+  }
+  if (!Array.isArray(override.states) || override.states.length === 0) {
+    throw new Error('states must list the states the postponement covers, e.g. ["CA"]');
+  }
+  const states = [...new Set(override.states.map(state => PROFILE_FIELDS.state.parse(state)))];
+
+  for (const field of ['from', 'to', 'postponedTo']) {
+    if (typeof override[field] !== 'string' || !DATE_PATTERN.test(override[field]) || isNaN(Date.parse(override[field]))) {
+      throw new Error(`${field} must be a date in YYYY-MM-DD format`);
+    }
+  }
+  if (override.from > override.to) {
+    throw new Error('from must not be after to');
+  }
+  if (override.postponedTo <= override.from) {
+    throw new Error('postponedTo must be after from');
+  }
+
+  return { name: override.name.trim(), states: states, from: override.from, to: override.to, postponedTo: override.postponedTo };
+}
+
+/**
+ * List the disaster-relief postponements
+ * @returns {Promise<Array<Object>>} - The postponements with their IDs, ordered by ID
+ */
+async function listDeadlineOverrides() {
+  const overrides = [];
+  for (const name of (await storageService.listRecords(OVERRIDES_PREFIX)).sort()) {
+    const override = await storageService.loadRecord(name);
+    if (override) {
+      overrides.push({ id: name.slice(OVERRIDES_PREFIX.length), ...override });
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Save a disaster-relief postponement, replacing any with the same ID
+ * @param {string} id - The postponement ID, e.g. the IRS announcement number "CA-2025-01"
+ * @param {Object} override - The postponement, see validateDeadlineOverride
+ * @returns {Promise<Object>} - The saved postponement with its ID
+ * @throws {Error} If the ID or postponement is invalid
+ */
+async function saveDeadlineOverride(id, override) {
+  if (!isValidOverrideId(id)) {
+    throw new Error('Postponement IDs may only contain letters, digits and dashes');
+  }
+  const validated = validateDeadlineOverride(override);
+  await storageService.saveRecord(`${OVERRIDES_PREFIX}${id}`, { ...validated, updatedAt: new Date().toISOString() });
+  return { id: id, ...validated };
+}
+
+/**
+ * Delete a disaster-relief postponement
+ * @param {string} id - The postponement ID
+ * @returns {Promise<boolean>} - True if a postponement was deleted
+ */
+async function deleteDeadlineOverride(id) {
+  return storageService.deleteRecord(`${OVERRIDES_PREFIX}${id}`);
+}
+
+/**
+ * Work out when a deadline is due for a user, taking disaster-relief postponements into account
+ * Users whose profile has no state are reminded of the original date, with the postponements that may apply to them
+ * @param {Object} deadline - The deadline, from getFederalDeadlines
+ * @param {Array<Object>} overrides - The disaster-relief postponements
+ * @param {string} [state] - The user's state of residence from their profile
+ * @returns {Object} - { ...deadline, dueDate, relief, possibleRelief } where relief is the postponement applied, if any,
+ *                     and possibleRelief lists the postponements that apply to some states
+ */
+function resolveDeadline(deadline, overrides, state) {
+  const applicable = overrides.filter(override => override.from <= deadline.date && deadline.date <= override.to);
+  const relief = state
+    ? applicable.filter(override => override.states.includes(state)).sort((a, b) => b.postponedTo.localeCompare(a.postponedTo))[0]
+    : null;
+  return {
+    ...deadline,
+    dueDate: relief ? relief.postponedTo : deadline.date,
+    relief: relief || null,
+    possibleRelief: state ? [] : applicable
+  };
+}
+
+/**
+ * Get the deadlines a topic covers that are due today or later, soonest first
+ * @param {string} topic - One of REMINDER_TOPICS
+ * @param {Array<Object>} overrides - The disaster-relief postponements
+ * @param {string} [state] - The user's state of residence
+ * @param {string} [today] - Today's date as YYYY-MM-DD
+ * @returns {Array<Object>} - The deadlines, from resolveDeadline
+ */
+function getUpcomingDeadlines(topic, overrides, state, today = getToday()) {
+  const year = parseInt(today.slice(0, 4), 10);
+  return [...getFederalDeadlines(year - 1), ...getFederalDeadlines(year), ...getFederalDeadlines(year + 1)]
+    .filter(deadline => topicCovers(topic, deadline))
+    .map(deadline => resolveDeadline(deadline, overrides, state))
+    .filter(deadline => deadline.dueDate >= today)
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+}
+
+/**
+ * Format a YYYY-MM-DD date for a user
+ * @param {string} language - The language code
+ * @param {string} date - The date
+ * @returns {string} - e.g. "Tuesday, April 15, 2025"
+ */
+function formatDate(language, date) {
+  return new Intl.DateTimeFormat(language, {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  }).format(new Date(`${date}T00:00:00Z`));
+}
+
+/**
+ * Describe a deadline for a user
+ * @param {string} language - The language code
+ * @param {Object} deadline - The deadline, from resolveDeadline
+ * @returns {string} - The deadline's name
+ */
+function formatDeadlineName(language, deadline) {
+  return translate(language, `reminders.deadlines.${deadline.key}`, { taxYear: deadline.taxYear });
+}
+
+/**
+ * Describe a subscription topic for a user
+ * @param {string} language - The language code
+ * @param {string} topic - One of REMINDER_TOPICS
+ * @returns {string} - The topic's name
+ */
+function formatTopic(language, topic) {
+  return translate(language, `reminders.topics.${topic}`);
+}
+
+/**
+ * Build a reminder message
+ * @param {string} language - The language code
+ * @param {Object} deadline - The deadline, from resolveDeadline
+ * @param {string} today - Today's date as YYYY-MM-DD
+ * @param {string} [state] - The user's state of residence, for postponements
+ * @returns {string} - The message
+ */
+function buildReminderMessage(language, deadline, today, state) {
+  const days = daysBetween(today, deadline.dueDate);
+  const dueKey = days === 0 ? 'dueToday' : days === 1 ? 'dueTomorrow' : 'dueInDays';
+  const lines = [translate(language, `reminders.${dueKey}`, {
+    deadline: formatDeadlineName(language, deadline),
+    date: formatDate(language, deadline.dueDate),
+    days: days
+  })];
+
+  if (deadline.relief) {
+    lines.push(translate(language, 'reminders.reliefApplied', {
+      relief: deadline.relief.name,
+      state: state,
+      originalDate: formatDate(language, deadline.date)
+    }));
+  }
+  for (const override of deadline.possibleRelief) {
+    lines.push(translate(language, 'reminders.possibleRelief', {
+      relief: override.name,
+      states: override.states.join(', '),
+      date: formatDate(language, override.postponedTo)
+    }));
+  }
+  lines.push(translate(language, 'reminders.footer'));
+  return lines.join('\n\n');
+}
+
+/**
+ * Load a user's reminder subscriptions
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} - { id, topic, daysBefore, conversationReference, createdAt, sent } for each subscription
+ */
+async function loadReminders(userId) {
+  const record = await storageService.loadRecord(`${REMINDERS_PREFIX}${userId}`);
+  return record ? record.subscriptions : [];
+}
+
+/**
+ * Change a user's reminder subscriptions with a conditional save, retrying if another instance changed them first
+ * @param {string} userId - The user ID
+ * @param {Function} update - Receives the subscriptions to change in place and returns a result
+ * @returns {Promise<*>} - The result of the last call to update
+ */
+async function updateReminders(userId, update) {
+  let result;
+  await storageService.updateRecord(`${REMINDERS_PREFIX}${userId}`, () => ({ userId: userId, subscriptions: [] }), record => {
+    result = update(record.subscriptions);
+    // A user without subscriptions has no record
+    return record.subscriptions.length > 0 ? record : null;
+  });
+  return result;
+}
+
+/**
+ * Subscribe a user to deadline reminders, or change the days before of an existing subscription to the same topic
+ * A subscription to all deadlines replaces the user's other subscriptions
+ * @param {string} userId - The user ID
+ * @param {string} topic - One of REMINDER_TOPICS
+ * @param {number} daysBefore - Days before each deadline to send the reminder
+ * @param {Object} conversationReference - Reference to the personal chat reminders are sent to
+ * @returns {Promise<Object|null>} - The subscription, or null if the user's subscription to all deadlines already covers the topic
+ */
+async function subscribe(userId, topic, daysBefore, conversationReference) {
+  return updateReminders(userId, subscriptions => {
+    const existing = subscriptions.find(subscription => subscription.topic === topic);
+    if (existing) {
+      existing.daysBefore = daysBefore;
+      existing.conversationReference = conversationReference;
+      return existing;
+    }
+    if (subscriptions.some(subscription => subscription.topic === REMINDER_TOPICS.ALL)) {
+      return null;
+    }
+
+    const subscription = {
+      id: crypto.randomUUID(),
+      topic: topic,
+      daysBefore: daysBefore,
+      conversationReference: conversationReference,
+      createdAt: new Date().toISOString(),
+      sent: {}
+    };
+    if (topic === REMINDER_TOPICS.ALL) {
+      subscriptions.splice(0, subscriptions.length);
+    }
+    subscriptions.push(subscription);
+    return subscription;
+  });
+}
+
+/**
+ * Cancel one or all of a user's reminder subscriptions
+ * @param {string} userId - The user ID
+ * @param {string} [subscriptionId] - The subscription to cancel; all of them if omitted
+ * @returns {Promise<Array<Object>>} - The cancelled subscriptions
+ */
+async function cancelReminders(userId, subscriptionId) {
+  return updateReminders(userId, subscriptions => {
+    const cancelled = subscriptions.filter(subscription => !subscriptionId || subscription.id === subscriptionId);
+    const remaining = subscriptions.filter(subscription => !cancelled.includes(subscription));
+    subscriptions.splice(0, subscriptions.length, ...remaining);
+    return cancelled;
+  });
+}
+
+/**
+ * Check whether a failed proactive message means the conversation can no longer be reached
+ * @param {Error} error - The error from the adapter
+ * @returns {boolean} - True if the subscription should be dropped
+ */
+function isConversationGone(error) {
+  return GONE_STATUSES.includes(error.statusCode || error.status);
+}
+
+/**
+ * Send a user the reminders that are due
+ * Each reminder is claimed with a conditional save before it's sent, so instances sharing the storage don't
+ * send it twice; a reminder that fails to send is released to be retried on the next run
+ * @param {Object} adapter - The bot adapter, used to send proactive messages
+ * @param {string} userId - The user ID
+ * @param {Array<Object>} overrides - The disaster-relief postponements
+ * @param {string} today - Today's date as YYYY-MM-DD
+ * @returns {Promise<Object>} - { sent, failed, dropped } counts
+ */
+async function sendUserReminders(adapter, userId, overrides, today) {
+  const counts = { sent: 0, failed: 0, dropped: 0 };
+  const subscriptions = await loadReminders(userId);
+  if (subscriptions.length === 0) {
+    return counts;
+  }
+  const { state } = await storageService.loadUserProfile(userId);
+  const preferences = await storageService.loadUserPreferences(userId);
+
+  for (const subscription of subscriptions) {
+    const due = getUpcomingDeadlines(subscription.topic, overrides, state, today).filter(deadline =>
+      addDays(deadline.dueDate, -subscription.daysBefore) <= today && !subscription.sent[deadline.id]
+    );
+
+    for (const deadline of due) {
+      // Claim the reminder, and forget reminders for deadlines that have passed
+      const claimed = await updateReminders(userId, current => {
+        const stored = current.find(item => item.id === subscription.id);
+        if (!stored || stored.sent[deadline.id]) {
+          return false;
+        }
+        stored.sent = Object.fromEntries(Object.entries(stored.sent).filter(([, dueDate]) => dueDate >= today));
+        stored.sent[deadline.id] = deadline.dueDate;
+        return true;
+      });
+      if (!claimed) {
+        continue;
+      }
+
+      const reference = subscription.conversationReference;
+      const { language } = resolveLanguage(reference.locale, preferences);
+      try {
+        await adapter.continueConversationAsync(config.MicrosoftAppId, reference, async context => {
+          await context.sendActivity(buildReminderMessage(language, deadline, today, state));
+        });
+        console.log(`Sent the ${deadline.id} reminder to ${userId}`);
+        counts.sent++;
+      } catch (error) {
+        if (isConversationGone(error)) {
+          console.log(`Dropping ${userId}'s ${subscription.topic} reminders: their chat can no longer be reached (${error.statusCode || error.status})`);
+          await cancelReminders(userId, subscription.id);
+          counts.dropped++;
+          break;
+        }
+        console.error(`Error sending the ${deadline.id} reminder to ${userId}:`, error);
+        await updateReminders(userId, current => {
+          const stored = current.find(item => item.id === subscription.id);
+          if (stored) {
+            delete stored.sent[deadline.id];
+          }
+        });
+        counts.failed++;
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Send every reminder that is due
+ * A reminder is due from daysBefore days ahead of its deadline until the deadline, so reminders missed
+ * while the bot was down are sent on the next run
+ * @param {Object} adapter - The bot adapter, used to send proactive messages
+ * @param {Date} [now] - The current time
+ * @returns {Promise<Object>} - { sent, failed, dropped } counts
+ */
+async function sendDueReminders(adapter, now = new Date()) {
+  const today = getToday(now);
+  const overrides = await listDeadlineOverrides();
+  const totals = { sent: 0, failed: 0, dropped: 0 };
+
+  for (const name of await storageService.listRecords(REMINDERS_PREFIX)) {
+    const userId = name.slice(REMINDERS_PREFIX.length);
+    // Each user is handled on their own, so one failure doesn't stop the rest of the run
+    try {
+      const counts = await sendUserReminders(adapter, userId, overrides, today);
+      Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+    } catch (error) {
+      console.error(`Error sending reminders to ${userId}:`, error);
+      totals.failed++;
+    }
+  }
+
+  if (totals.sent > 0 || totals.failed > 0 || totals.dropped > 0) {
+    console.log(`Deadline reminders: sent ${totals.sent}, ${totals.failed} failed, dropped ${totals.dropped} unreachable subscriptions`);
+  }
+  return totals;
+}
+
+/**
+ * Start sending deadline reminders in the background, shortly after startup and then every REMINDER_CHECK_INTERVAL_MINUTES
+ * @param {Object} adapter - The bot adapter, used to send proactive messages
+ */
+function startReminderJob(adapter) {
+  console.log(`Deadline reminders: checking every ${CHECK_INTERVAL_MINUTES} minutes, ${DEFAULT_DAYS_BEFORE} days ahead by default`);
+  let running = false;
+  const run = async () => {
+    // A slow run isn't overlapped by the next one
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await sendDueReminders(adapter);
+    } catch (error) {
+      console.error('Error sending deadline reminders:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  // Timers are unref'd so they don't keep the process alive on shutdown
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, CHECK_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+module.exports = {
+  REMINDER_TOPICS,
+  DEFAULT_DAYS_BEFORE,
+  MAX_DAYS_BEFORE,
+  getFederalDeadlines,
+  getUpcomingDeadlines,
+  parseTopic,
+  formatDate,
+  formatDeadlineName,
+  formatTopic,
+  isValidOverrideId,
+  validateDeadlineOverride,
+  listDeadlineOverrides,
+  saveDeadlineOverride,
+  deleteDeadlineOverride,
+  loadReminders,
+  subscribe,
+  cancelReminders,
+  sendDueReminders,
+  startReminderJob
+};
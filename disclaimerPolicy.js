@@ -0,0 +1,187 @@
+// Disclaimer policy
+// Firms deploying the bot can supply their own disclaimer wording (with translations), disclaimer mode,
+// classifier rules, extra classification labels and placement in a JSON policy file named by DISCLAIMER_POLICY_FILE.
+// The file is validated when the bot starts so a broken policy never reaches users.
+const fs = require('fs');
+const { z } = require('zod');
+const { classifyTextForDisclaimer, CLASSIFICATION_LABELS, DECISION_PATHS, DEFAULT_CLASSIFIER_RULES } = require('./taxDisclaimerClassifier');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, translate } = require('./localization');
+
+// When disclaimers are shown: on every answer, never, or when the classifier says so
+const DISCLAIMER_MODES = {
+  ALWAYS: 'always',
+  NEVER: 'never',
+  CLASSIFIED: 'classified'
+};
+
+// Where the short disclaimer goes: under the answer, or in its own message after it
+const DISCLAIMER_PLACEMENTS = {
+  FOOTER: 'footer',
+  SEPARATE_MESSAGE: 'separate_message'
+};
+
+// The built-in wording comes from the resource bundles, so it is shown translated
+const DEFAULT_STANDARD_DISCLAIMER = translate(DEFAULT_LANGUAGE, 'disclaimer.standard');
+const DEFAULT_SHORT_DISCLAIMER = translate(DEFAULT_LANGUAGE, 'disclaimer.short');
+
+// Define schema for extra classification labels
+const LabelSchema = z.object({
+  name: z.string().regex(/^[A-Z][A-Z0-9_]*$/, 'Label names must be UPPER_SNAKE_CASE'),
+  description: z.string().min(1).describe('When the classifier should choose this label'),
+  text: z.string().min(1).describe('Text shown with answers that get this label'),
+  includeDisclaimer: z.boolean().default(true).describe('Whether the short disclaimer is shown as well')
+}).strict();
+
+// Define schema for the policy's wording in another language; anything left out is shown in the policy's own wording
+const TranslationSchema = z.object({
+  standardDisclaimer: z.string().min(1).optional(),
+  shortDisclaimer: z.string().min(1).optional(),
+  labels: z.record(z.string(), z.string().min(1)).default({}).describe('Label texts by label name')
+}).strict();
+
+// Define schema for the policy file; every field is optional and falls back to the built-in policy
+const DisclaimerPolicySchema = z.object({
+  mode: z.enum(Object.values(DISCLAIMER_MODES)).default(DISCLAIMER_MODES.CLASSIFIED),
+  placement: z.enum(Object.values(DISCLAIMER_PLACEMENTS)).default(DISCLAIMER_PLACEMENTS.FOOTER),
+  standardDisclaimer: z.string().min(1).default(DEFAULT_STANDARD_DISCLAIMER),
+  shortDisclaimer: z.string().min(1).default(DEFAULT_SHORT_DISCLAIMER),
+  classifierRules: z.array(z.string().min(1)).min(1).default(DEFAULT_CLASSIFIER_RULES),
+  useLocalRules: z.boolean().default(true),
+  failSafeLabel: z.string().default(CLASSIFICATION_LABELS.NEEDS_DISCLAIMER),
+  labels: z.array(LabelSchema).default([]),
+  translations: z.record(z.string(), TranslationSchema).default({}).describe('Translated wording by language code, e.g. "es"')
+}).strict().superRefine((policy, ctx) => {
+  const builtInLabels = Object.values(CLASSIFICATION_LABELS);
+  const extraLabels = policy.labels.map(label => label.name);
+
+  extraLabels.forEach((name, index) => {
+    if (builtInLabels.includes(name) || extraLabels.indexOf(name) !== index) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['labels', index, 'name'], message: `Label ${name} is already defined` });
+    }
+  });
+
+  if (![...builtInLabels, ...extraLabels].includes(policy.failSafeLabel)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['failSafeLabel'], message: `Unknown label ${policy.failSafeLabel}` });
+  }
+
+  for (const [language, translation] of Object.entries(policy.translations)) {
+    if (!SUPPORTED_LANGUAGES[language]) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['translations', language], message: `Unsupported language ${language}. Use ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}.` });
+    }
+    for (const name of Object.keys(translation.labels)) {
+      if (!extraLabels.includes(name)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['translations', language, 'labels', name], message: `Unknown label ${name}` });
+      }
+    }
+  }
+});
+
+/**
+ * Load and validate the disclaimer policy
+ * @param {string} [filePath] - Path to the JSON policy file, defaults to DISCLAIMER_POLICY_FILE
+ * @returns {Object} - The validated policy, with defaults filled in
+ */
+function loadDisclaimerPolicy(filePath = process.env.DISCLAIMER_POLICY_FILE) {
+  if (!filePath) {
+    console.log('Disclaimer policy: using the built-in policy');
+    return DisclaimerPolicySchema.parse({});
+  }
+
+  let policyFile;
+  try {
+    policyFile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read disclaimer policy ${filePath}: ${error.message}`);
+  }
+
+  const result = DisclaimerPolicySchema.safeParse(policyFile);
+  if (!result.success) {
+    const issues = result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; ');
+    throw new Error(`Invalid disclaimer policy ${filePath}: ${issues}`);
+  }
+
+  console.log(`Disclaimer policy: loaded ${filePath} (mode: ${result.data.mode}, placement: ${result.data.placement}, extra labels: ${result.data.labels.map(label => label.name).join(', ') || 'none'})`);
+  return result.data;
+}
+
+/**
+ * Classify an answer according to the policy's mode
+ * @param {OpenAI} openaiClient - The OpenAI client used by the classifier
+ * @param {string} text - The answer text
+ * @param {Object} policy - The disclaimer policy
+ * @returns {Promise<Object>} - The classification with class_label, explanation and decision_path
+ */
+async function classifyForPolicy(openaiClient, text, policy) {
+  if (policy.mode === DISCLAIMER_MODES.ALWAYS || policy.mode === DISCLAIMER_MODES.NEVER) {
+    return {
+      class_label: policy.mode === DISCLAIMER_MODES.ALWAYS ? CLASSIFICATION_LABELS.NEEDS_DISCLAIMER : CLASSIFICATION_LABELS.NO_DISCLAIMER_NEEDED,
+      explanation: `The disclaimer policy mode is "${policy.mode}"`,
+      decision_path: DECISION_PATHS.POLICY
+    };
+  }
+
+  return classifyTextForDisclaimer(openaiClient, text, policy);
+}
+
+/**
+ * Get one of the policy's disclaimers in a language
+ * Uses the policy's translation, then the bundled translation of the built-in wording, then the policy's own wording
+ * @param {Object} policy - The disclaimer policy
+ * @param {string} field - "standardDisclaimer" or "shortDisclaimer"
+ * @param {string} language - The language code
+ * @returns {string} - The disclaimer
+ */
+function getDisclaimer(policy, field, language) {
+  const translation = policy.translations[language] || {};
+  if (translation[field]) {
+    return translation[field];
+  }
+  if (field === 'standardDisclaimer' && policy.standardDisclaimer === DEFAULT_STANDARD_DISCLAIMER) {
+    return translate(language, 'disclaimer.standard');
+  }
+  if (field === 'shortDisclaimer' && policy.shortDisclaimer === DEFAULT_SHORT_DISCLAIMER) {
+    return translate(language, 'disclaimer.short');
+  }
+  return policy[field];
+}
+
+/**
+ * Get the standard disclaimer shown when a conversation starts
+ * @param {Object} policy - The disclaimer policy
+ * @param {string} [language] - The language code
+ * @returns {string} - The disclaimer
+ */
+function getStandardDisclaimer(policy, language = DEFAULT_LANGUAGE) {
+  return getDisclaimer(policy, 'standardDisclaimer', language);
+}
+
+/**
+ * Get the notes to show with an answer for its classification label
+ * @param {Object} policy - The disclaimer policy
+ * @param {string} classLabel - The classification label
+ * @param {string} [language] - The language code
+ * @returns {Array<string>} - The short disclaimer and/or label text, empty if nothing should be shown
+ */
+function getDisclaimerNotes(policy, classLabel, language = DEFAULT_LANGUAGE) {
+  const shortDisclaimer = getDisclaimer(policy, 'shortDisclaimer', language);
+  if (classLabel === CLASSIFICATION_LABELS.NEEDS_DISCLAIMER) {
+    return [shortDisclaimer];
+  }
+
+  const label = policy.labels.find(item => item.name === classLabel);
+  if (!label) {
+    return [];
+  }
+  const translation = policy.translations[language] || {};
+  const labelText = (translation.labels && translation.labels[label.name]) || label.text;
+  return label.includeDisclaimer ? [labelText, shortDisclaimer] : [labelText];
+}
+
+module.exports = {
+  DISCLAIMER_MODES,
+  DISCLAIMER_PLACEMENTS,
+  loadDisclaimerPolicy,
+  classifyForPolicy,
+  getStandardDisclaimer,
+  getDisclaimerNotes
+};
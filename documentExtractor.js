@@ -0,0 +1,300 @@
+// Tax document extraction
+// Reads W-2, 1099 and 1098 forms that users upload in personal chats. Files are downloaded into memory,
+// their text is extracted locally (pdf-parse for PDFs, tesseract.js OCR for images) and a model turns
+// the text into a summary of box values. The downloaded file itself is never written to storage.
+const crypto = require('crypto');
+const axios = require('axios');
+const { z } = require('zod');
+const { default: Instructor } = require('@instructor-ai/instructor');
+const { PDFParse } = require('pdf-parse');
+const { createWorker } = require('tesseract.js');
+const { redactText } = require('./piiRedactor');
+const { fromChatCompletionUsage } = require('./usageTracker');
+const { callOpenAI } = require('./openaiResilience');
+const { DEFAULT_LANGUAGE, translate, LocalizedError } = require('./localization');
+
+// Attachment content type Teams uses for files uploaded in personal chats
+const FILE_DOWNLOAD_INFO = 'application/vnd.microsoft.teams.file.download.info';
+
+// File types that can be read, by extension
+const SUPPORTED_FILE_TYPES = {
+  pdf: 'pdf',
+  png: 'image',
+  jpg: 'image',
+  jpeg: 'image'
+};
+
+// Largest file that will be downloaded, configurable per deployment
+const MAX_DOCUMENT_BYTES = parseInt(process.env.DOCUMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+
+// Model that turns the extracted text into box values
+const DOCUMENT_MODEL = 'gpt-4.1-mini';
+
+// Forms the assistant knows how to summarize
+const FORM_TYPES = [
+  'W-2', '1099-NEC', '1099-MISC', '1099-INT', '1099-DIV', '1099-B', '1099-R', '1099-G', '1099-K',
+  '1098', '1098-E', '1098-T', 'OTHER'
+];
+
+// Define schema for the extracted form
+const TaxDocumentSchema = z.object({
+  form_type: z.enum(FORM_TYPES).describe("The IRS form, or OTHER if the document isn't one of the listed forms"),
+  tax_year: z.number().int().nullable().describe("The tax year printed on the form, or null if it isn't shown"),
+  issuer_name: z.string().nullable().describe("The employer, payer, lender or school that issued the form"),
+  boxes: z.array(z.object({
+    box: z.string().describe("The box number or code, e.g. '1', '12a' or '2b'"),
+    label: z.string().describe("The box label as printed on the form"),
+    value: z.string().describe("The amount or value in the box, as printed")
+  })).describe("Every box that has a value, in form order")
+});
+
+/**
+ * Get the file type of an attachment from its name or content type
+ * @param {Object} attachment - The activity attachment
+ * @returns {string|null} - The file extension if supported, otherwise null
+ */
+function getFileType(attachment) {
+  if (attachment.contentType === FILE_DOWNLOAD_INFO) {
+    const fileType = ((attachment.content && attachment.content.fileType) || '').toLowerCase();
+    return SUPPORTED_FILE_TYPES[fileType] ? fileType : null;
+  }
+
+  if (attachment.contentType && attachment.contentType.startsWith('image/')) {
+    const fileType = attachment.contentType.slice('image/'.length).toLowerCase();
+    return SUPPORTED_FILE_TYPES[fileType] ? fileType : null;
+  }
+
+  return null;
+}
+
+/**
+ * Find the uploaded files in an activity that can be read as tax documents
+ * @param {Object} activity - The message activity
+ * @returns {Array<Object>} - { name, fileType, url, requiresBotToken } for each supported attachment
+ */
+function getDocumentAttachments(activity) {
+  return (activity.attachments || [])
+    .filter(attachment => getFileType(attachment))
+    .map(attachment => {
+      const fileType = getFileType(attachment);
+      const isUploadedFile = attachment.contentType === FILE_DOWNLOAD_INFO;
+      return {
+        name: attachment.name || `image.${fileType}`,
+        fileType: fileType,
+        url: isUploadedFile ? attachment.content.downloadUrl : attachment.contentUrl,
+        // Inline images are served by the Bot Framework and need the bot's token, uploaded files use a pre-authorized URL
+        requiresBotToken: !isUploadedFile
+      };
+    });
+}
+
+/**
+ * Get a Bot Framework access token for downloading inline images
+ * @param {TurnContext} context - The turn context for the current message
+ * @returns {Promise<string|null>} - The token, or null if no credentials are available (e.g. the Test Tool)
+ */
+async function getBotToken(context) {
+  const connectorClient = context.turnState.get(context.adapter.ConnectorClientKey);
+  if (!connectorClient || !connectorClient.credentials || typeof connectorClient.credentials.getToken !== 'function') {
+    return null;
+  }
+  return connectorClient.credentials.getToken();
+}
+
+/**
+ * Download an attachment into memory
+ * @param {TurnContext} context - The turn context for the current message
+ * @param {Object} attachment - A document attachment from getDocumentAttachments
+ * @returns {Promise<Buffer>} - The file contents
+ */
+async function downloadAttachment(context, attachment) {
+  if (attachment.url.startsWith('data:')) {
+    return Buffer.from(attachment.url.slice(attachment.url.indexOf(',') + 1), 'base64');
+  }
+
+  const headers = {};
+  if (attachment.requiresBotToken) {
+    const token = await getBotToken(context);
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+  }
+
+  const response = await axios.get(attachment.url, {
+    headers: headers,
+    responseType: 'arraybuffer',
+    maxContentLength: MAX_DOCUMENT_BYTES
+  });
+  return Buffer.from(response.data);
+}
+
+/**
+ * Extract the text of a PDF or image locally
+ * @param {Buffer} buffer - The file contents
+ * @param {string} fileType - The file extension
+ * @returns {Promise<string>} - The extracted text
+ */
+async function extractText(buffer, fileType) {
+  if (SUPPORTED_FILE_TYPES[fileType] === 'pdf') {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const result = await parser.getText();
+      return result.text;
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  // OCR language data is downloaded on first use unless OCR_LANG_PATH points to a local copy
+  const worker = await createWorker('eng', undefined, process.env.OCR_LANG_PATH ? { langPath: process.env.OCR_LANG_PATH } : {});
+  try {
+    const { data } = await worker.recognize(buffer);
+    return data.text;
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/**
+ * Turn the extracted text of a tax form into structured box values
+ * @param {OpenAI} openaiClient - The OpenAI client
+ * @param {string} text - The extracted document text
+ * @returns {Promise<Object>} - The form_type, tax_year, issuer_name and boxes
+ */
+async function structureDocumentText(openaiClient, text) {
+  const instructor = Instructor({
+    client: openaiClient,
+    mode: "TOOLS"
+  });
+
+  const prompt = `
+    The following text was extracted from a U.S. tax form (W-2, 1099 or 1098) with PDF text extraction or OCR, so the layout may be scrambled.
+    Identify the form and list every box that has a value, matching each value to its box number and label.
+
+    Rules:
+    1. Only report values that appear in the text. Never guess or calculate a value.
+    2. Leave out Social Security numbers, ITINs, EINs and other taxpayer identification numbers, account numbers and street addresses.
+    3. Keep amounts exactly as printed.
+
+    Extracted text:
+    ${text}
+    `;
+
+  // Retries are left to callOpenAI, like the disclaimer classification
+  return callOpenAI(signal => instructor.chat.completions.create({
+    messages: [{ role: "user", content: prompt }],
+    model: DOCUMENT_MODEL,
+    response_model: {
+      schema: TaxDocumentSchema,
+      name: "TaxDocument"
+    },
+    max_retries: 0
+  }, { signal: signal, maxRetries: 0 }), { label: "Document extraction" });
+}
+
+/**
+ * Download, read and summarize an uploaded tax document
+ * @param {TurnContext} context - The turn context for the current message
+ * @param {OpenAI} openaiClient - The OpenAI client
+ * @param {Object} attachment - A document attachment from getDocumentAttachments
+ * @param {Array<Object>} [usageEntries] - Collects the token usage of the model call
+ * @returns {Promise<Object>} - { id, name, formType, taxYear, issuerName, boxes, extractedAt }
+ */
+async function extractDocument(context, openaiClient, attachment, usageEntries = []) {
+  const buffer = await downloadAttachment(context, attachment);
+  if (buffer.length > MAX_DOCUMENT_BYTES) {
+    throw new LocalizedError('documents.tooLarge', { name: attachment.name, limit: Math.round(MAX_DOCUMENT_BYTES / (1024 * 1024)) });
+  }
+
+  const text = (await extractText(buffer, attachment.fileType)).trim();
+  console.log(`Extracted ${text.length} characters of text from ${attachment.name}`);
+  if (!text) {
+    throw new LocalizedError('documents.noText', { name: attachment.name });
+  }
+
+  // Forms carry SSNs, EINs and account numbers, so remove them before the text is sent to OpenAI
+  const structured = await structureDocumentText(openaiClient, redactText(text).text);
+  usageEntries.push(fromChatCompletionUsage(DOCUMENT_MODEL, structured._meta ? structured._meta.usage : undefined));
+  return {
+    id: crypto.randomUUID(),
+    name: attachment.name,
+    formType: structured.form_type,
+    taxYear: structured.tax_year,
+    issuerName: structured.issuer_name,
+    boxes: structured.boxes,
+    extractedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Describe a document in a few words, e.g. "Form W-2 (2025) from Contoso"
+ * @param {Object} document - An extracted document
+ * @param {string} [language] - The language code, English for the conversation history
+ * @returns {string} - The description
+ */
+function describeDocument(document, language = DEFAULT_LANGUAGE) {
+  const form = document.formType === 'OTHER' ? document.name : translate(language, 'documents.form', { formType: document.formType });
+  const year = document.taxYear ? ` (${document.taxYear})` : '';
+  return document.issuerName
+    ? translate(language, 'documents.fromIssuer', { document: `${form}${year}`, issuer: document.issuerName })
+    : `${form}${year}`;
+}
+
+/**
+ * Format the box values of a document as a Markdown bullet list
+ * @param {Object} document - An extracted document
+ * @param {string} [language] - The language code, English for the conversation history
+ * @returns {string} - One bullet per box
+ */
+function formatDocumentBoxes(document, language = DEFAULT_LANGUAGE) {
+  return document.boxes.map(box => `- ${translate(language, 'documents.box', { box: box.box })} (${box.label}): ${box.value}`).join('\n');
+}
+
+/**
+ * Build the history message that gives the model the confirmed values of a document
+ * @param {Object} document - An extracted document the user confirmed
+ * @returns {string} - The message text
+ */
+function buildDocumentMessage(document) {
+  return `[Uploaded document] ${describeDocument(document)}. I confirmed that these values were read correctly:\n${formatDocumentBoxes(document)}`;
+}
+
+/**
+ * Build an Adaptive Card showing the extracted values for the user to confirm
+ * Submitting the card sends { command: 'documents', action: 'confirm' | 'discard', documentId } back to the bot
+ * @param {Object} document - An extracted document
+ * @param {string} [language] - The user's language code
+ * @returns {Object} - The card attachment
+ */
+function buildDocumentCard(document, language = DEFAULT_LANGUAGE) {
+  return {
+    contentType: 'application/vnd.microsoft.card.adaptive',
+    content: {
+      type: 'AdaptiveCard',
+      $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+      version: '1.5',
+      body: [
+        { type: 'TextBlock', text: describeDocument(document, language), weight: 'Bolder', size: 'Medium', wrap: true },
+        { type: 'TextBlock', text: translate(language, 'documents.card.checkValues', { name: document.name }), wrap: true, isSubtle: true },
+        {
+          type: 'FactSet',
+          facts: document.boxes.map(box => ({ title: translate(language, 'documents.box', { box: box.box }), value: `${box.value} (${box.label})` }))
+        }
+      ],
+      actions: [
+        { type: 'Action.Submit', title: translate(language, 'documents.card.confirm'), data: { command: 'documents', action: 'confirm', documentId: document.id } },
+        { type: 'Action.Submit', title: translate(language, 'documents.card.discard'), data: { command: 'documents', action: 'discard', documentId: document.id } }
+      ]
+    }
+  };
+}
+
+module.exports = {
+  FORM_TYPES,
+  getDocumentAttachments,
+  extractDocument,
+  describeDocument,
+  formatDocumentBoxes,
+  buildDocumentMessage,
+  buildDocumentCard
+};
@@ -0,0 +1,46 @@
+// This script exports answer feedback for reviewers, by default only the answers users rated 👎
+// Usage: npm run export-feedback -- [--all] [--format csv|json] [--output <file>]
+// Without --output, the export is written to feedback-export-<date>.<format> in the current directory
+const fs = require('fs');
+const path = require('path');
+
+// Use the same storage settings as the bot when running locally
+const envPath = path.join(__dirname, 'env', '.env.dev.user');
+if (process.env.RUNNING_ON_AZURE !== '1' && fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+}
+
+const { FEEDBACK_RATINGS, listFeedback, feedbackToCsv } = require('./feedbackLog');
+
+/**
+ * Read the value following a command-line flag
+ * @param {Array<string>} args - The command-line arguments
+ * @param {string} flag - The flag, e.g. "--format"
+ * @returns {string|undefined} - The value, or undefined if the flag isn't given
+ */
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+async function exportFeedback() {
+  const args = process.argv.slice(2);
+  const format = getFlagValue(args, '--format') || 'csv';
+  const output = getFlagValue(args, '--output') || `feedback-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  if (!['csv', 'json'].includes(format)) {
+    throw new Error(`Unsupported format "${format}". Use csv or json.`);
+  }
+
+  const records = await listFeedback(args.includes('--all') ? {} : { rating: FEEDBACK_RATINGS.NEGATIVE });
+  const content = format === 'json' ? JSON.stringify(records, null, 2) + '\n' : feedbackToCsv(records);
+
+  // Written to a file rather than stdout, since the storage service logs to stdout
+  fs.writeFileSync(output, content);
+  console.log(`Exported ${records.length} feedback records to ${output}`);
+}
+
+exportFeedback().catch(error => {
+  console.error('Error exporting feedback:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,199 @@
+// Answer feedback
+// Stores thumbs-up/thumbs-down feedback on answers, with the question, the answer and its disclaimer
+// classification, so reviewers can find and export the answers users said were wrong
+const crypto = require('crypto');
+const storageService = require('./storageService');
+const { DEFAULT_LANGUAGE, translate } = require('./localization');
+
+// Feedback ratings
+const FEEDBACK_RATINGS = {
+  POSITIVE: 'positive',
+  NEGATIVE: 'negative'
+};
+
+// Prefix of the feedback records in storage
+const FEEDBACK_PREFIX = 'feedback/';
+
+/**
+ * Get the ID of a user's feedback on an answer, so giving feedback again updates the same record
+ * @param {string} answerId - The ID of the answer
+ * @param {string} userId - The user ID
+ * @returns {string} - The feedback ID
+ */
+function getFeedbackId(answerId, userId) {
+  return crypto.createHash('sha256').update(`${answerId}:${userId}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Find an answer and the question it answered in the conversation history
+ * @param {Array} history - The conversation history
+ * @param {string} answerId - The ID of the answer
+ * @returns {Object|null} - { question, answer } messages, or null if the answer is no longer in the history
+ */
+function findAnswer(history, answerId) {
+  const index = history.findIndex(message => message.role === 'assistant' && message.id === answerId);
+  if (index === -1) {
+    return null;
+  }
+
+  const question = history.slice(0, index).reverse().find(message => message.role === 'user');
+  return { question: question || null, answer: history[index] };
+}
+
+/**
+ * Get the text of a history message
+ * @param {Object} message - Message object with role and content
+ * @returns {string} - The message text
+ */
+function getText(message) {
+  return message ? message.content.map(content => content.text).join('\n\n') : '';
+}
+
+/**
+ * Save a rating for an answer, keeping any comment given earlier
+ * @param {Object} details - { conversationId, userId, rating, question, answer } where question and answer are history messages
+ * @returns {Promise<Object>} - The saved feedback record
+ */
+async function saveFeedback({ conversationId, userId, rating, question, answer }) {
+  const id = getFeedbackId(answer.id, userId);
+  const now = new Date().toISOString();
+
+  // The record is updated conditionally, so a comment saved at the same time isn't lost
+  const { data: feedback } = await storageService.updateRecord(`${FEEDBACK_PREFIX}${id}`, () => null, existing => ({
+    id: id,
+    conversationId: conversationId,
+    userId: userId,
+    answerId: answer.id,
+    rating: rating,
+    comment: existing ? existing.comment : undefined,
+    question: getText(question),
+    answer: getText(answer),
+    classification: answer.classification,
+    answeredAt: answer.timestamp,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  }));
+
+  console.log(`Saved ${rating} feedback ${id} for answer ${answer.id}`);
+  return feedback;
+}
+
+/**
+ * Add a "what was wrong" comment to a user's feedback on an answer
+ * @param {string} answerId - The ID of the answer
+ * @param {string} userId - The user ID
+ * @param {string} comment - The comment
+ * @returns {Promise<Object|null>} - The updated feedback record, or null if the user hasn't rated the answer
+ */
+async function addFeedbackComment(answerId, userId, comment) {
+  const id = getFeedbackId(answerId, userId);
+  const { data: feedback } = await storageService.updateRecord(`${FEEDBACK_PREFIX}${id}`, () => null, existing => (
+    existing ? { ...existing, comment: comment, updatedAt: new Date().toISOString() } : null
+  ));
+  return feedback;
+}
+
+/**
+ * List stored feedback, oldest first
+ * @param {Object} [filter] - { rating } to only include one rating
+ * @returns {Promise<Array<Object>>} - The feedback records
+ */
+async function listFeedback(filter = {}) {
+  const names = await storageService.listRecords(FEEDBACK_PREFIX);
+  const records = [];
+  for (const name of names) {
+    const feedback = await storageService.loadRecord(name);
+    if (feedback && (!filter.rating || feedback.rating === filter.rating)) {
+      records.push(feedback);
+    }
+  }
+  return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Format feedback records as CSV for spreadsheets
+ * Cells that a spreadsheet would run as a formula (starting with =, +, -, @, tab or carriage return) are
+ * prefixed with ' so user comments and questions open as plain text
+ * @param {Array<Object>} records - The feedback records
+ * @returns {string} - The CSV text with a header row
+ */
+function feedbackToCsv(records) {
+  const columns = ['createdAt', 'rating', 'comment', 'question', 'answer', 'classification', 'conversationId', 'userId', 'answerId'];
+  const escape = value => {
+    let text = String(value === undefined || value === null ? '' : value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+  };
+
+  const rows = records.map(record => columns.map(column => {
+    if (column === 'classification') {
+      return escape(record.classification ? record.classification.class_label : '');
+    }
+    return escape(record[column]);
+  }).join(','));
+
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Build the thumbs-up/thumbs-down card attached to each answer
+ * Submitting the card sends { command: 'feedback', action: 'rate', rating, answerId } back to the bot
+ * @param {string} answerId - The ID of the answer
+ * @param {string} [language] - The user's language code
+ * @returns {Object} - The card attachment
+ */
+function buildFeedbackCard(answerId, language = DEFAULT_LANGUAGE) {
+  return {
+    contentType: 'application/vnd.microsoft.card.adaptive',
+    content: {
+      type: 'AdaptiveCard',
+      $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+      version: '1.5',
+      body: [
+        { type: 'TextBlock', text: translate(language, 'feedback.card.question'), size: 'Small', isSubtle: true }
+      ],
+      actions: [
+        { type: 'Action.Submit', title: '👍', data: { command: 'feedback', action: 'rate', rating: FEEDBACK_RATINGS.POSITIVE, answerId: answerId } },
+        { type: 'Action.Submit', title: '👎', data: { command: 'feedback', action: 'rate', rating: FEEDBACK_RATINGS.NEGATIVE, answerId: answerId } }
+      ]
+    }
+  };
+}
+
+/**
+ * Build the card asking what was wrong with an answer
+ * Submitting the card sends { command: 'feedback', action: 'comment', answerId, comment } back to the bot
+ * @param {string} answerId - The ID of the answer
+ * @param {string} [language] - The user's language code
+ * @returns {Object} - The card attachment
+ */
+function buildFeedbackCommentCard(answerId, language = DEFAULT_LANGUAGE) {
+  return {
+    contentType: 'application/vnd.microsoft.card.adaptive',
+    content: {
+      type: 'AdaptiveCard',
+      $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+      version: '1.5',
+      body: [
+        { type: 'TextBlock', text: translate(language, 'feedback.card.whatWasWrong'), wrap: true },
+        { type: 'Input.Text', id: 'comment', isMultiline: true, maxLength: 2000, placeholder: translate(language, 'feedback.card.commentPlaceholder') }
+      ],
+      actions: [
+        { type: 'Action.Submit', title: translate(language, 'feedback.card.send'), data: { command: 'feedback', action: 'comment', answerId: answerId } }
+      ]
+    }
+  };
+}
+
+module.exports = {
+  FEEDBACK_RATINGS,
+  findAnswer,
+  saveFeedback,
+  addFeedbackComment,
+  listFeedback,
+  feedbackToCsv,
+  buildFeedbackCard,
+  buildFeedbackCommentCard
+};
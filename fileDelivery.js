@@ -0,0 +1,98 @@
+// File delivery to Teams users
+// In Teams personal chats, files are sent with the file consent flow: the bot sends a consent card
+// and, once the user accepts, uploads the file to the user's OneDrive.
+// Other channels (e.g. the Test Tool) receive the file inline as a data URL attachment.
+const axios = require('axios');
+
+// Card content types used by the Teams file consent flow
+const FILE_CONSENT_CARD = 'application/vnd.microsoft.teams.card.file.consent';
+const FILE_INFO_CARD = 'application/vnd.microsoft.teams.card.file.info';
+
+/**
+ * Check whether the Teams file consent flow can be used in this conversation
+ * Bots can only upload files to OneDrive in personal chats
+ * @param {TurnContext} context - The turn context for the current message
+ * @returns {boolean} - True if a file consent card can be sent
+ */
+function supportsFileConsent(context) {
+  const activity = context.activity;
+  return activity.channelId === 'msteams' &&
+    activity.conversation &&
+    activity.conversation.conversationType === 'personal';
+}
+
+/**
+ * Offer a file to the user
+ * Sends a file consent card in Teams personal chats, otherwise sends the file inline
+ * @param {TurnContext} context - The turn context for the current message
+ * @param {Object} file - { name, buffer, contentType, description }
+ * @param {Object} acceptContext - Data echoed back when the user accepts, used to rebuild the file
+ */
+async function offerFile(context, file, acceptContext) {
+  if (!supportsFileConsent(context)) {
+    await context.sendActivity({
+      text: file.description,
+      attachments: [
+        {
+          name: file.name,
+          contentType: file.contentType,
+          contentUrl: `data:${file.contentType};base64,${file.buffer.toString('base64')}`
+        }
+      ]
+    });
+    return;
+  }
+
+  await context.sendActivity({
+    attachments: [
+      {
+        contentType: FILE_CONSENT_CARD,
+        name: file.name,
+        content: {
+          description: file.description,
+          sizeInBytes: file.buffer.length,
+          acceptContext: acceptContext,
+          declineContext: acceptContext
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Upload a file after the user accepted a file consent card and send a file info card
+ * @param {TurnContext} context - The turn context for the invoke activity
+ * @param {Object} fileConsentCardResponse - The consent response containing the upload info
+ * @param {Buffer} buffer - The file contents
+ */
+async function uploadAcceptedFile(context, fileConsentCardResponse, buffer) {
+  const uploadInfo = fileConsentCardResponse.uploadInfo;
+
+  await axios.put(uploadInfo.uploadUrl, buffer, {
+    headers: {
+      'Content-Length': buffer.length,
+      'Content-Range': `bytes 0-${buffer.length - 1}/${buffer.length}`
+    },
+    maxBodyLength: Infinity
+  });
+
+  await context.sendActivity({
+    attachments: [
+      {
+        contentType: FILE_INFO_CARD,
+        contentUrl: uploadInfo.contentUrl,
+        name: uploadInfo.name,
+        content: {
+          uniqueId: uploadInfo.uniqueId,
+          fileType: uploadInfo.fileType
+        }
+      }
+    ]
+  });
+}
+
+module.exports = {
+  offerFile,
+  uploadAcceptedFile,
+  supportsFileConsent
+};
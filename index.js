@@ -33,27 +33,16 @@ const {
   CloudAdapter,
   ConfigurationServiceClientCredentialFactory,
   ConfigurationBotFrameworkAuthentication,
-  MemoryStorage,
   ConversationState,
 } = require("botbuilder");
 const { TeamsBot } = require("./teamsBot");
+const { BotStateStorage } = require("./botStateStorage");
 const config = require("./config");
-
-// Auto-delete local dev conversation history for personal chat at startup
-if (process.env.USE_LOCAL_STORAGE === 'true') {
-  const fs = require('fs');
-  const path = require('path');
-  const historyDir = path.join(__dirname, 'history');
-  const personalChatFile = path.join(historyDir, 'personal-chat-id.json');
-  if (fs.existsSync(personalChatFile)) {
-    try {
-      fs.unlinkSync(personalChatFile);
-      console.log('[DEV] Deleted local conversation history: personal-chat-id.json');
-    } catch (err) {
-      console.warn('[DEV] Could not delete personal-chat-id.json:', err.message);
-    }
-  }
-}
+const { createAdminRouter } = require("./adminApi");
+const { getStorageBackend } = require("./storageAdapters");
+const storageService = require("./storageService");
+const { startRetentionJob } = require("./dataRetention");
+const { startReminderJob } = require("./deadlineReminders");
 
 // Create adapter.
 // See https://aka.ms/about-bot-adapter to learn more about adapters.
@@ -68,8 +57,8 @@ const botFrameworkAuthentication = new ConfigurationBotFrameworkAuthentication(
 const adapter = new CloudAdapter(botFrameworkAuthentication);
 
 // Create storage and state
-const memoryStorage = new MemoryStorage();
-const conversationState = new ConversationState(memoryStorage);
+// State is kept in the configured storage backend rather than in memory, so any instance can serve any conversation
+const conversationState = new ConversationState(new BotStateStorage());
 
 // Set up error handling for the adapter
 adapter.onTurnError = async (context, error) => {
@@ -86,7 +75,7 @@ adapter.onTurnError = async (context, error) => {
     hasVectorStoreKey: !!process.env.OPENAI_VECTOR_STORE_ID,
     storingConversationLogs: process.env.OPENAI_STORE_CONVERSATION_LOGS,
     runningOnAzure: !!process.env.RUNNING_ON_AZURE,
-    usingLocalStorage: process.env.USE_LOCAL_STORAGE,
+    storageBackend: getStorageBackend(),
     country: process.env.BOT_LOCATION_COUNTRY,
     region: process.env.BOT_LOCATION_REGION,
     city: process.env.BOT_LOCATION_CITY,
@@ -110,25 +99,6 @@ const bot = new TeamsBot(conversationState);
 const expressApp = express();
 expressApp.use(express.json());
 
-const server = expressApp.listen(process.env.port || process.env.PORT || 3978, () => {
-  console.log(`\nBot Started, ${expressApp.name} listening to`, server.address());
-  // Log configuration at startup to diagnose issues
-  console.log('Bot configuration:', {
-    nodeEnv: process.env.NODE_ENV,
-    botId: process.env.BOT_ID,
-    botType: process.env.BOT_TYPE,
-    hasOpenAiKey: !!process.env.OPENAI_API_KEY,
-    hasVectorStoreKey: !!process.env.OPENAI_VECTOR_STORE_ID,
-    storingConversationLogs: process.env.OPENAI_STORE_CONVERSATION_LOGS,
-    runningOnAzure: !!process.env.RUNNING_ON_AZURE,
-    usingLocalStorage: process.env.USE_LOCAL_STORAGE,
-    country: process.env.BOT_LOCATION_COUNTRY,
-    region: process.env.BOT_LOCATION_REGION,
-    city: process.env.BOT_LOCATION_CITY,
-    timezone: process.env.BOT_TIMEZONE
-  });
-});
-
 // Listen for incoming requests
 expressApp.post("/api/messages", async (req, res) => {
   console.log('Received message activity');
@@ -143,15 +113,53 @@ expressApp.post("/api/messages", async (req, res) => {
   }
 });
 
+// Authenticated admin routes for stored conversations, usage, feedback and audit logs
+expressApp.use("/api/admin", createAdminRouter(bot));
+
 // A simple health check endpoint
 expressApp.get("/health", (req, res) => {
   res.status(200).send("Bot is running");
 });
 
+// Connect to storage before taking messages or starting the background jobs, so a storage backend that can't
+// be reached stops the bot rather than letting it answer without the saved histories
+let server;
+storageService.initialize().then(() => {
+  // Purge conversations and user data that are past the retention period
+  startRetentionJob();
+
+  // Send proactive deadline reminders to users who subscribed with /remind
+  startReminderJob(adapter);
+
+  server = expressApp.listen(process.env.port || process.env.PORT || 3978, () => {
+    console.log(`\nBot Started, ${expressApp.name} listening to`, server.address());
+    // Log configuration at startup to diagnose issues
+    console.log('Bot configuration:', {
+      nodeEnv: process.env.NODE_ENV,
+      botId: process.env.BOT_ID,
+      botType: process.env.BOT_TYPE,
+      hasOpenAiKey: !!process.env.OPENAI_API_KEY,
+      hasVectorStoreKey: !!process.env.OPENAI_VECTOR_STORE_ID,
+      storingConversationLogs: process.env.OPENAI_STORE_CONVERSATION_LOGS,
+      runningOnAzure: !!process.env.RUNNING_ON_AZURE,
+      storageBackend: getStorageBackend(),
+      country: process.env.BOT_LOCATION_COUNTRY,
+      region: process.env.BOT_LOCATION_REGION,
+      city: process.env.BOT_LOCATION_CITY,
+      timezone: process.env.BOT_TIMEZONE
+    });
+  });
+}).catch(error => {
+  console.error(`Error connecting to ${getStorageBackend()} storage, stopping the bot: `, error);
+  process.exit(1);
+});
+
 // Gracefully shutdown HTTP server
 ["exit", "uncaughtException", "SIGINT", "SIGTERM", "SIGUSR1", "SIGUSR2"].forEach((event) => {
   process.on(event, () => {
-    server.close();
+    if (server) {
+      server.close();
+    }
   });
 });
 
@@ -0,0 +1,159 @@
+// Localization
+// The bot's own messages come from the resource bundles in locales/, one JSON file per language. Users are
+// answered in their /language choice, otherwise in the language of their Teams locale, falling back to English.
+const path = require('path');
+
+// Languages with a resource bundle, by code, with their name in that language
+const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  es: 'Español'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Language names in English, used in the system message
+const LANGUAGE_NAMES_IN_ENGLISH = {
+  en: 'English',
+  es: 'Spanish'
+};
+
+// Where the user's language came from, for display
+const LANGUAGE_SOURCES = {
+  USER: 'user',
+  LOCALE: 'locale',
+  DEFAULT: 'default'
+};
+
+const bundles = Object.fromEntries(Object.keys(SUPPORTED_LANGUAGES).map(language =>
+  [language, require(path.join(__dirname, 'locales', `${language}.json`))]
+));
+
+/**
+ * Get the supported language for a locale or language name
+ * @param {string} value - A locale (e.g. "es-MX"), language code (e.g. "es") or language name (e.g. "Spanish", "Español")
+ * @returns {string|null} - The language code, or null if the language isn't supported
+ */
+function parseLanguage(value) {
+  if (!value) {
+    return null;
+  }
+  const normalized = String(value).trim().toLowerCase();
+  const code = normalized.split(/[-_]/)[0];
+  if (SUPPORTED_LANGUAGES[code]) {
+    return code;
+  }
+  return Object.keys(SUPPORTED_LANGUAGES).find(language =>
+    SUPPORTED_LANGUAGES[language].toLowerCase() === normalized || LANGUAGE_NAMES_IN_ENGLISH[language].toLowerCase() === normalized
+  ) || null;
+}
+
+/**
+ * Work out which language to use with a user
+ * @param {string} locale - The locale of the user's Teams client, from activity.locale
+ * @param {Object} userSettings - The user's settings, with the language chosen with /language if any
+ * @returns {Object} - { language, source } where source is one of LANGUAGE_SOURCES
+ */
+function resolveLanguage(locale, userSettings = {}) {
+  if (userSettings.language && SUPPORTED_LANGUAGES[userSettings.language]) {
+    return { language: userSettings.language, source: LANGUAGE_SOURCES.USER };
+  }
+  const localeLanguage = parseLanguage(locale);
+  if (localeLanguage) {
+    return { language: localeLanguage, source: LANGUAGE_SOURCES.LOCALE };
+  }
+  return { language: DEFAULT_LANGUAGE, source: LANGUAGE_SOURCES.DEFAULT };
+}
+
+/**
+ * Look up a message in a bundle
+ * @param {Object} bundle - The resource bundle
+ * @param {string} key - The message key, with "." between levels (e.g. "errors.loadConversation")
+ * @returns {string|undefined} - The message, or undefined if the bundle doesn't have it
+ */
+function lookup(bundle, key) {
+  const message = key.split('.').reduce((level, part) => (level && typeof level === 'object' ? level[part] : undefined), bundle);
+  return typeof message === 'string' ? message : undefined;
+}
+
+/**
+ * Get a message in a language, filling in its {placeholders}
+ * Messages missing from a bundle fall back to English
+ * @param {string} language - The language code
+ * @param {string} key - The message key (e.g. "errors.loadConversation")
+ * @param {Object} [params] - Values for the message's placeholders
+ * @param {string} [fallback] - Used when no bundle has the message, defaults to the key
+ * @returns {string} - The message
+ */
+function translate(language, key, params = {}, fallback = key) {
+  let message = lookup(bundles[language] || {}, key);
+  if (message === undefined) {
+    message = lookup(bundles[DEFAULT_LANGUAGE], key);
+  }
+  if (message === undefined) {
+    if (fallback === key) {
+      console.warn(`No message ${key} in the ${language} resource bundle`);
+    }
+    message = fallback;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+/**
+ * An error whose message is meant for the user, kept as a message key so it can be shown in their language
+ * The error's own message is the English text, for logs
+ */
+class LocalizedError extends Error {
+  /**
+   * @param {string} key - The message key (e.g. "profile.errors.unknownField")
+   * @param {Object} [params] - Values for the message's placeholders
+   */
+  constructor(key, params = {}) {
+    super(translate(DEFAULT_LANGUAGE, key, params));
+    this.name = 'LocalizedError';
+    this.key = key;
+    this.params = params;
+  }
+}
+
+/**
+ * Get the message of an error in a language
+ * @param {string} language - The language code
+ * @param {Error} error - The error
+ * @returns {string} - The translated message for a LocalizedError, otherwise the error's own message
+ */
+function translateError(language, error) {
+  return error instanceof LocalizedError ? translate(language, error.key, error.params) : error.message;
+}
+
+/**
+ * Join items into a list in a language, e.g. "A, B and C"
+ * @param {string} language - The language code
+ * @param {Array<string>} items - The items
+ * @returns {string} - The list
+ */
+function formatList(language, items) {
+  return new Intl.ListFormat(language, { style: 'long', type: 'conjunction' }).format(items);
+}
+
+/**
+ * Build the system message section telling the model which language to answer in
+ * @param {string} language - The user's language code
+ * @returns {string} - The section to append to the system message
+ */
+function buildLanguagePrompt(language) {
+  const languageName = LANGUAGE_NAMES_IN_ENGLISH[language] || LANGUAGE_NAMES_IN_ENGLISH[DEFAULT_LANGUAGE];
+  return `**Language:** The user's preferred language is ${languageName}. Answer in ${languageName}, unless the user writes to you in another language, in which case answer in the language they write in. Keep IRS form, schedule and publication names and numbers (e.g. Form 1040, Schedule C, Form W-2, Publication 17) and Internal Revenue Code and Treasury Regulation citations (e.g. IRC § 162, 26 U.S.C. § 63, Treas. Reg. § 1.162-1) in their original English wording; you may add a translation in parentheses after a form name the first time it appears. Tax terms that have no exact equivalent may also be given in English in parentheses.`;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LANGUAGE_SOURCES,
+  parseLanguage,
+  resolveLanguage,
+  translate,
+  LocalizedError,
+  translateError,
+  formatList,
+  buildLanguagePrompt
+};
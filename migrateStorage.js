@@ -0,0 +1,114 @@
+// This script copies stored records (conversation histories, settings, profiles, feedback, usage and audit logs)
+// from one storage backend to another, e.g. when moving from local files to SQLite or Azure Blob Storage
+// Usage: npm run migrate-storage -- --from <backend> --to <backend> [--from-path <path>] [--to-path <path>] [--overwrite] [--dry-run]
+// Backends are local, azure-blob and sqlite, configured with the same settings as the bot; --from-path and
+// --to-path override the folder (local) or database file (sqlite). Records whose names were stored without
+// encoding by older versions are written under their encoded names, and when migrating a backend onto
+// itself the old copies are removed, so this also upgrades existing storage in place.
+const fs = require('fs');
+const path = require('path');
+
+// Use the same storage settings as the bot when running locally
+const envPath = path.join(__dirname, 'env', '.env.dev.user');
+if (process.env.RUNNING_ON_AZURE !== '1' && fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+}
+
+const { STORAGE_BACKENDS, createStorageAdapter } = require('./storageAdapters');
+const { encodeRecordName, decodeRecordKey } = require('./storageAdapters/recordKeys');
+
+/**
+ * Read the value following a command-line flag
+ * @param {Array<string>} args - The command-line arguments
+ * @param {string} flag - The flag, e.g. "--from"
+ * @returns {string|undefined} - The value, or undefined if the flag isn't given
+ */
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Check whether two adapters point at the same storage
+ * @param {Object} source - The source adapter
+ * @param {Object} target - The target adapter
+ * @returns {boolean} - True if both read and write the same records
+ */
+function isSameStorage(source, target) {
+  return source.name === target.name &&
+    source.rootPath === target.rootPath &&
+    source.databasePath === target.databasePath &&
+    source.containerName === target.containerName;
+}
+
+async function migrateStorage() {
+  const args = process.argv.slice(2);
+  const from = getFlagValue(args, '--from');
+  const to = getFlagValue(args, '--to');
+  const overwrite = args.includes('--overwrite');
+  const dryRun = args.includes('--dry-run');
+
+  const backends = Object.values(STORAGE_BACKENDS);
+  if (!backends.includes(from) || !backends.includes(to)) {
+    throw new Error(`Choose the backends to migrate between with --from and --to (${backends.join(', ')})`);
+  }
+
+  const source = createStorageAdapter(from, { path: getFlagValue(args, '--from-path') });
+  const target = createStorageAdapter(to, { path: getFlagValue(args, '--to-path') });
+  const inPlace = isSameStorage(source, target);
+  await source.initialize();
+  if (!inPlace) {
+    await target.initialize();
+  }
+
+  const counts = { copied: 0, skipped: 0, failed: 0 };
+  for (const key of await source.list('')) {
+    try {
+      const targetKey = encodeRecordName(decodeRecordKey(key));
+      if (inPlace && targetKey === key) {
+        counts.skipped++;
+        continue;
+      }
+
+      const record = await source.read(key);
+      if (record === null) {
+        counts.skipped++;
+        continue;
+      }
+      const content = record.content;
+      try {
+        JSON.parse(content);
+      } catch (error) {
+        throw new Error('the record is not valid JSON');
+      }
+      if (!overwrite && (await target.read(targetKey)) !== null) {
+        console.log(`Skipping ${key}: ${targetKey} already exists in ${to} storage (use --overwrite to replace it)`);
+        counts.skipped++;
+        continue;
+      }
+
+      if (!dryRun) {
+        await target.write(targetKey, content);
+        if (inPlace) {
+          await source.delete(key);
+        }
+      }
+      console.log(`${dryRun ? 'Would copy' : 'Copied'} ${key} to ${targetKey}`);
+      counts.copied++;
+    } catch (error) {
+      // Keep going so one unreadable record doesn't block the rest; the exit code reports the failure
+      console.error(`Failed to migrate ${key}: ${error.message}`);
+      counts.failed++;
+    }
+  }
+
+  console.log(`${dryRun ? 'Dry run: ' : ''}${counts.copied} records ${dryRun ? 'to copy' : 'copied'}, ${counts.skipped} skipped, ${counts.failed} failed`);
+  if (counts.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+migrateStorage().catch(error => {
+  console.error('Error migrating storage:', error.message);
+  process.exit(1);
+});
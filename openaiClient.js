@@ -0,0 +1,489 @@
+// OpenAI client with offline modes
+// OPENAI_MODE chooses how the bot talks to OpenAI:
+// - live (the default): calls the OpenAI API
+// - record: calls the OpenAI API and saves every request and its response as a fixture file
+// - replay: answers every request from the recorded fixtures, failing on a request that wasn't recorded
+// - stub: answers every request from a scripted stub responder (OPENAI_STUB_SCRIPT) or built-in canned answers
+// Outside live mode the client only has the methods the bot uses: responses.create (with or without streaming),
+// chat.completions.create (through Instructor) and vectorStores.files.retrieve.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+
+const OPENAI_MODES = {
+  LIVE: 'live',
+  RECORD: 'record',
+  REPLAY: 'replay',
+  STUB: 'stub'
+};
+
+const DEFAULT_FIXTURES_PATH = 'fixtures/openai';
+
+// Instructor picks its request format from the client's base URL
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Parts of a request that change from run to run without changing what is asked, masked before the
+// request is matched to a fixture
+const VOLATILE_TEXT = [
+  { pattern: /Today's date is [^\n]*/g, replacement: "Today's date is <date>." },
+  { pattern: /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, replacement: '<timestamp>' }
+];
+
+// Request fields that don't change the answer; a fixture recorded with streaming can be replayed without it
+const IGNORED_REQUEST_FIELDS = ['stream', 'stream_options'];
+
+/**
+ * Mask the volatile parts of a request and sort object keys, so equal requests serialize the same way
+ * @param {*} value - The request or a part of it
+ * @returns {*} - The normalized value
+ */
+function normalizeRequest(value) {
+  if (typeof value === 'string') {
+    return VOLATILE_TEXT.reduce((text, { pattern, replacement }) => text.replace(pattern, replacement), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeRequest);
+  }
+  if (value && typeof value === 'object') {
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined && !IGNORED_REQUEST_FIELDS.includes(key)) {
+        normalized[key] = normalizeRequest(value[key]);
+      }
+    }
+    return normalized;
+  }
+  return value;
+}
+
+/**
+ * Get the fixture file name for a request
+ * @param {string} method - The client method, e.g. "responses.create"
+ * @param {Object} request - The normalized request
+ * @returns {string} - The file name
+ */
+function getFixtureName(method, request) {
+  const hash = crypto.createHash('sha256').update(`${method}\n${JSON.stringify(request)}`).digest('hex');
+  return `${method}-${hash.slice(0, 16)}.json`;
+}
+
+/**
+ * Get the text of the last user message in a request, which stub rules are matched against
+ * @param {Object} request - The request
+ * @returns {string} - The text, or "" if the request has none
+ */
+function getLastUserText(request) {
+  const messages = request.messages || (Array.isArray(request.input) ? request.input : [{ role: 'user', content: request.input }]);
+  const message = [...messages].reverse().find(item => item && item.role === 'user');
+  if (!message) {
+    return '';
+  }
+  if (Array.isArray(message.content)) {
+    return message.content.map(part => part.text || '').join('\n');
+  }
+  return message.content || '';
+}
+
+/**
+ * Create an API error like the ones the OpenAI client throws
+ * @param {Object} error - { status, message, code, type, headers }
+ * @returns {APIError} - The error
+ */
+function createAPIError(error) {
+  return OpenAI.APIError.generate(
+    error.status,
+    { error: { message: error.message, code: error.code || null, type: error.type || null } },
+    undefined,
+    new Headers(error.headers || {})
+  );
+}
+
+/**
+ * Save an API error in a fixture
+ * @param {Error} error - The error thrown by the OpenAI client
+ * @returns {Object|null} - { status, message, code, type, headers }, or null for errors that aren't API responses
+ */
+function serializeAPIError(error) {
+  if (!(error instanceof OpenAI.APIError) || !error.status) {
+    return null;
+  }
+  return {
+    status: error.status,
+    message: (error.error && error.error.message) || error.message,
+    code: error.code || null,
+    type: error.type || null,
+    headers: error.headers ? Object.fromEntries(error.headers.entries()) : {}
+  };
+}
+
+/**
+ * Turn a completed Responses API response into the events of a streamed response
+ * @param {Object} response - The response
+ * @returns {Array<Object>} - The stream events
+ */
+function toStreamEvents(response) {
+  const events = [{ type: 'response.created', response: { ...response, status: 'in_progress', output: [] } }];
+  for (const item of response.output || []) {
+    for (const part of item.content || []) {
+      if (part.type === 'output_text') {
+        // Split the text into a few deltas so streaming to Teams is exercised
+        for (const delta of part.text.match(/[\s\S]{1,40}/g) || []) {
+          events.push({ type: 'response.output_text.delta', item_id: item.id, delta: delta });
+        }
+      }
+    }
+  }
+  events.push({ type: 'response.completed', response: response });
+  return events.map((event, index) => ({ ...event, sequence_number: index }));
+}
+
+/**
+ * Get the completed response from the events of a streamed response
+ * @param {Array<Object>} events - The stream events
+ * @returns {Object|null} - The response, or null if the stream didn't finish
+ */
+function fromStreamEvents(events) {
+  const completed = events.find(event => event.type === 'response.completed' || event.type === 'response.incomplete');
+  return completed ? completed.response : null;
+}
+
+/**
+ * Yield stream events like the OpenAI client's stream
+ * @param {Array<Object>} events - The events
+ * @returns {AsyncGenerator<Object>} - The events
+ */
+async function* streamEvents(events) {
+  for (const event of events) {
+    yield event;
+  }
+}
+
+/**
+ * Build a client exposing the methods the bot uses, each calling handle(method, request, options)
+ * @param {Function} handle - Handles a call; resolves to the response, or an async iterable of events for streams
+ * @returns {Object} - The client
+ */
+function createClient(handle) {
+  return {
+    baseURL: OPENAI_BASE_URL,
+    responses: {
+      create: (request, options) => handle('responses.create', request, options)
+    },
+    chat: {
+      completions: {
+        create: (request, options) => handle('chat.completions.create', request, options)
+      }
+    },
+    vectorStores: {
+      files: {
+        retrieve: (fileId, params, options) => handle('vectorStores.files.retrieve', { file_id: fileId, ...params }, options)
+      }
+    }
+  };
+}
+
+/**
+ * Call the matching method of the real OpenAI client
+ * @param {OpenAI} openai - The OpenAI client
+ * @param {string} method - The client method
+ * @param {Object} request - The request
+ * @param {Object} [options] - Request options such as signal
+ * @returns {Promise<Object>} - The response or stream
+ */
+function callLiveClient(openai, method, request, options) {
+  switch (method) {
+    case 'responses.create':
+      return openai.responses.create(request, options);
+    case 'chat.completions.create':
+      return openai.chat.completions.create(request, options);
+    case 'vectorStores.files.retrieve': {
+      const { file_id, ...params } = request;
+      return openai.vectorStores.files.retrieve(file_id, params, options);
+    }
+    default:
+      throw new Error(`Unsupported OpenAI method ${method}`);
+  }
+}
+
+/**
+ * Create a client that calls OpenAI and saves each request and response as a fixture
+ * @param {string} fixturesPath - The fixtures folder
+ * @returns {Object} - The client
+ */
+function createRecordingClient(fixturesPath) {
+  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  fs.mkdirSync(fixturesPath, { recursive: true });
+
+  const saveFixture = (method, request, result) => {
+    const normalized = normalizeRequest(request);
+    const name = getFixtureName(method, normalized);
+    fs.writeFileSync(path.join(fixturesPath, name), JSON.stringify({ method: method, request: normalized, ...result }, null, 2));
+    console.log(`Recorded OpenAI ${method} fixture ${name}`);
+  };
+
+  return createClient(async (method, request, options) => {
+    let result;
+    try {
+      result = await callLiveClient(openai, method, request, options);
+    } catch (error) {
+      const apiError = serializeAPIError(error);
+      if (apiError) {
+        saveFixture(method, request, { error: apiError });
+      }
+      throw error;
+    }
+
+    if (!request.stream) {
+      saveFixture(method, request, { response: result });
+      return result;
+    }
+
+    // Pass the stream through, saving its events once it has finished
+    return (async function* () {
+      const events = [];
+      for await (const event of result) {
+        events.push(event);
+        yield event;
+      }
+      if (fromStreamEvents(events)) {
+        saveFixture(method, request, { events: events });
+      }
+    })();
+  });
+}
+
+/**
+ * Answer a call from a fixture or stub result, as a stream if the request asked for one
+ * @param {Object} request - The request
+ * @param {Object} result - { response } or { events } or { error }
+ * @returns {Object|AsyncGenerator<Object>} - The response or stream
+ * @throws {APIError} If the result is an error
+ */
+function answerFromResult(request, result) {
+  if (result.error) {
+    throw createAPIError(result.error);
+  }
+  if (request.stream) {
+    return streamEvents(result.events || toStreamEvents(result.response));
+  }
+  return result.response || fromStreamEvents(result.events);
+}
+
+/**
+ * Create a client that answers from recorded fixtures
+ * @param {string} fixturesPath - The fixtures folder
+ * @returns {Object} - The client
+ */
+function createReplayClient(fixturesPath) {
+  return createClient(async (method, request) => {
+    const name = getFixtureName(method, normalizeRequest(request));
+    const fixturePath = path.join(fixturesPath, name);
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`No recorded OpenAI ${method} fixture ${name} in ${fixturesPath}. Run with OPENAI_MODE=record to record it.`);
+    }
+    return answerFromResult(request, JSON.parse(fs.readFileSync(fixturePath, 'utf8')));
+  });
+}
+
+/**
+ * Make up a value that fits a JSON schema, for tool calls the stub script doesn't answer
+ * @param {Object} schema - The JSON schema
+ * @returns {*} - The value
+ */
+function exampleFromSchema(schema = {}) {
+  if (schema.const !== undefined) {
+    return schema.const;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+  const options = schema.anyOf || schema.oneOf;
+  if (Array.isArray(options) && options.length > 0) {
+    return exampleFromSchema(options.find(option => option.type !== 'null') || options[0]);
+  }
+  const type = Array.isArray(schema.type) ? schema.type.find(item => item !== 'null') : schema.type;
+  switch (type) {
+    case 'object': {
+      const value = {};
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        value[key] = exampleFromSchema(property);
+      }
+      return value;
+    }
+    case 'array':
+      return [];
+    case 'number':
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return 'stub';
+  }
+}
+
+/**
+ * Load the stub script
+ * OPENAI_STUB_SCRIPT is a JSON file of rules, or a module exporting respond(method, request) that returns the
+ * same kind of object as a rule (or nothing to use the built-in answer)
+ * @param {string} [scriptPath] - The script file
+ * @returns {Function} - Returns the stub rule for a call, or null
+ */
+function loadStubScript(scriptPath = process.env.OPENAI_STUB_SCRIPT) {
+  if (!scriptPath) {
+    console.log('OpenAI stub: using the built-in answers');
+    return () => null;
+  }
+
+  if (scriptPath.endsWith('.js')) {
+    const script = require(path.resolve(scriptPath));
+    if (typeof script.respond !== 'function') {
+      throw new Error(`${scriptPath} must export a respond function`);
+    }
+    console.log(`OpenAI stub: answering from ${scriptPath}`);
+    return (method, request) => script.respond(method, request) || null;
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(scriptPath, 'utf8')).rules;
+  } catch (error) {
+    throw new Error(`Could not read OpenAI stub script ${scriptPath}: ${error.message}`);
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error(`OpenAI stub script ${scriptPath} must have a "rules" array`);
+  }
+  console.log(`OpenAI stub: loaded ${rules.length} rule(s) from ${scriptPath}`);
+
+  return (method, request) => rules.find(rule => {
+    if (rule.method && rule.method !== method) {
+      return false;
+    }
+    if (rule.tool && !(request.tools || []).some(tool => (tool.function ? tool.function.name : tool.name) === rule.tool)) {
+      return false;
+    }
+    return !rule.match || new RegExp(rule.match, 'i').test(getLastUserText(request));
+  }) || null;
+}
+
+/**
+ * Build a Responses API response with a text answer
+ * @param {string} id - The response ID
+ * @param {Object} request - The request
+ * @param {string} text - The answer text
+ * @returns {Object} - The response
+ */
+function createTextResponse(id, request, text) {
+  return {
+    id: id,
+    object: 'response',
+    model: request.model,
+    status: 'completed',
+    output: [{
+      id: `msg_${id}`,
+      type: 'message',
+      role: 'assistant',
+      status: 'completed',
+      content: [{ type: 'output_text', text: text, annotations: [] }]
+    }],
+    output_text: text,
+    usage: { input_tokens: 0, output_tokens: 0, total_tokens: 0 }
+  };
+}
+
+/**
+ * Build a Chat Completions response with a text answer or a tool call
+ * @param {string} id - The completion ID
+ * @param {Object} request - The request
+ * @param {Object} rule - The stub rule, with text or arguments
+ * @returns {Object} - The completion
+ */
+function createChatCompletion(id, request, rule) {
+  const tool = (request.tools || [])[0];
+  const message = { role: 'assistant', content: null };
+  if (tool && rule.text === undefined) {
+    const args = rule.arguments !== undefined ? rule.arguments : exampleFromSchema(tool.function.parameters);
+    message.tool_calls = [{
+      id: `call_${id}`,
+      type: 'function',
+      function: { name: tool.function.name, arguments: JSON.stringify(args) }
+    }];
+  } else {
+    message.content = rule.text !== undefined ? rule.text : 'This is a stub answer.';
+  }
+  return {
+    id: id,
+    object: 'chat.completion',
+    model: request.model,
+    choices: [{ index: 0, message: message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  };
+}
+
+/**
+ * Create a client that answers from the stub script
+ * A rule can give the raw response, an error ({ status, message, code }), the answer text, or the arguments of
+ * the tool call answering a Chat Completions request. Calls no rule matches get a canned answer.
+ * @returns {Object} - The client
+ */
+function createStubClient() {
+  const findRule = loadStubScript();
+  let callCount = 0;
+
+  return createClient(async (method, request) => {
+    const rule = (await findRule(method, request)) || {};
+    callCount++;
+    const id = `stub_${callCount}`;
+
+    if (rule.error || rule.response) {
+      return answerFromResult(request, rule);
+    }
+    switch (method) {
+      case 'responses.create':
+        return answerFromResult(request, {
+          response: createTextResponse(`resp_${id}`, request, rule.text !== undefined
+            ? rule.text
+            : `This is a stub answer to: ${getLastUserText(request)}`)
+        });
+      case 'chat.completions.create':
+        return createChatCompletion(`chatcmpl_${id}`, request, rule);
+      case 'vectorStores.files.retrieve':
+        return { id: request.file_id, object: 'vector_store.file', vector_store_id: request.vector_store_id, attributes: {} };
+      default:
+        throw new Error(`Unsupported OpenAI method ${method}`);
+    }
+  });
+}
+
+/**
+ * Create the OpenAI client for the configured OPENAI_MODE
+ * @returns {Object} - The OpenAI client, or a client with the same methods for the offline modes
+ */
+function createOpenAIClient() {
+  const mode = (process.env.OPENAI_MODE || OPENAI_MODES.LIVE).trim().toLowerCase();
+  const fixturesPath = path.resolve(process.env.OPENAI_FIXTURES_PATH || DEFAULT_FIXTURES_PATH);
+
+  switch (mode) {
+    case OPENAI_MODES.LIVE:
+      return new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    case OPENAI_MODES.RECORD:
+      console.log(`OpenAI mode: recording fixtures to ${fixturesPath}`);
+      return createRecordingClient(fixturesPath);
+    case OPENAI_MODES.REPLAY:
+      console.log(`OpenAI mode: replaying fixtures from ${fixturesPath}`);
+      return createReplayClient(fixturesPath);
+    case OPENAI_MODES.STUB:
+      console.log('OpenAI mode: stub answers');
+      return createStubClient();
+    default:
+      throw new Error(`Unknown OPENAI_MODE "${mode}". Use ${Object.values(OPENAI_MODES).join(', ')}.`);
+  }
+}
+
+module.exports = {
+  OPENAI_MODES,
+  createOpenAIClient
+};
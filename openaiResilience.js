@@ -0,0 +1,310 @@
+// Resilient OpenAI calls
+// Retries rate-limited and failed requests with exponential backoff and jitter, gives each attempt a
+// timeout (for streams, a limit on how long to wait for the next event), stops calling OpenAI for a while
+// when it keeps failing (circuit breaker), and sorts errors into categories so users get a message that
+// tells them what to do.
+const { APIConnectionError, APIConnectionTimeoutError } = require('openai');
+const { DEFAULT_LANGUAGE, translate } = require('./localization');
+
+// Error categories, each with its own message for the user (errors.openai.<category> in the resource bundles)
+const OPENAI_ERROR_CATEGORIES = {
+  RATE_LIMITED: 'rate_limited',
+  QUOTA_EXCEEDED: 'quota_exceeded',
+  CONTEXT_TOO_LONG: 'context_too_long',
+  CONTENT_FILTERED: 'content_filtered',
+  CONFIGURATION: 'configuration',
+  TIMEOUT: 'timeout',
+  UNAVAILABLE: 'unavailable',
+  INVALID_REQUEST: 'invalid_request',
+  UNKNOWN: 'unknown'
+};
+
+// Categories worth retrying: the same request may succeed a moment later
+const RETRYABLE_CATEGORIES = [
+  OPENAI_ERROR_CATEGORIES.RATE_LIMITED,
+  OPENAI_ERROR_CATEGORIES.TIMEOUT,
+  OPENAI_ERROR_CATEGORIES.UNAVAILABLE
+];
+
+// Categories that count toward opening the circuit breaker: signs of an outage rather than a bad request
+const OUTAGE_CATEGORIES = [
+  OPENAI_ERROR_CATEGORIES.TIMEOUT,
+  OPENAI_ERROR_CATEGORIES.UNAVAILABLE
+];
+
+// Retry, timeout and circuit breaker settings
+const MAX_RETRIES = process.env.OPENAI_MAX_RETRIES !== undefined && process.env.OPENAI_MAX_RETRIES !== ''
+  ? parseInt(process.env.OPENAI_MAX_RETRIES, 10)
+  : 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.OPENAI_RETRY_BASE_DELAY_MS, 10) || 1000;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.OPENAI_RETRY_MAX_DELAY_MS, 10) || 20000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.OPENAI_REQUEST_TIMEOUT_MS, 10) || 120000;
+// Streams can run longer than a request may take, as long as events keep arriving
+const STREAM_IDLE_TIMEOUT_MS = parseInt(process.env.OPENAI_STREAM_IDLE_TIMEOUT_MS, 10) || 60000;
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.OPENAI_CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+const CIRCUIT_RESET_SECONDS = parseFloat(process.env.OPENAI_CIRCUIT_RESET_SECONDS) || 60;
+
+// Hosted tools that can be left out of a request if they fail, and the patterns of the errors they cause
+const DEGRADABLE_TOOLS = [
+  { type: 'web_search_preview', pattern: /web[_ ]search/i },
+  { type: 'file_search', pattern: /file[_ ]search|vector[_ ]store/i }
+];
+
+class OpenAIRequestError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string} category - One of OPENAI_ERROR_CATEGORIES
+   * @param {Error} [cause] - The underlying error
+   */
+  constructor(message, category, cause) {
+    super(message);
+    this.name = 'OpenAIRequestError';
+    this.category = category;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Sort an OpenAI error into a category
+ * Works on API errors (with a status), connection errors and errors from failed streaming responses (with a code)
+ * @param {Error} error - The error
+ * @returns {string} - One of OPENAI_ERROR_CATEGORIES
+ */
+function categorizeOpenAIError(error) {
+  if (error instanceof OpenAIRequestError) {
+    return error.category;
+  }
+  if (error instanceof APIConnectionTimeoutError) {
+    return OPENAI_ERROR_CATEGORIES.TIMEOUT;
+  }
+
+  const status = error.status;
+  const code = error.code || '';
+  const message = error.message || '';
+  if (code === 'insufficient_quota') {
+    return OPENAI_ERROR_CATEGORIES.QUOTA_EXCEEDED;
+  }
+  if (status === 429 || code === 'rate_limit_exceeded') {
+    return OPENAI_ERROR_CATEGORIES.RATE_LIMITED;
+  }
+  if (code === 'context_length_exceeded' || /context (length|window)|maximum context|too many tokens/i.test(message)) {
+    return OPENAI_ERROR_CATEGORIES.CONTEXT_TOO_LONG;
+  }
+  if (code === 'content_filter' || code === 'content_policy_violation' || /content (management )?policy|content filter/i.test(message)) {
+    return OPENAI_ERROR_CATEGORIES.CONTENT_FILTERED;
+  }
+  if (status === 401 || status === 403 || status === 404 || code === 'invalid_api_key' || code === 'model_not_found') {
+    return OPENAI_ERROR_CATEGORIES.CONFIGURATION;
+  }
+  if (status === 408) {
+    return OPENAI_ERROR_CATEGORIES.TIMEOUT;
+  }
+  if (status >= 500 || code === 'server_error' || error instanceof APIConnectionError) {
+    return OPENAI_ERROR_CATEGORIES.UNAVAILABLE;
+  }
+  if (status === 400 || status === 422) {
+    return OPENAI_ERROR_CATEGORIES.INVALID_REQUEST;
+  }
+  return OPENAI_ERROR_CATEGORIES.UNKNOWN;
+}
+
+/**
+ * Get the message to show the user for a failed OpenAI call
+ * @param {Error} error - The error
+ * @param {string} [language] - The user's language code
+ * @returns {string} - The message
+ */
+function getUserErrorMessage(error, language = DEFAULT_LANGUAGE) {
+  return translate(language, `errors.openai.${categorizeOpenAIError(error)}`);
+}
+
+/**
+ * Find the hosted tool that caused an error, so the request can be retried without it
+ * @param {Error} error - The error
+ * @param {Array<Object>} tools - The tools in the request
+ * @returns {string|null} - The tool type, or null if the error isn't caused by a tool that can be left out
+ */
+function findFailedTool(error, tools) {
+  const category = categorizeOpenAIError(error);
+  if (category === OPENAI_ERROR_CATEGORIES.RATE_LIMITED || category === OPENAI_ERROR_CATEGORIES.QUOTA_EXCEEDED) {
+    return null;
+  }
+  const message = error.cause && error.cause.message ? `${error.message} ${error.cause.message}` : error.message || '';
+  const tool = DEGRADABLE_TOOLS.find(item => item.pattern.test(message) && (tools || []).some(requested => requested.type === item.type));
+  return tool ? tool.type : null;
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Work out how long to wait before retrying
+ * Uses the Retry-After header when OpenAI sends one, otherwise exponential backoff with full jitter
+ * @param {Error} error - The error from the failed attempt
+ * @param {number} attempt - The number of the failed attempt, starting at 1
+ * @returns {number} - Milliseconds to wait
+ */
+function getRetryDelay(error, attempt) {
+  const retryAfter = error.headers && typeof error.headers.get === 'function' ? parseFloat(error.headers.get('retry-after')) : NaN;
+  if (!isNaN(retryAfter)) {
+    return Math.min(retryAfter * 1000, RETRY_MAX_DELAY_MS);
+  }
+  const ceiling = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  return Math.round(Math.random() * ceiling);
+}
+
+class CircuitBreaker {
+  /**
+   * @param {number} failureThreshold - Consecutive outage failures that open the circuit
+   * @param {number} resetSeconds - How long the circuit stays open before a trial call is let through
+   */
+  constructor(failureThreshold, resetSeconds) {
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetSeconds * 1000;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Check whether a call may go ahead
+   * Once the reset time has passed, one trial call is let through; its result closes or reopens the circuit
+   * @returns {boolean} - False while the circuit is open
+   */
+  allowCall() {
+    if (this.openedAt === null) {
+      return true;
+    }
+    if (Date.now() - this.openedAt < this.resetMs || this.trialInProgress) {
+      return false;
+    }
+    this.trialInProgress = true;
+    return true;
+  }
+
+  /**
+   * Check whether the circuit is open, without letting a trial call through
+   * @returns {boolean} - True while calls are paused
+   */
+  isOpen() {
+    return this.openedAt !== null && Date.now() - this.openedAt < this.resetMs;
+  }
+
+  /**
+   * Record a successful call, closing the circuit
+   */
+  recordSuccess() {
+    if (this.openedAt !== null) {
+      console.log('OpenAI circuit breaker closed: calls are succeeding again');
+    }
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Record a call that failed because of an outage, opening the circuit after too many in a row
+   */
+  recordFailure() {
+    this.consecutiveFailures++;
+    if (this.trialInProgress || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.openedAt === null || this.trialInProgress) {
+        console.log(`OpenAI circuit breaker opened after ${this.consecutiveFailures} failures; calls are paused for ${this.resetMs / 1000} seconds`);
+      }
+      this.openedAt = Date.now();
+      this.trialInProgress = false;
+    }
+  }
+
+  /**
+   * Record a call that failed for a reason other than an outage, e.g. a bad request
+   * OpenAI answered, so the circuit isn't opened, but a trial call still has to finish
+   */
+  recordOtherFailure() {
+    if (this.trialInProgress) {
+      this.recordSuccess();
+    }
+  }
+}
+
+// Shared by every OpenAI call the bot makes, so an outage seen by one conversation pauses calls for all of them
+const circuitBreaker = new CircuitBreaker(CIRCUIT_FAILURE_THRESHOLD, CIRCUIT_RESET_SECONDS);
+
+/**
+ * Call OpenAI with retries, a timeout per attempt and the circuit breaker
+ * @param {Function} operation - Makes the call; receives an AbortSignal that fires when the attempt times out, and
+ *                               for streams a function to call whenever an event arrives, which restarts the timeout
+ * @param {Object} [options] - { label, stream, canRetry, onRetry }: a name for the call in logs, true if the operation
+ *                             streams (it then times out after OPENAI_STREAM_IDLE_TIMEOUT_MS without an event rather
+ *                             than after OPENAI_REQUEST_TIMEOUT_MS in all), a function returning false once retrying is
+ *                             no longer safe (e.g. after answer text was shown), and a function run before each retry
+ * @returns {Promise<*>} - The result of the operation
+ * @throws {OpenAIRequestError} If the call fails, with the error's category
+ */
+async function callOpenAI(operation, options = {}) {
+  const label = options.label || 'OpenAI request';
+  const timeoutMs = options.stream ? STREAM_IDLE_TIMEOUT_MS : REQUEST_TIMEOUT_MS;
+  for (let attempt = 1; ; attempt++) {
+    if (!circuitBreaker.allowCall()) {
+      throw new OpenAIRequestError(`${label} skipped: the circuit breaker is open after repeated OpenAI failures`, OPENAI_ERROR_CATEGORIES.UNAVAILABLE);
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer;
+    const restartTimeout = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    };
+    restartTimeout();
+
+    try {
+      const result = await operation(controller.signal, options.stream ? restartTimeout : undefined);
+      circuitBreaker.recordSuccess();
+      return result;
+    } catch (error) {
+      const category = timedOut ? OPENAI_ERROR_CATEGORIES.TIMEOUT : categorizeOpenAIError(error);
+      if (OUTAGE_CATEGORIES.includes(category)) {
+        circuitBreaker.recordFailure();
+      } else {
+        circuitBreaker.recordOtherFailure();
+      }
+
+      const message = timedOut
+        ? `${label} timed out after ${timeoutMs} ms${options.stream ? ' without a stream event' : ''}`
+        : `${label} failed: ${error.message}`;
+      const canRetry = RETRYABLE_CATEGORIES.includes(category) && attempt <= MAX_RETRIES && !circuitBreaker.isOpen() &&
+        (!options.canRetry || options.canRetry());
+      if (!canRetry) {
+        throw new OpenAIRequestError(message, category, error);
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      console.log(`${message} (${category}); retrying in ${delay} ms (retry ${attempt} of ${MAX_RETRIES})`);
+      await sleep(delay);
+      if (options.onRetry) {
+        await options.onRetry();
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = {
+  OPENAI_ERROR_CATEGORIES,
+  OpenAIRequestError,
+  categorizeOpenAIError,
+  getUserErrorMessage,
+  findFailedTool,
+  callOpenAI
+};
@@ -0,0 +1,244 @@
+// Sensitive data redaction
+// Replaces Social Security numbers, ITINs, EINs, bank routing and account numbers and full dates of birth
+// with placeholders such as [SSN_1] before a message is sent to OpenAI or saved. The same value always gets
+// the same placeholder within a conversation; only a keyed hash of each value is kept to make that work.
+const crypto = require('crypto');
+const fs = require('fs');
+const { DEFAULT_LANGUAGE, translate, formatList } = require('./localization');
+
+// Types of sensitive data with the wording used in the warning shown to the user
+const PII_TYPES = {
+  SSN: { label: 'Social Security number' },
+  ITIN: { label: 'ITIN' },
+  EIN: { label: 'employer identification number' },
+  ROUTING_NUMBER: { label: 'bank routing number' },
+  ACCOUNT_NUMBER: { label: 'account number' },
+  DATE_OF_BIRTH: { label: 'date of birth' }
+};
+
+// How far before a match to look for the keywords a rule requires
+const KEYWORD_WINDOW = 30;
+
+/**
+ * Check the ABA checksum of a bank routing number
+ * @param {string} value - The nine-digit routing number
+ * @returns {boolean} - True if the checksum is valid
+ */
+function isValidRoutingNumber(value) {
+  const digits = value.split('').map(Number);
+  const checksum = 3 * (digits[0] + digits[3] + digits[6]) +
+    7 * (digits[1] + digits[4] + digits[7]) +
+    (digits[2] + digits[5] + digits[8]);
+  return checksum % 10 === 0;
+}
+
+// Built-in detection rules, applied in order
+// Numbers that are only sensitive in context (e.g. a bare nine-digit number) require a keyword shortly before them.
+// Routing numbers come first since they also pass a checksum, which makes them the most specific nine-digit rule
+const DEFAULT_RULES = [
+  {
+    type: 'ROUTING_NUMBER',
+    pattern: /\b\d{9}\b/g,
+    keywords: /\b(routing|aba|rtn|transit)\b/i,
+    validate: isValidRoutingNumber
+  },
+  {
+    type: 'ITIN',
+    pattern: /\b9\d{2}([- ])(5\d|6[0-5]|7\d|8[0-8]|9[0-2]|9[4-9])\1\d{4}\b/g
+  },
+  {
+    type: 'SSN',
+    pattern: /\b(?!000|666|9\d{2})\d{3}([- ])(?!00)\d{2}\1(?!0000)\d{4}\b/g
+  },
+  {
+    type: 'EIN',
+    pattern: /\b\d{2}-\d{7}\b/g
+  },
+  {
+    type: 'EIN',
+    pattern: /\b\d{9}\b/g,
+    keywords: /\b(ein|fein|employer id(entification)?)\b/i
+  },
+  {
+    type: 'SSN',
+    pattern: /\b\d{9}\b/g,
+    keywords: /\b(ssn|social security|social|itin|taxpayer id(entification)?)\b/i
+  },
+  {
+    type: 'ACCOUNT_NUMBER',
+    pattern: /\b\d(?:[ -]?\d){5,16}\b/g,
+    keywords: /\b(account|acct|a\/c)\b/i
+  },
+  {
+    type: 'DATE_OF_BIRTH',
+    pattern: /\b(\d{1,2}[/.-]\d{1,2}[/.-]\d{4}|\d{4}-\d{2}-\d{2}|(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(st|nd|rd|th)?,?\s+\d{4}|\d{1,2}\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?,?\s+\d{4})\b/gi,
+    keywords: /\b(born|birth|birthday|birthdate|dob|d\.o\.b\.?)\b/i
+  }
+];
+
+/**
+ * Load extra detection rules from the JSON file named by PII_REDACTION_RULES_FILE
+ * Each rule is { type, label?, pattern, flags?, keywords? } where pattern and keywords are regular expression strings
+ * @returns {Array<Object>} - The custom rules, or an empty array if no file is configured
+ */
+function loadCustomRules() {
+  const rulesFile = process.env.PII_REDACTION_RULES_FILE;
+  if (!rulesFile) {
+    return [];
+  }
+
+  const customRules = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+  if (!Array.isArray(customRules)) {
+    throw new Error(`${rulesFile} must contain an array of redaction rules`);
+  }
+
+  return customRules.map(rule => {
+    if (!rule.type || !rule.pattern) {
+      throw new Error(`Redaction rules in ${rulesFile} need a type and a pattern`);
+    }
+    const flags = rule.flags || 'i';
+    return {
+      type: rule.type.toUpperCase(),
+      label: rule.label,
+      pattern: new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`),
+      keywords: rule.keywords ? new RegExp(rule.keywords, 'i') : undefined
+    };
+  });
+}
+
+/**
+ * Get the detection rules enabled for this deployment
+ * PII_REDACTION_TYPES limits the built-in rules to a comma-separated list of types (e.g. "SSN,EIN"),
+ * and PII_REDACTION_RULES_FILE adds custom rules
+ * @returns {Array<Object>} - The enabled rules
+ */
+function getEnabledRules() {
+  if (process.env.PII_REDACTION_ENABLED === 'false') {
+    return [];
+  }
+
+  const enabledTypes = process.env.PII_REDACTION_TYPES
+    ? process.env.PII_REDACTION_TYPES.split(',').map(type => type.trim().toUpperCase()).filter(Boolean)
+    : Object.keys(PII_TYPES);
+
+  return [
+    ...DEFAULT_RULES.filter(rule => enabledTypes.includes(rule.type)),
+    ...loadCustomRules()
+  ];
+}
+
+// Key used for local development when no secret is configured; never used on Azure or with NODE_ENV=production
+const DEVELOPMENT_HASH_KEY = 'pii-redaction-development-key';
+
+/**
+ * Get the key for hashing redacted values, which must stay the same across restarts so saved placeholders keep matching
+ * PII_REDACTION_KEY is used if set, otherwise a key derived from the bot's password (BOT_PASSWORD)
+ * @returns {string|Buffer} - The key
+ * @throws {Error} In production when neither secret is set
+ */
+function getHashKey() {
+  if (process.env.PII_REDACTION_KEY) {
+    return process.env.PII_REDACTION_KEY;
+  }
+  if (process.env.BOT_PASSWORD) {
+    return Buffer.from(crypto.hkdfSync('sha256', process.env.BOT_PASSWORD, '', 'pii-redaction', 32));
+  }
+  if (process.env.RUNNING_ON_AZURE === '1' || process.env.NODE_ENV === 'production') {
+    throw new Error('Set PII_REDACTION_KEY (or BOT_PASSWORD) so redaction placeholders stay the same across restarts');
+  }
+  return DEVELOPMENT_HASH_KEY;
+}
+
+// Rules and the hash key are read once at startup so a bad rules file or missing key fails fast
+const ENABLED_RULES = getEnabledRules();
+const HASH_KEY = getHashKey();
+
+/**
+ * Hash an identifier (e.g. a user ID) with the redaction key, for records that must not be linked back to the user
+ * @param {string} kind - What the identifier is, e.g. "user"
+ * @param {string} id - The identifier
+ * @returns {string} - The keyed hash
+ */
+function hashIdentifier(kind, id) {
+  return crypto.createHmac('sha256', HASH_KEY).update(`${kind}:${id}`).digest('hex');
+}
+
+/**
+ * Hash a redacted value so its placeholder can be reused without keeping the value
+ * @param {string} type - The PII type
+ * @param {string} value - The matched value
+ * @returns {string} - The keyed hash
+ */
+function hashValue(type, value) {
+  let normalized = value.replace(/[\s./-]/g, '').toLowerCase();
+  
+  // Dates of birth written in different formats should share a placeholder
+  if (type === 'DATE_OF_BIRTH') {
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value.replace(/(\d)(st|nd|rd|th)\b/i, '$1'));
+    if (!isNaN(date.getTime())) {
+      normalized = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    }
+  }
+  return crypto.createHmac('sha256', HASH_KEY).update(`${type}:${normalized}`).digest('hex');
+}
+
+/**
+ * Replace sensitive data in a message with placeholders
+ * @param {string} text - The message text
+ * @param {Object} [placeholders] - Placeholders already used in the conversation, keyed by value hash
+ * @param {Array<Object>} [rules] - Detection rules, defaults to the rules enabled for this deployment
+ * @returns {Object} - { text, redactions, placeholders } where redactions lists { type, label, placeholder } for each value removed
+ */
+function redactText(text, placeholders = {}, rules = ENABLED_RULES) {
+  const updatedPlaceholders = { ...placeholders };
+  const redactions = [];
+  let redactedText = text || '';
+
+  for (const rule of rules) {
+    redactedText = redactedText.replace(rule.pattern, (match, ...rest) => {
+      // Patterns with named groups (possible in custom rules) pass the groups object last
+      const hasNamedGroups = typeof rest[rest.length - 1] === 'object';
+      const offset = rest[rest.length - (hasNamedGroups ? 3 : 2)];
+      const source = rest[rest.length - (hasNamedGroups ? 2 : 1)];
+
+      if (rule.keywords && !rule.keywords.test(source.slice(Math.max(0, offset - KEYWORD_WINDOW), offset))) {
+        return match;
+      }
+      if (rule.validate && !rule.validate(match)) {
+        return match;
+      }
+
+      const hash = hashValue(rule.type, match);
+      if (!updatedPlaceholders[hash]) {
+        const count = Object.values(updatedPlaceholders).filter(placeholder => placeholder.startsWith(`[${rule.type}_`)).length;
+        updatedPlaceholders[hash] = `[${rule.type}_${count + 1}]`;
+      }
+
+      const label = (PII_TYPES[rule.type] && PII_TYPES[rule.type].label) || rule.label || rule.type.toLowerCase();
+      redactions.push({ type: rule.type, label: label, placeholder: updatedPlaceholders[hash] });
+      return updatedPlaceholders[hash];
+    });
+  }
+
+  return { text: redactedText, redactions: redactions, placeholders: updatedPlaceholders };
+}
+
+/**
+ * Build the warning shown to the user when sensitive data was removed from their message
+ * Built-in types are named in the user's language, custom rules by their own label
+ * @param {Array<Object>} redactions - The redactions returned by redactText
+ * @param {string} [language] - The user's language code
+ * @returns {string} - The warning text
+ */
+function buildRedactionWarning(redactions, language = DEFAULT_LANGUAGE) {
+  const labels = [...new Set(redactions.map(redaction => translate(language, `redaction.types.${redaction.type}`, {}, redaction.label)))];
+  return translate(language, 'redaction.warning', { types: formatList(language, labels) });
+}
+
+module.exports = {
+  PII_TYPES,
+  DEFAULT_RULES,
+  redactText,
+  buildRedactionWarning,
+  hashIdentifier
+};
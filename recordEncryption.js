@@ -0,0 +1,213 @@
+// Encryption of stored records at rest
+// Records are sealed with envelope encryption: each record gets its own random data key, the record is
+// encrypted with AES-256-GCM under that data key, and the data key is encrypted ("wrapped") by a key
+// provider. The ID of the wrapping key is stored with the record so keys can be rotated.
+//
+// A key provider implements:
+//   getCurrentKeyId()               the ID of the key new records are wrapped with
+//   wrapKey(dataKey)                resolves to { keyId, encryptedKey } with encryptedKey as a base64 string
+//   unwrapKey(keyId, encryptedKey)  resolves to the data key Buffer
+// The built-in provider uses keys from STORAGE_ENCRYPTION_KEYS. Set STORAGE_ENCRYPTION_KEY_PROVIDER to the
+// path of a module exporting a provider to keep the keys in a service such as Azure Key Vault instead.
+const crypto = require('crypto');
+const path = require('path');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Marks a stored record as encrypted; bump when the format changes
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Encrypt data with AES-256-GCM
+ * @param {Buffer} key - The 256-bit key
+ * @param {Buffer} plaintext - The data to encrypt
+ * @param {string} associatedData - Data the ciphertext is bound to, e.g. the record name
+ * @returns {Object} - { iv, authTag, ciphertext } as Buffers
+ */
+function seal(key, plaintext, associatedData) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(associatedData, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv, authTag: cipher.getAuthTag(), ciphertext: ciphertext };
+}
+
+/**
+ * Decrypt data encrypted by seal
+ * @param {Buffer} key - The 256-bit key
+ * @param {Object} sealed - { iv, authTag, ciphertext } as Buffers
+ * @param {string} associatedData - The data the ciphertext was bound to
+ * @returns {Buffer} - The plaintext; throws if the key is wrong or the data was modified
+ */
+function open(key, sealed, associatedData) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.iv);
+  decipher.setAAD(Buffer.from(associatedData, 'utf8'));
+  decipher.setAuthTag(sealed.authTag);
+  return Buffer.concat([decipher.update(sealed.ciphertext), decipher.final()]);
+}
+
+/**
+ * Key provider for keys given in configuration
+ * Keys are wrapped locally with AES-256-GCM, bound to the key ID
+ */
+class ConfiguredKeyProvider {
+  /**
+   * @param {Map<string, Buffer>} keys - The keys by ID
+   * @param {string} currentKeyId - The ID of the key new records are wrapped with
+   */
+  constructor(keys, currentKeyId) {
+    if (!keys.has(currentKeyId)) {
+      throw new Error(`Storage encryption key "${currentKeyId}" is not in STORAGE_ENCRYPTION_KEYS`);
+    }
+    this.keys = keys;
+    this.currentKeyId = currentKeyId;
+  }
+
+  /**
+   * Get the ID of the key new records are wrapped with
+   * @returns {string} - The key ID
+   */
+  getCurrentKeyId() {
+    return this.currentKeyId;
+  }
+
+  /**
+   * Wrap a data key with the current key
+   * @param {Buffer} dataKey - The data key
+   * @returns {Promise<Object>} - { keyId, encryptedKey }
+   */
+  async wrapKey(dataKey) {
+    const sealed = seal(this.keys.get(this.currentKeyId), dataKey, this.currentKeyId);
+    return {
+      keyId: this.currentKeyId,
+      encryptedKey: Buffer.concat([sealed.iv, sealed.authTag, sealed.ciphertext]).toString('base64')
+    };
+  }
+
+  /**
+   * Unwrap a data key
+   * @param {string} keyId - The ID of the key the data key was wrapped with
+   * @param {string} encryptedKey - The wrapped data key
+   * @returns {Promise<Buffer>} - The data key
+   */
+  async unwrapKey(keyId, encryptedKey) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown storage encryption key "${keyId}"`);
+    }
+    const wrapped = Buffer.from(encryptedKey, 'base64');
+    return open(key, {
+      iv: wrapped.subarray(0, IV_BYTES),
+      authTag: wrapped.subarray(IV_BYTES, IV_BYTES + 16),
+      ciphertext: wrapped.subarray(IV_BYTES + 16)
+    }, keyId);
+  }
+}
+
+/**
+ * Parse STORAGE_ENCRYPTION_KEYS, a comma-separated list of "<keyId>=<base64 key>" pairs
+ * @param {string} value - The configured keys
+ * @returns {Map<string, Buffer>} - The keys by ID, in the order given
+ */
+function parseConfiguredKeys(value) {
+  const keys = new Map();
+  for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.indexOf('=');
+    const keyId = entry.slice(0, separator).trim();
+    const key = Buffer.from(entry.slice(separator + 1).trim(), 'base64');
+    if (separator <= 0 || key.length !== KEY_BYTES) {
+      throw new Error(`Storage encryption keys must be "<keyId>=<base64 key>" with a ${KEY_BYTES}-byte key, got "${keyId || entry.slice(0, 8)}..."`);
+    }
+    keys.set(keyId, key);
+  }
+  return keys;
+}
+
+/**
+ * Load the key provider from configuration
+ * STORAGE_ENCRYPTION_KEY_PROVIDER names a module exporting a provider; otherwise STORAGE_ENCRYPTION_KEYS lists
+ * the keys and STORAGE_ENCRYPTION_KEY_ID picks the current one (default the first)
+ * @returns {Object|null} - The key provider, or null if encryption isn't configured
+ */
+function loadKeyProvider() {
+  const providerModule = process.env.STORAGE_ENCRYPTION_KEY_PROVIDER;
+  if (providerModule) {
+    const provider = require(path.resolve(providerModule));
+    if (!['getCurrentKeyId', 'wrapKey', 'unwrapKey'].every(method => typeof provider[method] === 'function')) {
+      throw new Error(`${providerModule} must export getCurrentKeyId, wrapKey and unwrapKey functions`);
+    }
+    console.log(`Storage encryption: enabled with the key provider in ${providerModule}`);
+    return provider;
+  }
+
+  const configuredKeys = process.env.STORAGE_ENCRYPTION_KEYS;
+  if (!configuredKeys) {
+    return null;
+  }
+  const keys = parseConfiguredKeys(configuredKeys);
+  if (keys.size === 0) {
+    return null;
+  }
+  const provider = new ConfiguredKeyProvider(keys, process.env.STORAGE_ENCRYPTION_KEY_ID || keys.keys().next().value);
+  console.log(`Storage encryption: enabled with key "${provider.getCurrentKeyId()}" (${keys.size} key(s) configured)`);
+  return provider;
+}
+
+/**
+ * Check whether a stored record is encrypted
+ * @param {*} stored - The parsed stored record
+ * @returns {boolean} - True for encrypted records
+ */
+function isEncryptedRecord(stored) {
+  return !!stored && stored.envelope === ENVELOPE_VERSION && typeof stored.ciphertext === 'string';
+}
+
+/**
+ * Encrypt a record
+ * The ciphertext is bound to the record name, so an encrypted record can't be passed off as another one
+ * @param {Object} keyProvider - The key provider
+ * @param {string} name - The record name
+ * @param {*} data - The record data
+ * @returns {Promise<Object>} - The encrypted record to store
+ */
+async function encryptRecord(keyProvider, name, data) {
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const sealed = seal(dataKey, Buffer.from(JSON.stringify(data), 'utf8'), name);
+  const { keyId, encryptedKey } = await keyProvider.wrapKey(dataKey);
+  return {
+    envelope: ENVELOPE_VERSION,
+    algorithm: 'AES-256-GCM',
+    keyId: keyId,
+    encryptedKey: encryptedKey,
+    iv: sealed.iv.toString('base64'),
+    authTag: sealed.authTag.toString('base64'),
+    ciphertext: sealed.ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a record encrypted by encryptRecord
+ * @param {Object} keyProvider - The key provider
+ * @param {string} name - The record name
+ * @param {Object} stored - The encrypted record
+ * @returns {Promise<*>} - The record data
+ */
+async function decryptRecord(keyProvider, name, stored) {
+  const dataKey = await keyProvider.unwrapKey(stored.keyId, stored.encryptedKey);
+  const plaintext = open(dataKey, {
+    iv: Buffer.from(stored.iv, 'base64'),
+    authTag: Buffer.from(stored.authTag, 'base64'),
+    ciphertext: Buffer.from(stored.ciphertext, 'base64')
+  }, name);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = {
+  ConfiguredKeyProvider,
+  loadKeyProvider,
+  isEncryptedRecord,
+  encryptRecord,
+  decryptRecord
+};
@@ -0,0 +1,57 @@
+// This script re-encrypts every stored record with the current storage encryption key
+// Run it after adding a new key to STORAGE_ENCRYPTION_KEYS and making it current with STORAGE_ENCRYPTION_KEY_ID,
+// or after enabling encryption to encrypt records saved before. Once it reports no failures, the old key can be removed.
+// Usage: npm run reencrypt-storage -- [--dry-run]
+const fs = require('fs');
+const path = require('path');
+
+// Use the same storage settings as the bot when running locally
+const envPath = path.join(__dirname, 'env', '.env.dev.user');
+if (process.env.RUNNING_ON_AZURE !== '1' && fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+}
+
+const storageService = require('./storageService');
+const { isEncryptedRecord } = require('./recordEncryption');
+
+async function reencryptStorage() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+  if (!storageService.keyProvider) {
+    throw new Error('Storage encryption is not configured. Set STORAGE_ENCRYPTION_KEYS or STORAGE_ENCRYPTION_KEY_PROVIDER.');
+  }
+  const currentKeyId = storageService.keyProvider.getCurrentKeyId();
+
+  const counts = { reencrypted: 0, current: 0, failed: 0 };
+  for (const name of await storageService.listRecords('')) {
+    try {
+      if (dryRun) {
+        const stored = await storageService.loadStoredRecord(name);
+        const keyId = isEncryptedRecord(stored) ? stored.keyId : null;
+        if (keyId === currentKeyId) {
+          counts.current++;
+        } else {
+          console.log(`Would re-encrypt ${name} (${keyId ? `key "${keyId}"` : 'not encrypted'})`);
+          counts.reencrypted++;
+        }
+      } else if (await storageService.reencryptRecord(name)) {
+        counts.reencrypted++;
+      } else {
+        counts.current++;
+      }
+    } catch (error) {
+      // Keep going so one unreadable record doesn't block the rest; the exit code reports the failure
+      console.error(`Failed to re-encrypt ${name}: ${error.message}`);
+      counts.failed++;
+    }
+  }
+
+  console.log(`${dryRun ? 'Dry run: ' : ''}${counts.reencrypted} records ${dryRun ? 'to re-encrypt' : 're-encrypted'} with key "${currentKeyId}", ${counts.current} already current, ${counts.failed} failed`);
+  if (counts.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+reencryptStorage().catch(error => {
+  console.error('Error re-encrypting storage:', error.message);
+  process.exit(1);
+});
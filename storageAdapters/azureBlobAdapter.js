@@ -0,0 +1,197 @@
+// Azure Blob Storage adapter
+// Stores each record as a JSON blob in one container. Uses Managed Identity on Azure and a connection
+// string elsewhere, following Azure best practices for credential management
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { DefaultAzureCredential, ManagedIdentityCredential } = require('@azure/identity');
+const { StorageError, STORAGE_ERROR_CODES, toStorageError, preconditionFailed } = require('./storageError');
+
+const EXTENSION = '.json';
+
+class AzureBlobAdapter {
+  /**
+   * @param {Object} options - { containerName } the container records are stored in
+   */
+  constructor({ containerName }) {
+    this.name = 'azure-blob';
+    this.containerName = containerName;
+    this.containerClient = null;
+  }
+
+  /**
+   * Create the Blob Storage client
+   * Uses Managed Identity on Azure or a connection string in development
+   * @returns {BlobServiceClient} - The client
+   */
+  createBlobServiceClient() {
+    // Check if on Azure - only use Managed Identity there
+    if (process.env.RUNNING_ON_AZURE === '1' && process.env.AZURE_STORAGE_ACCOUNT_NAME) {
+      const accountName = process.env.AZURE_STORAGE_ACCOUNT_NAME;
+      const blobServiceUrl = `https://${accountName}.blob.core.windows.net`;
+      console.log(`Attempting to connect to Azure Storage account: ${accountName} using Managed Identity`);
+
+      // If there is a specific client ID for the User-Assigned Managed Identity stored, use it
+      if (process.env.BOT_ID) {
+        console.log(`Using User-Assigned Managed Identity with client ID: ${process.env.BOT_ID}`);
+        return new BlobServiceClient(blobServiceUrl, new ManagedIdentityCredential(process.env.BOT_ID));
+      }
+
+      // Otherwise fall back to DefaultAzureCredential which tries multiple authentication methods
+      console.log('Using DefaultAzureCredential for authentication');
+      return new BlobServiceClient(blobServiceUrl, new DefaultAzureCredential());
+    }
+
+    if (process.env.AZURE_STORAGE_CONNECTION_STRING) {
+      console.log('Using connection string for authentication');
+      return BlobServiceClient.fromConnectionString(process.env.AZURE_STORAGE_CONNECTION_STRING);
+    }
+
+    throw new StorageError('No Azure Storage configuration found. Set AZURE_STORAGE_ACCOUNT_NAME or AZURE_STORAGE_CONNECTION_STRING.', STORAGE_ERROR_CODES.UNAVAILABLE, {
+      backend: this.name
+    });
+  }
+
+  /**
+   * Connect to Blob Storage and create the container if needed
+   */
+  async initialize() {
+    try {
+      this.containerClient = this.createBlobServiceClient().getContainerClient(this.containerName);
+
+      // Try to access the container with retries
+      let retries = 3;
+      let containerExists = false;
+      while (retries > 0) {
+        try {
+          containerExists = await this.containerClient.exists();
+          break; // Success, exit retry loop
+        } catch (error) {
+          console.log(`Container check attempt failed, retries left: ${retries - 1}`);
+          retries--;
+          if (retries === 0) throw error;
+          await new Promise(resolve => setTimeout(resolve, 1000)); // Wait before retry
+        }
+      }
+
+      if (!containerExists) {
+        console.log(`Creating container "${this.containerName}"...`);
+        await this.containerClient.create();
+        console.log(`Container "${this.containerName}" created`);
+      }
+      console.log(`Using Azure Blob Storage container "${this.containerName}"`);
+    } catch (error) {
+      // Log authentication details for troubleshooting
+      if (error.name === 'AggregateAuthenticationError' || error.name === 'AuthenticationError') {
+        console.log('Authentication error details:', error.message);
+        console.log(`Storage account name: ${process.env.AZURE_STORAGE_ACCOUNT_NAME || 'not set'}`);
+        console.log(`Connection string available: ${process.env.AZURE_STORAGE_CONNECTION_STRING ? 'Yes' : 'No'}`);
+        console.log(`Bot identity type: ${process.env.BOT_TYPE || 'not set'}`);
+        console.log(`Bot ID (client ID): ${process.env.BOT_ID || 'not set'}`);
+        console.log(`Bot tenant ID: ${process.env.BOT_TENANT_ID || 'not set'}`);
+      }
+      if (error instanceof StorageError) {
+        throw error;
+      }
+      throw new StorageError(`Couldn't connect to Azure Blob Storage: ${error.message}`, STORAGE_ERROR_CODES.UNAVAILABLE, {
+        backend: this.name,
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Get the blob client for a key
+   * @param {string} key - The storage key
+   * @returns {BlockBlobClient} - The blob client
+   */
+  getBlobClient(key) {
+    return this.containerClient.getBlockBlobClient(`${key}${EXTENSION}`);
+  }
+
+  /**
+   * Read a record
+   * @param {string} key - The storage key
+   * @returns {Promise<Object|null>} - { content, eTag }, or null if there is no such record
+   */
+  async read(key) {
+    try {
+      const response = await this.getBlobClient(key).download(0);
+      const chunks = [];
+      for await (const chunk of response.readableStreamBody) {
+        chunks.push(chunk);
+      }
+      return { content: Buffer.concat(chunks).toString('utf8'), eTag: response.etag };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw toStorageError(error, this.name, 'read', key);
+    }
+  }
+
+  /**
+   * Write a record, replacing any existing one
+   * Conditions are passed to Blob Storage, which checks them atomically
+   * @param {string} key - The storage key
+   * @param {string} content - The record contents
+   * @param {Object} [conditions] - { ifMatch } or { ifNoneMatch: '*' }
+   * @returns {Promise<string>} - The new eTag
+   */
+  async write(key, content, conditions = {}) {
+    try {
+      const response = await this.getBlobClient(key).upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: {
+          blobContentType: 'application/json',
+        },
+        conditions: conditions
+      });
+      return response.etag;
+    } catch (error) {
+      // 412 when the eTag doesn't match, 409 when the blob already exists
+      if (error.statusCode === 412 || (conditions.ifNoneMatch && error.statusCode === 409)) {
+        throw preconditionFailed(this.name, key);
+      }
+      throw toStorageError(error, this.name, 'write', key);
+    }
+  }
+
+  /**
+   * Delete a record
+   * @param {string} key - The storage key
+   * @param {Object} [conditions] - { ifMatch }
+   * @returns {Promise<boolean>} - True if a record was deleted
+   */
+  async delete(key, conditions = {}) {
+    try {
+      const deleteResult = await this.getBlobClient(key).deleteIfExists({ conditions: conditions });
+      return deleteResult.succeeded;
+    } catch (error) {
+      if (error.statusCode === 412) {
+        throw preconditionFailed(this.name, key);
+      }
+      throw toStorageError(error, this.name, 'delete', key);
+    }
+  }
+
+  /**
+   * List the keys under a folder prefix, including subfolders
+   * @param {string} prefix - "" for everything, otherwise a folder prefix ending in "/"
+   * @returns {Promise<Array<string>>} - The keys
+   */
+  async list(prefix) {
+    const keys = [];
+    try {
+      for await (const blob of this.containerClient.listBlobsFlat({ prefix: prefix })) {
+        if (blob.name.endsWith(EXTENSION)) {
+          keys.push(blob.name.slice(0, -EXTENSION.length));
+        }
+      }
+    } catch (error) {
+      throw toStorageError(error, this.name, 'list', prefix);
+    }
+    return keys;
+  }
+}
+
+module.exports = {
+  AzureBlobAdapter
+};
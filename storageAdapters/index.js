@@ -0,0 +1,89 @@
+// Storage adapter registry
+// The storage service keeps records in one of several backends. Each adapter implements the same interface:
+//   name                  the backend name, e.g. "local"
+//   initialize()          connect to the backend, creating folders, containers or tables as needed
+//   read(key)             { content, eTag } with the record contents as a string, or null if there is no such record
+//   write(key, content, conditions)
+//                         create or replace a record, resolving to its new eTag. conditions is optional:
+//                         { ifMatch: eTag } only replaces the record if it still has that eTag and
+//                         { ifNoneMatch: '*' } only creates it if it doesn't exist; otherwise the write
+//                         fails with a PRECONDITION_FAILED StorageError
+//   delete(key, conditions)
+//                         delete a record, resolving to true if one was deleted. conditions is optional:
+//                         { ifMatch: eTag } only deletes the record if it still has that eTag, otherwise the
+//                         delete fails with a PRECONDITION_FAILED StorageError
+//   list(prefix)          the keys under a folder prefix ("" for all), including subfolders
+// Keys are encoded record names (see recordKeys.js). Failures are thrown as StorageErrors.
+const os = require('os');
+const path = require('path');
+const { LocalFileAdapter } = require('./localFileAdapter');
+const { AzureBlobAdapter } = require('./azureBlobAdapter');
+const { SqliteAdapter } = require('./sqliteAdapter');
+const { StorageError, STORAGE_ERROR_CODES } = require('./storageError');
+
+const STORAGE_BACKENDS = {
+  LOCAL: 'local',
+  AZURE_BLOB: 'azure-blob',
+  SQLITE: 'sqlite'
+};
+
+// The name of the container where conversation histories will be stored
+const CONTAINER_NAME = 'conversation-history';
+
+/**
+ * Get the folder for local data when no path is configured
+ * On Azure App Service, HOME points at the persistent, writable share; locally, data is kept in the project folder
+ * @returns {string} - The folder
+ */
+function getDefaultDataPath() {
+  if (process.env.RUNNING_ON_AZURE === '1') {
+    return path.join(process.env.HOME || os.tmpdir(), 'data');
+  }
+  return path.join(__dirname, '..');
+}
+
+/**
+ * Get the configured storage backend
+ * STORAGE_BACKEND selects it; without it, USE_LOCAL_STORAGE=true selects local files and anything else Azure Blob Storage
+ * @returns {string} - One of STORAGE_BACKENDS
+ */
+function getStorageBackend() {
+  const backend = process.env.STORAGE_BACKEND;
+  if (backend) {
+    return backend.trim().toLowerCase();
+  }
+  return process.env.USE_LOCAL_STORAGE === 'true' ? STORAGE_BACKENDS.LOCAL : STORAGE_BACKENDS.AZURE_BLOB;
+}
+
+/**
+ * Create a storage adapter
+ * @param {string} backend - One of STORAGE_BACKENDS
+ * @param {Object} [options] - { path } to override LOCAL_STORAGE_PATH or SQLITE_STORAGE_PATH
+ * @returns {Object} - The adapter, not yet initialized
+ */
+function createStorageAdapter(backend, options = {}) {
+  switch (backend) {
+    case STORAGE_BACKENDS.LOCAL: {
+      const defaultPath = process.env.RUNNING_ON_AZURE === '1'
+        ? path.join(getDefaultDataPath(), 'conversation-history')
+        : path.join(getDefaultDataPath(), 'history');
+      return new LocalFileAdapter({ rootPath: path.resolve(options.path || process.env.LOCAL_STORAGE_PATH || defaultPath) });
+    }
+    case STORAGE_BACKENDS.AZURE_BLOB:
+      return new AzureBlobAdapter({ containerName: process.env.AZURE_STORAGE_CONTAINER_NAME || CONTAINER_NAME });
+    case STORAGE_BACKENDS.SQLITE:
+      return new SqliteAdapter({
+        databasePath: path.resolve(options.path || process.env.SQLITE_STORAGE_PATH || path.join(getDefaultDataPath(), 'storage.db'))
+      });
+    default:
+      throw new StorageError(`Unknown storage backend "${backend}". Use ${Object.values(STORAGE_BACKENDS).join(', ')}.`, STORAGE_ERROR_CODES.UNAVAILABLE, {
+        backend: backend
+      });
+  }
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  getStorageBackend,
+  createStorageAdapter
+};
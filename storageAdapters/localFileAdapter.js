@@ -0,0 +1,202 @@
+// Local file system storage adapter
+// Stores each record as a JSON file under a root folder; "/" in keys becomes a subfolder.
+// eTags are hashes of the file contents. Conditional writes take a lock file next to the record, so
+// they are safe across processes sharing the folder (e.g. App Service instances sharing HOME).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { toStorageError, preconditionFailed } = require('./storageError');
+
+const EXTENSION = '.json';
+
+// How long to wait for another writer's lock, and when a lock left by a crashed process is removed
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000;
+
+/**
+ * Calculate the eTag of a record's contents
+ * @param {string} content - The record contents
+ * @returns {string} - The eTag
+ */
+function getETag(content) {
+  return `"${crypto.createHash('sha256').update(content).digest('hex').slice(0, 32)}"`;
+}
+
+class LocalFileAdapter {
+  /**
+   * @param {Object} options - { rootPath } the folder records are stored in
+   */
+  constructor({ rootPath }) {
+    this.name = 'local';
+    this.rootPath = rootPath;
+  }
+
+  /**
+   * Create the storage folder if it doesn't exist
+   */
+  async initialize() {
+    try {
+      fs.mkdirSync(this.rootPath, { recursive: true });
+      console.log(`Using local file storage at ${this.rootPath}`);
+    } catch (error) {
+      throw toStorageError(error, this.name, 'create the folder', this.rootPath);
+    }
+  }
+
+  /**
+   * Get the file path for a key
+   * @param {string} key - The storage key
+   * @returns {string} - The file path
+   */
+  getFilePath(key) {
+    return path.join(this.rootPath, `${key}${EXTENSION}`);
+  }
+
+  /**
+   * Read a record
+   * @param {string} key - The storage key
+   * @returns {Promise<Object|null>} - { content, eTag }, or null if there is no such record
+   */
+  async read(key) {
+    try {
+      const content = fs.readFileSync(this.getFilePath(key), 'utf8');
+      return { content: content, eTag: getETag(content) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw toStorageError(error, this.name, 'read', key);
+    }
+  }
+
+  /**
+   * Write a record, replacing any existing one
+   * The contents are written to a temporary file first so a crash never leaves a half-written record
+   * @param {string} key - The storage key
+   * @param {string} content - The record contents
+   * @param {Object} [conditions] - { ifMatch } or { ifNoneMatch: '*' }
+   * @returns {Promise<string>} - The new eTag
+   */
+  async write(key, content, conditions = {}) {
+    const filePath = this.getFilePath(key);
+    const temporaryPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    const conditional = !!(conditions.ifMatch || conditions.ifNoneMatch);
+    let locked = false;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      if (conditional) {
+        await this.lock(filePath);
+        locked = true;
+        const current = await this.read(key);
+        if ((conditions.ifNoneMatch && current) || (conditions.ifMatch && (!current || current.eTag !== conditions.ifMatch))) {
+          throw preconditionFailed(this.name, key);
+        }
+      }
+      fs.writeFileSync(temporaryPath, content);
+      fs.renameSync(temporaryPath, filePath);
+      return getETag(content);
+    } catch (error) {
+      fs.rmSync(temporaryPath, { force: true });
+      throw toStorageError(error, this.name, 'write', key);
+    } finally {
+      if (locked) {
+        fs.rmSync(`${filePath}.lock`, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Take the lock file for a record, waiting for another writer to release it
+   * @param {string} filePath - The record's file path
+   */
+  async lock(filePath) {
+    const lockPath = `${filePath}.lock`;
+    const started = Date.now();
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockPath, 'wx'));
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      // Remove locks left behind by a process that crashed while writing
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS) {
+          fs.rmSync(lockPath, { force: true });
+          continue;
+        }
+      } catch (error) {
+        continue;
+      }
+      if (Date.now() - started > LOCK_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for the lock on ${filePath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  /**
+   * Delete a record
+   * A conditional delete takes the same lock file as a conditional write
+   * @param {string} key - The storage key
+   * @param {Object} [conditions] - { ifMatch }
+   * @returns {Promise<boolean>} - True if a record was deleted
+   */
+  async delete(key, conditions = {}) {
+    const filePath = this.getFilePath(key);
+    let locked = false;
+    try {
+      if (conditions.ifMatch) {
+        await this.lock(filePath);
+        locked = true;
+        const current = await this.read(key);
+        if (current && current.eTag !== conditions.ifMatch) {
+          throw preconditionFailed(this.name, key);
+        }
+      }
+      fs.unlinkSync(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw toStorageError(error, this.name, 'delete', key);
+    } finally {
+      if (locked) {
+        fs.rmSync(`${filePath}.lock`, { force: true });
+      }
+    }
+  }
+
+  /**
+   * List the keys under a folder prefix, including subfolders
+   * @param {string} prefix - "" for everything, otherwise a folder prefix ending in "/"
+   * @returns {Promise<Array<string>>} - The keys
+   */
+  async list(prefix) {
+    const directory = path.join(this.rootPath, prefix);
+    let entries;
+    try {
+      entries = fs.readdirSync(directory, { recursive: true, withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw toStorageError(error, this.name, 'list', prefix);
+    }
+
+    return entries
+      .filter(entry => entry.isFile() && entry.name.endsWith(EXTENSION))
+      .map(entry => {
+        const filePath = path.join(entry.parentPath || entry.path, entry.name);
+        return path.relative(this.rootPath, filePath).split(path.sep).join('/').slice(0, -EXTENSION.length);
+      });
+  }
+}
+
+module.exports = {
+  LocalFileAdapter
+};
@@ -0,0 +1,69 @@
+// Record name encoding
+// Record names are "/"-separated paths such as "settings/<conversationId>". Teams IDs contain ":", ";", "@"
+// and other characters that aren't allowed in Windows file names or need escaping in blob URLs, so each
+// segment is percent-encoded before it reaches a storage adapter. The encoding is reversible, so
+// listing records gives back the original names.
+const { StorageError, STORAGE_ERROR_CODES } = require('./storageError');
+
+/**
+ * Encode one segment of a record name
+ * encodeURIComponent leaves only letters, digits and -_.!~*'() unescaped; of those, !~*'() are escaped too,
+ * as are dots at the start or end of a segment (hidden files, and names Windows would silently shorten)
+ * @param {string} segment - The segment
+ * @returns {string} - The encoded segment
+ */
+function encodeSegment(segment) {
+  return encodeURIComponent(segment)
+    .replace(/[!~*'()]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase()}`)
+    .replace(/^\.|\.$/g, '%2E');
+}
+
+/**
+ * Encode a record name into the key adapters store it under
+ * @param {string} name - The record name, e.g. "settings/a:1abc"
+ * @returns {string} - The storage key, e.g. "settings/a%3A1abc"
+ */
+function encodeRecordName(name) {
+  if (typeof name !== 'string') {
+    throw new StorageError('Record names must be strings', STORAGE_ERROR_CODES.INVALID_NAME, { name: name });
+  }
+
+  const segments = name.split('/');
+  if (segments.some(segment => !segment || segment === '.' || segment === '..')) {
+    throw new StorageError(`Invalid record name "${name}"`, STORAGE_ERROR_CODES.INVALID_NAME, { name: name });
+  }
+  return segments.map(encodeSegment).join('/');
+}
+
+/**
+ * Encode the folder part of a record name prefix, e.g. "audit/2025-" becomes "audit/"
+ * Adapters list everything under the folder and the storage service filters by the full prefix
+ * @param {string} prefix - The record name prefix
+ * @returns {string} - The encoded folder prefix, ending in "/" unless it's empty
+ */
+function encodeFolderPrefix(prefix) {
+  const folder = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+  return folder ? `${encodeRecordName(folder)}/` : '';
+}
+
+/**
+ * Decode a storage key back into a record name
+ * Keys written before names were encoded (e.g. "a:1abc") decode to themselves
+ * @param {string} key - The storage key
+ * @returns {string} - The record name
+ */
+function decodeRecordKey(key) {
+  return key.split('/').map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  }).join('/');
+}
+
+module.exports = {
+  encodeRecordName,
+  encodeFolderPrefix,
+  decodeRecordKey
+};
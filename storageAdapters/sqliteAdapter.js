@@ -0,0 +1,140 @@
+// SQLite storage adapter
+// Stores every record as a row in a single table of a local database file, for self-hosted deployments
+// that want one file to back up instead of a folder of JSON files. Each row has a random eTag that
+// changes on every write; conditional writes check it inside a write transaction.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { toStorageError, preconditionFailed } = require('./storageError');
+
+class SqliteAdapter {
+  /**
+   * @param {Object} options - { databasePath } the database file
+   */
+  constructor({ databasePath }) {
+    this.name = 'sqlite';
+    this.databasePath = databasePath;
+    this.database = null;
+  }
+
+  /**
+   * Open the database and create the records table if needed
+   */
+  async initialize() {
+    try {
+      // Loaded here so the native module is only needed by deployments that use SQLite
+      const Database = require('better-sqlite3');
+      fs.mkdirSync(path.dirname(this.databasePath), { recursive: true });
+      this.database = new Database(this.databasePath);
+      this.database.pragma('journal_mode = WAL');
+      this.database.exec(`
+        CREATE TABLE IF NOT EXISTS records (
+          key TEXT PRIMARY KEY,
+          content TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          etag TEXT
+        )
+      `);
+      // Databases created before eTags were stored get the column added
+      if (!this.database.prepare('PRAGMA table_info(records)').all().some(column => column.name === 'etag')) {
+        this.database.exec('ALTER TABLE records ADD COLUMN etag TEXT');
+      }
+      this.statements = {
+        read: this.database.prepare('SELECT content, etag FROM records WHERE key = ?'),
+        write: this.database.prepare(`
+          INSERT INTO records (key, content, updated_at, etag) VALUES (?, ?, ?, ?)
+          ON CONFLICT (key) DO UPDATE SET content = excluded.content, updated_at = excluded.updated_at, etag = excluded.etag
+        `),
+        delete: this.database.prepare('DELETE FROM records WHERE key = ?'),
+        list: this.database.prepare('SELECT key FROM records WHERE substr(key, 1, length(?)) = ? ORDER BY key')
+      };
+      console.log(`Using SQLite storage at ${this.databasePath}`);
+    } catch (error) {
+      throw toStorageError(error, this.name, 'open the database', this.databasePath);
+    }
+  }
+
+  /**
+   * Read a record
+   * @param {string} key - The storage key
+   * @returns {Promise<Object|null>} - { content, eTag }, or null if there is no such record
+   */
+  async read(key) {
+    try {
+      const row = this.statements.read.get(key);
+      return row ? { content: row.content, eTag: row.etag || `"${key}"` } : null;
+    } catch (error) {
+      throw toStorageError(error, this.name, 'read', key);
+    }
+  }
+
+  /**
+   * Write a record, replacing any existing one
+   * @param {string} key - The storage key
+   * @param {string} content - The record contents
+   * @param {Object} [conditions] - { ifMatch } or { ifNoneMatch: '*' }
+   * @returns {Promise<string>} - The new eTag
+   */
+  async write(key, content, conditions = {}) {
+    const eTag = `"${crypto.randomUUID()}"`;
+    // An immediate transaction takes the write lock before reading, so the check and the write are atomic
+    const writeIfUnchanged = this.database.transaction(() => {
+      if (conditions.ifMatch || conditions.ifNoneMatch) {
+        const current = this.statements.read.get(key);
+        const currentETag = current ? current.etag || `"${key}"` : null;
+        if ((conditions.ifNoneMatch && current) || (conditions.ifMatch && currentETag !== conditions.ifMatch)) {
+          throw preconditionFailed(this.name, key);
+        }
+      }
+      this.statements.write.run(key, content, new Date().toISOString(), eTag);
+    });
+
+    try {
+      writeIfUnchanged.immediate();
+      return eTag;
+    } catch (error) {
+      throw toStorageError(error, this.name, 'write', key);
+    }
+  }
+
+  /**
+   * Delete a record
+   * @param {string} key - The storage key
+   * @param {Object} [conditions] - { ifMatch }
+   * @returns {Promise<boolean>} - True if a record was deleted
+   */
+  async delete(key, conditions = {}) {
+    const deleteIfUnchanged = this.database.transaction(() => {
+      if (conditions.ifMatch) {
+        const current = this.statements.read.get(key);
+        if (current && (current.etag || `"${key}"`) !== conditions.ifMatch) {
+          throw preconditionFailed(this.name, key);
+        }
+      }
+      return this.statements.delete.run(key).changes > 0;
+    });
+
+    try {
+      return deleteIfUnchanged.immediate();
+    } catch (error) {
+      throw toStorageError(error, this.name, 'delete', key);
+    }
+  }
+
+  /**
+   * List the keys under a folder prefix, including subfolders
+   * @param {string} prefix - "" for everything, otherwise a folder prefix ending in "/"
+   * @returns {Promise<Array<string>>} - The keys
+   */
+  async list(prefix) {
+    try {
+      return this.statements.list.all(prefix, prefix).map(row => row.key);
+    } catch (error) {
+      throw toStorageError(error, this.name, 'list', prefix);
+    }
+  }
+}
+
+module.exports = {
+  SqliteAdapter
+};
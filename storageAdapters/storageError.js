@@ -0,0 +1,73 @@
+// Errors raised by the storage service and its adapters
+// Every storage failure is reported as a StorageError with a code, so callers can tell a missing record
+// (which is not an error - loads return null) from one that can't be read or a backend that is down
+
+const STORAGE_ERROR_CODES = {
+  // The record name can't be stored, e.g. it has an empty segment or a ".." segment
+  INVALID_NAME: 'INVALID_NAME',
+  // The record exists but its contents aren't valid JSON
+  CORRUPT_RECORD: 'CORRUPT_RECORD',
+  // A conditional write failed because the record was changed (or created) since it was read
+  PRECONDITION_FAILED: 'PRECONDITION_FAILED',
+  // The record is encrypted and can't be decrypted, e.g. its key isn't configured, or it can't be encrypted
+  ENCRYPTION_ERROR: 'ENCRYPTION_ERROR',
+  // The storage backend failed to read, write, delete or list records
+  BACKEND_ERROR: 'BACKEND_ERROR',
+  // The storage backend is misconfigured or couldn't be reached when starting up
+  UNAVAILABLE: 'UNAVAILABLE'
+};
+
+class StorageError extends Error {
+  /**
+   * @param {string} message - Description of the failure
+   * @param {string} code - One of STORAGE_ERROR_CODES
+   * @param {Object} [details] - { name, backend, cause } describing the record and the underlying error
+   */
+  constructor(message, code, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'StorageError';
+    this.code = code;
+    this.recordName = details.name;
+    this.backend = details.backend;
+  }
+}
+
+/**
+ * Wrap an error thrown by a storage backend in a StorageError
+ * @param {Error} error - The error thrown by the backend
+ * @param {string} backend - The backend name
+ * @param {string} operation - What was being done, e.g. "write"
+ * @param {string} [key] - The storage key involved
+ * @returns {StorageError} - The wrapped error, or the error itself if it already is a StorageError
+ */
+function toStorageError(error, backend, operation, key) {
+  if (error instanceof StorageError) {
+    return error;
+  }
+  const target = key !== undefined ? ` ${key}` : '';
+  return new StorageError(`Failed to ${operation}${target} in ${backend} storage: ${error.message}`, STORAGE_ERROR_CODES.BACKEND_ERROR, {
+    name: key,
+    backend: backend,
+    cause: error
+  });
+}
+
+/**
+ * Create the error for a conditional write that failed because the record changed
+ * @param {string} backend - The backend name
+ * @param {string} key - The storage key
+ * @returns {StorageError} - The error
+ */
+function preconditionFailed(backend, key) {
+  return new StorageError(`Record ${key} in ${backend} storage was changed by another writer`, STORAGE_ERROR_CODES.PRECONDITION_FAILED, {
+    name: key,
+    backend: backend
+  });
+}
+
+module.exports = {
+  STORAGE_ERROR_CODES,
+  StorageError,
+  toStorageError,
+  preconditionFailed
+};
@@ -1,280 +1,375 @@
-// Azure Blob Storage service for persistent conversation history
-// Uses Azure Identity for secure credential management and follows Azure best practices
-const { BlobServiceClient } = require('@azure/storage-blob');
-const { DefaultAzureCredential, ManagedIdentityCredential } = require('@azure/identity');
-const fs = require('fs');
-const path = require('path');
+// Persistent storage service for conversation histories, settings, profiles and other records
+// Records are JSON documents with "/"-separated names (e.g. "profiles/<userId>"), kept in the storage
+// backend selected by STORAGE_BACKEND: local files, Azure Blob Storage or SQLite (see storageAdapters/).
+// When storage encryption keys are configured, records are encrypted before they reach the backend.
+const { getStorageBackend, createStorageAdapter } = require('./storageAdapters');
+const { encodeRecordName, encodeFolderPrefix, decodeRecordKey } = require('./storageAdapters/recordKeys');
+const { StorageError, STORAGE_ERROR_CODES } = require('./storageAdapters/storageError');
+const { loadKeyProvider, isEncryptedRecord, encryptRecord, decryptRecord } = require('./recordEncryption');
 
-// The name of the container where conversation histories will be stored
-const CONTAINER_NAME = 'conversation-history';
+// How many times updateRecord reloads a record and applies the change again when another writer saved it first
+const MAX_UPDATE_ATTEMPTS = 5;
 
 class StorageService {
   constructor() {
-    this.initialized = false;
-    this.blobServiceClient = null;
-    this.containerClient = null;
-    this.useLocalStorage = process.env.USE_LOCAL_STORAGE === 'true';
-    this.fs = fs;
-    this.path = path;
-    
-    // Set up the local storage path based on environment
-    // On Azure App Service, a writable directory is required
-    const isRunningOnAzure = process.env.RUNNING_ON_AZURE === '1';
-    if (isRunningOnAzure) {
-      // Use D:\home\LogFiles which is guaranteed to be writable on Azure App Service
-      this.localStoragePath = path.join('D:', 'home', 'LogFiles', 'conversation-history');
-      console.log(`Running on Azure, using path: ${this.localStoragePath}`);
-    } else {
-      this.localStoragePath = path.join(__dirname, 'history');
-      console.log(`Running locally, using path: ${this.localStoragePath}`);
-    }
-    
-    // If using local storage, ensure storage directory exists
-    if (this.useLocalStorage) {
-      this.initializeLocalStorage();
-    }
+    this.backend = getStorageBackend();
+    this.adapter = null;
+    this.initializing = null;
+    this.keyProvider = loadKeyProvider();
   }
 
   /**
-   * Initialize local storage directory
+   * Initialize the storage adapter for the configured backend
+   * There is no fallback to another backend: records saved elsewhere would be missing once the backend is back
+   * @throws {StorageError} If the backend can't be reached
    */
-  initializeLocalStorage() {
-    console.log(`Ensuring directory exists: ${this.localStoragePath}`);
-    if (!this.fs.existsSync(this.localStoragePath)) {
-      try {
-        this.fs.mkdirSync(this.localStoragePath, { recursive: true });
-        console.log(`Created local storage directory at ${this.localStoragePath}`);
-      } catch (error) {
-        console.error('Error creating local storage directory:', error);
-        // Try alternative paths if on Azure
-        if (process.env.RUNNING_ON_AZURE === '1') {
-          try {
-            // Fallback to another location
-            this.localStoragePath = path.join('C:', 'home', 'site', 'wwwroot', 'data');
-            console.log(`Trying alternative path: ${this.localStoragePath}`);
-            this.fs.mkdirSync(this.localStoragePath, { recursive: true });
-            console.log(`Created fallback directory at ${this.localStoragePath}`);
-          } catch (fallbackError) {
-            console.error('Error creating fallback directory:', fallbackError);
-            // Last resort: use temp directory
-            this.localStoragePath = path.join(require('os').tmpdir(), 'tax-bot-history');
-            console.log(`Using temp directory as last resort: ${this.localStoragePath}`);
-            this.fs.mkdirSync(this.localStoragePath, { recursive: true });
-          }
-        }
-      }
-    } else {
-      console.log(`Directory already exists: ${this.localStoragePath}`);
+  async initialize() {
+    if (!this.initializing) {
+      this.initializing = this.initializeAdapter().catch(error => {
+        // Allow the next call to try again
+        this.initializing = null;
+        throw error;
+      });
     }
+    return this.initializing;
   }
 
   /**
-   * Initialize the storage service
-   * Uses Managed Identity in production or connection string in development
+   * Create and initialize the adapter
    */
-  async initialize() {
-    if (this.initialized) {
-      return;
+  async initializeAdapter() {
+    const adapter = createStorageAdapter(this.backend);
+    await adapter.initialize();
+    this.adapter = adapter;
+  }
+
+  /**
+   * Save a JSON record, encrypting it if storage encryption is enabled
+   * Record names may contain "/" to group records (e.g. "profiles/<userId>"); each part is encoded, so IDs containing ":" are safe
+   * Pass options.eTag to only save if nobody else has changed the record since it was loaded: the eTag from
+   * loadRecordWithETag, or null to only save if the record doesn't exist yet. Otherwise the write fails with PRECONDITION_FAILED.
+   * @param {string} name - The record name
+   * @param {*} data - The data to serialize
+   * @param {Object} [options] - { eTag } for a conditional save
+   * @returns {Promise<string>} - The record's new eTag
+   */
+  async saveRecord(name, data, options = {}) {
+    const key = encodeRecordName(name);
+    await this.initialize();
+    const stored = this.keyProvider ? await this.encrypt(name, data) : data;
+    let conditions = {};
+    if (options.eTag === null) {
+      conditions = { ifNoneMatch: '*' };
+    } else if (options.eTag !== undefined) {
+      conditions = { ifMatch: options.eTag };
     }
+    const eTag = await this.adapter.write(key, JSON.stringify(stored), conditions);
+    console.log(`Saved ${this.keyProvider ? 'encrypted ' : ''}record ${key} to ${this.backend} storage`);
+    return eTag;
+  }
+
+  /**
+   * Load a JSON record, decrypting it if it's encrypted
+   * Records saved before encryption was enabled are returned as they are
+   * @param {string} name - The record name
+   * @returns {*} The parsed record or null if not found
+   * @throws {StorageError} If the record can't be read, isn't valid JSON or can't be decrypted
+   */
+  async loadRecord(name) {
+    return (await this.loadRecordWithETag(name)).data;
+  }
 
-    // Skip Azure initialization if using local storage
-    if (this.useLocalStorage) {
-      this.initialized = true;
-      console.log('Using local file storage for conversation history');
-      return;
+  /**
+   * Load a JSON record with its eTag, for saving it back with saveRecord only if it hasn't changed in between
+   * @param {string} name - The record name
+   * @returns {Promise<Object>} - { data, eTag }, both null if the record doesn't exist
+   * @throws {StorageError} If the record can't be read, isn't valid JSON or can't be decrypted
+   */
+  async loadRecordWithETag(name) {
+    const record = await this.readStoredRecord(name);
+    if (record === null) {
+      return { data: null, eTag: null };
     }
+    const data = isEncryptedRecord(record.stored) ? await this.decrypt(name, record.stored) : record.stored;
+    return { data: data, eTag: record.eTag };
+  }
 
+  /**
+   * Load a record as it is stored, without decrypting it
+   * @param {string} name - The record name
+   * @returns {*} The parsed stored record or null if not found
+   */
+  async loadStoredRecord(name) {
+    const record = await this.readStoredRecord(name);
+    return record === null ? null : record.stored;
+  }
+
+  /**
+   * Read and parse a stored record
+   * @param {string} name - The record name
+   * @returns {Promise<Object|null>} - { stored, eTag } or null if not found
+   */
+  async readStoredRecord(name) {
+    const key = encodeRecordName(name);
+    await this.initialize();
+    const record = await this.adapter.read(key);
+    if (record === null) {
+      return null;
+    }
+    
     try {
-      // Check if on Azure - only use Managed Identity there
-      if (process.env.RUNNING_ON_AZURE === '1' && process.env.AZURE_STORAGE_ACCOUNT_NAME) {
-        // On Azure, prefer direct Managed Identity credential with explicit client ID
-        const accountName = process.env.AZURE_STORAGE_ACCOUNT_NAME;
-        const blobServiceUrl = `https://${accountName}.blob.core.windows.net`;
-        
-        console.log(`Attempting to connect to Azure Storage account: ${accountName} using Managed Identity`);
-        
-        // If there is a specific client ID for the User-Assigned Managed Identity stored, use it
-        if (process.env.BOT_ID) {
-          console.log(`Using User-Assigned Managed Identity with client ID: ${process.env.BOT_ID}`);
-          const credential = new ManagedIdentityCredential(process.env.BOT_ID);
-          this.blobServiceClient = new BlobServiceClient(blobServiceUrl, credential);
-        } else {
-          // Otherwise fall back to DefaultAzureCredential which tries multiple authentication methods
-          console.log('Using DefaultAzureCredential for authentication');
-          this.blobServiceClient = new BlobServiceClient(
-            blobServiceUrl,
-            new DefaultAzureCredential()
-          );
-        }
-        console.log('Connected to Azure Blob Storage using Managed Identity');
-      } else if (process.env.AZURE_STORAGE_CONNECTION_STRING) {
-        // Use connection string as fallback or for local development
-        console.log('Using connection string for authentication');
-        this.blobServiceClient = BlobServiceClient.fromConnectionString(
-          process.env.AZURE_STORAGE_CONNECTION_STRING
-        );
-        console.log('Connected to Azure Blob Storage using connection string');
-      } else {
-        throw new Error('No Azure Storage configuration found. Set AZURE_STORAGE_ACCOUNT_NAME or AZURE_STORAGE_CONNECTION_STRING.');
-      }
+      return { stored: JSON.parse(record.content), eTag: record.eTag };
+    } catch (error) {
+      throw new StorageError(`Record ${name} in ${this.backend} storage is not valid JSON`, STORAGE_ERROR_CODES.CORRUPT_RECORD, {
+        name: name,
+        backend: this.backend,
+        cause: error
+      });
+    }
+  }
 
-      // Get or create the container with retry logic
-      this.containerClient = this.blobServiceClient.getContainerClient(CONTAINER_NAME);
-      
-      // Try to access the container with retries
-      let retries = 3;
-      let containerExists = false;
-      
-      while (retries > 0) {
-        try {
-          containerExists = await this.containerClient.exists();
-          break; // Success, exit retry loop
-        } catch (error) {
-          console.log(`Container check attempt failed, retries left: ${retries - 1}`);
-          retries--;
-          if (retries === 0) throw error;
-          await new Promise(resolve => setTimeout(resolve, 1000)); // Wait before retry
-        }
-      }
-      
-      if (!containerExists) {
-        console.log(`Creating container "${CONTAINER_NAME}"...`);
-        await this.containerClient.create();
-        console.log(`Container "${CONTAINER_NAME}" created`);
-      }
-      
-      this.initialized = true;
+  /**
+   * Encrypt a record with the current key
+   * @param {string} name - The record name
+   * @param {*} data - The record data
+   * @returns {Promise<Object>} - The encrypted record
+   */
+  async encrypt(name, data) {
+    try {
+      return await encryptRecord(this.keyProvider, name, data);
     } catch (error) {
-      console.error(error);
-      
-      // Log authentication details for troubleshooting
-      if (error.name === 'AggregateAuthenticationError' || error.name === 'AuthenticationError') {
-        console.log('Authentication error details:', error.message);
-        console.log(`Storage account name: ${process.env.AZURE_STORAGE_ACCOUNT_NAME || 'not set'}`);
-        console.log(`Connection string available: ${process.env.AZURE_STORAGE_CONNECTION_STRING ? 'Yes' : 'No'}`);
-        console.log(`Bot identity type: ${process.env.BOT_TYPE || 'not set'}`);
-        console.log(`Bot ID (client ID): ${process.env.BOT_ID || 'not set'}`);
-        console.log(`Bot tenant ID: ${process.env.BOT_TENANT_ID || 'not set'}`);
-      }
-      
-      // Fallback to local storage if Azure storage initialization fails
-      this.useLocalStorage = true;
-      this.initialized = true;
-      // Initialize local storage when falling back
-      this.initializeLocalStorage();
-      console.log('Falling back to local file storage for conversation history');
+      throw new StorageError(`Couldn't encrypt record ${name}: ${error.message}`, STORAGE_ERROR_CODES.ENCRYPTION_ERROR, {
+        name: name,
+        backend: this.backend,
+        cause: error
+      });
     }
   }
 
   /**
-   * Save conversation history to blob storage
-   * @param {string} conversationId - The conversation ID
-   * @param {Array} history - The conversation history array
+   * Decrypt an encrypted record
+   * @param {string} name - The record name
+   * @param {Object} stored - The encrypted record
+   * @returns {Promise<*>} - The record data
    */
-  async saveConversationHistory(conversationId, history) {
-    await this.initialize();
+  async decrypt(name, stored) {
+    if (!this.keyProvider) {
+      throw new StorageError(`Record ${name} is encrypted with key "${stored.keyId}", but storage encryption isn't configured`, STORAGE_ERROR_CODES.ENCRYPTION_ERROR, {
+        name: name,
+        backend: this.backend
+      });
+    }
     
     try {
-      const content = JSON.stringify(history);
-      
-      if (this.useLocalStorage) {
-        // Local file storage
-        const filePath = this.path.join(this.localStoragePath, `${conversationId}.json`);
-        this.fs.writeFileSync(filePath, content);
-        console.log(`Saved conversation history to ${filePath}`);
-      } else {
-        // Azure Blob Storage
-        const blobName = `${conversationId}.json`;
-        const blockBlobClient = this.containerClient.getBlockBlobClient(blobName);
-        
-        // Upload with content settings
-        await blockBlobClient.upload(content, content.length, {
-          blobHTTPHeaders: {
-            blobContentType: 'application/json',
-          }
-        });
-        console.log(`Saved conversation history to Azure Blob Storage: ${blobName}`);
-      }
+      return await decryptRecord(this.keyProvider, name, stored);
     } catch (error) {
-      console.error('Error saving conversation history:', error);
+      throw new StorageError(`Couldn't decrypt record ${name} (key "${stored.keyId}"): ${error.message}`, STORAGE_ERROR_CODES.ENCRYPTION_ERROR, {
+        name: name,
+        backend: this.backend,
+        cause: error
+      });
     }
   }
 
   /**
-   * Load conversation history from blob storage
-   * @param {string} conversationId - The conversation ID
-   * @returns {Array} The conversation history array or empty array if not found
+   * Re-encrypt a record with the current key, e.g. after rotating keys or enabling encryption
+   * @param {string} name - The record name
+   * @returns {Promise<boolean>} - True if the record was re-encrypted, false if it already uses the current key
    */
-  async loadConversationHistory(conversationId) {
-    await this.initialize();
+  async reencryptRecord(name) {
+    if (!this.keyProvider) {
+      throw new StorageError('Storage encryption is not configured. Set STORAGE_ENCRYPTION_KEYS or STORAGE_ENCRYPTION_KEY_PROVIDER.', STORAGE_ERROR_CODES.ENCRYPTION_ERROR);
+    }
     
-    try {
-      let content;
-      
-      if (this.useLocalStorage) {
-        // Local file storage
-        const filePath = this.path.join(this.localStoragePath, `${conversationId}.json`);
-        if (this.fs.existsSync(filePath)) {
-          content = this.fs.readFileSync(filePath, 'utf8');
+    const record = await this.readStoredRecord(name);
+    if (record === null || (isEncryptedRecord(record.stored) && record.stored.keyId === this.keyProvider.getCurrentKeyId())) {
+      return false;
+    }
+    
+    // Only replace the record if the bot hasn't changed it since it was read
+    const data = isEncryptedRecord(record.stored) ? await this.decrypt(name, record.stored) : record.stored;
+    await this.saveRecord(name, data, { eTag: record.eTag });
+    return true;
+  }
+
+  /**
+   * Change a record with a conditional save, reloading it and applying the change again if another writer saved it first
+   * update receives the saved record, or the result of create if there is none, and either changes it in place or
+   * returns (or resolves to) the new record. Resolving to null deletes the record. Nothing is written if the record is unchanged.
+   * @param {string} name - The record name
+   * @param {Function} create - Returns the record to start from when none is saved yet
+   * @param {Function} update - Receives the record to change
+   * @param {Object} [options] - { current } with the { data, eTag } already loaded, used for the first attempt
+   * @returns {Promise<Object>} - { data, eTag } of the record as saved, both null if it was deleted
+   * @throws {StorageError} PRECONDITION_FAILED if the record kept changing for MAX_UPDATE_ATTEMPTS attempts
+   */
+  async updateRecord(name, create, update, options = {}) {
+    let current = options.current;
+    for (let attempt = 1; ; attempt++) {
+      const { data, eTag } = current || await this.loadRecordWithETag(name);
+      current = null;
+      const before = JSON.stringify(data);
+      const record = data !== null ? data : create();
+      const returned = await update(record);
+      const updated = returned === undefined ? record : returned;
+      if (JSON.stringify(updated) === before) {
+        return { data: updated, eTag: eTag };
+      }
+
+      try {
+        if (updated === null) {
+          await this.deleteRecord(name, { eTag: eTag });
+          return { data: null, eTag: null };
         }
-      } else {
-        // Azure Blob Storage
-        const blobName = `${conversationId}.json`;
-        const blockBlobClient = this.containerClient.getBlockBlobClient(blobName);
-        
-        const exists = await blockBlobClient.exists();
-        if (exists) {
-          const downloadResponse = await blockBlobClient.download(0);
-          const chunks = [];
-          
-          for await (const chunk of downloadResponse.readableStreamBody) {
-            chunks.push(chunk);
-          }
-          
-          content = Buffer.concat(chunks).toString('utf8');
+        return { data: updated, eTag: await this.saveRecord(name, updated, { eTag: eTag }) };
+      } catch (error) {
+        if (error.code !== STORAGE_ERROR_CODES.PRECONDITION_FAILED || attempt >= MAX_UPDATE_ATTEMPTS) {
+          throw error;
         }
+        console.log(`Record ${name} was changed by another writer, reloading it (attempt ${attempt})`);
       }
-      
-      return content ? JSON.parse(content) : [];
-    } catch (error) {
-      console.error('Error loading conversation history:', error);
-      return [];
     }
   }
 
+  /**
+   * Delete a JSON record
+   * Pass options.eTag to only delete the record if nobody else has changed it since it was loaded
+   * @param {string} name - The record name
+   * @param {Object} [options] - { eTag } for a conditional delete
+   * @returns {boolean} True if a record was deleted
+   * @throws {StorageError} PRECONDITION_FAILED if the record has a different eTag
+   */
+  async deleteRecord(name, options = {}) {
+    const key = encodeRecordName(name);
+    await this.initialize();
+    const deleted = await this.adapter.delete(key, options.eTag ? { ifMatch: options.eTag } : {});
+    if (deleted) {
+      console.log(`Deleted record ${key} from ${this.backend} storage`);
+    }
+    return deleted;
+  }
+
+  /**
+   * List the names of the records under a prefix
+   * @param {string} prefix - The record name prefix, e.g. "feedback/"
+   * @returns {Array<string>} The record names, sorted
+   */
+  async listRecords(prefix) {
+    await this.initialize();
+    const keys = await this.adapter.list(encodeFolderPrefix(prefix));
+    return keys
+      .map(decodeRecordKey)
+      .filter(name => name.startsWith(prefix))
+      .sort();
+  }
+
+  /**
+   * Save conversation history
+   * @param {string} conversationId - The conversation ID
+   * @param {Array} history - The conversation history array
+   * @param {string|null} [eTag] - Only save if the history still has this eTag (null: only if there is no saved history)
+   * @returns {Promise<string>} - The history's new eTag
+   */
+  async saveConversationHistory(conversationId, history, eTag) {
+    return this.saveRecord(conversationId, history, { eTag: eTag });
+  }
+
+  /**
+   * Load conversation history
+   * A history that can't be read throws rather than coming back empty, so it isn't overwritten with a new conversation
+   * @param {string} conversationId - The conversation ID
+   * @returns {Array} The conversation history array or empty array if not found
+   */
+  async loadConversationHistory(conversationId) {
+    return (await this.loadConversationHistoryWithETag(conversationId)).history;
+  }
+
+  /**
+   * Load conversation history with its eTag, for saving it back with saveConversationHistory
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Object>} - { history, eTag } with an empty history and a null eTag if none is saved
+   */
+  async loadConversationHistoryWithETag(conversationId) {
+    const { data, eTag } = await this.loadRecordWithETag(conversationId);
+    return { history: data || [], eTag: eTag };
+  }
+
   /**
    * Delete conversation history
    * @param {string} conversationId - The conversation ID to delete
+   * @returns {boolean} True if a history was deleted
    */
   async deleteConversationHistory(conversationId) {
-    await this.initialize();
-    
-    try {
-      if (this.useLocalStorage) {
-        // Local file storage
-        const filePath = this.path.join(this.localStoragePath, `${conversationId}.json`);
-        if (this.fs.existsSync(filePath)) {
-          console.log(`Deleting local conversation history: ${filePath}`);
-          this.fs.unlinkSync(filePath);
-          console.log(`Successfully deleted local conversation history for conversation ID: ${conversationId}`);
-        } else {
-          console.log(`No local history found to delete for conversation ID: ${conversationId}`);
-        }
-      } else {
-        // Azure Blob Storage
-        const blobName = `${conversationId}.json`;
-        const blockBlobClient = this.containerClient.getBlockBlobClient(blobName);
-        console.log(`Attempting to delete blob: ${blobName} from Azure Blob Storage`);
-        const deleteResult = await blockBlobClient.deleteIfExists();
-        if (deleteResult.succeeded) {
-          console.log(`Successfully deleted blob for conversation ID: ${conversationId} from Azure Blob Storage`);
-        } else {
-          console.log(`No blob found to delete for conversation ID: ${conversationId} in Azure Blob Storage`);
-        }
-      }
-    } catch (error) {
-      console.error(`Error deleting conversation history for ID ${conversationId}:`, error);
+    const deleted = await this.deleteRecord(conversationId);
+    if (deleted) {
+      console.log(`Successfully deleted conversation history for conversation ID: ${conversationId}`);
+    } else {
+      console.log(`No history found to delete for conversation ID: ${conversationId}`);
     }
+    return deleted;
+  }
+
+  /**
+   * Save per-conversation settings (e.g. the selected tax year)
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} settings - The conversation settings
+   */
+  async saveConversationSettings(conversationId, settings) {
+    await this.saveRecord(`settings/${conversationId}`, settings);
+  }
+
+  /**
+   * Load per-conversation settings
+   * @param {string} conversationId - The conversation ID
+   * @returns {Object} The conversation settings or an empty object if none are saved
+   */
+  async loadConversationSettings(conversationId) {
+    return (await this.loadRecord(`settings/${conversationId}`)) || {};
+  }
+
+  /**
+   * Save a user's taxpayer profile, stored separately from conversation history
+   * @param {string} userId - The user ID
+   * @param {Object} profile - The taxpayer profile
+   */
+  async saveUserProfile(userId, profile) {
+    await this.saveRecord(`profiles/${userId}`, profile);
+  }
+
+  /**
+   * Load a user's taxpayer profile
+   * @param {string} userId - The user ID
+   * @returns {Object} The taxpayer profile or an empty object if none is saved
+   */
+  async loadUserProfile(userId) {
+    return (await this.loadRecord(`profiles/${userId}`)) || {};
+  }
+
+  /**
+   * Delete a user's taxpayer profile
+   * @param {string} userId - The user ID
+   * @returns {boolean} True if a profile was deleted
+   */
+  async deleteUserProfile(userId) {
+    return this.deleteRecord(`profiles/${userId}`);
+  }
+
+  /**
+   * Save a user's preferences (e.g. the language chosen with /language), kept across conversations
+   * @param {string} userId - The user ID
+   * @param {Object} preferences - The user's preferences
+   */
+  async saveUserPreferences(userId, preferences) {
+    await this.saveRecord(`preferences/${userId}`, preferences);
+  }
+
+  /**
+   * Load a user's preferences
+   * @param {string} userId - The user ID
+   * @returns {Object} The user's preferences or an empty object if none are saved
+   */
+  async loadUserPreferences(userId) {
+    return (await this.loadRecord(`preferences/${userId}`)) || {};
   }
 }
 
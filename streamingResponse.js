@@ -0,0 +1,176 @@
+// Teams streaming message support
+// Streams model output into Teams as it is generated using the Teams streaming protocol:
+// an informative update, incremental text chunks (typing activities) and a final message
+const { ActivityTypes } = require("botbuilder");
+
+// Teams throttles streaming updates, so chunks are batched and sent at most once per interval
+const STREAM_UPDATE_INTERVAL_MS = 1500;
+
+class StreamingResponse {
+  /**
+   * @param {TurnContext} context - The turn context for the current message
+   */
+  constructor(context) {
+    this.context = context;
+    this.streamId = null;
+    this.sequence = 1;
+    this.text = "";
+    this.lastSentLength = 0;
+    this.lastUpdateTime = 0;
+    this.ended = false;
+    // Set when Teams rejects a streaming activity so the final message can still be delivered
+    this.streamingFailed = false;
+  }
+
+  /**
+   * Check whether the current channel supports Teams streaming messages
+   * Teams only supports streaming in personal (1:1) chats
+   * @param {TurnContext} context - The turn context for the current message
+   * @returns {boolean} - True if streaming can be used for this conversation
+   */
+  static isSupported(context) {
+    if (process.env.ENABLE_STREAMING === 'false') {
+      return false;
+    }
+
+    const activity = context.activity;
+    return activity.channelId === 'msteams' &&
+      activity.conversation &&
+      activity.conversation.conversationType === 'personal';
+  }
+
+  /**
+   * Check whether any answer text has been streamed to the user yet
+   * @returns {boolean} - True once the first text chunk has been sent
+   */
+  hasStreamedText() {
+    return this.lastSentLength > 0;
+  }
+
+  /**
+   * Discard answer text that hasn't been sent to Teams yet, before the answer is requested again
+   */
+  discardUnsentText() {
+    this.text = this.text.slice(0, this.lastSentLength);
+  }
+
+  /**
+   * Send an informative update (e.g. "Searching the U.S. Tax Code...")
+   * Teams only accepts informative updates before any text has been streamed
+   * @param {string} text - The status text to show the user
+   */
+  async sendInformativeUpdate(text) {
+    if (this.ended || this.streamingFailed || this.hasStreamedText()) {
+      return;
+    }
+
+    await this.sendStreamActivity(text, 'informative');
+  }
+
+  /**
+   * Append a chunk of model output to the stream
+   * Chunks are accumulated and flushed to Teams at most once per update interval
+   * @param {string} chunk - The text delta received from the model
+   */
+  async appendText(chunk) {
+    if (this.ended || !chunk) {
+      return;
+    }
+
+    this.text += chunk;
+
+    if (this.streamingFailed || Date.now() - this.lastUpdateTime < STREAM_UPDATE_INTERVAL_MS) {
+      return;
+    }
+
+    // Only count the text as sent once Teams accepted it, so a failed update isn't treated as streamed
+    const text = this.text;
+    if (await this.sendStreamActivity(text, 'streaming')) {
+      this.lastSentLength = text.length;
+    }
+  }
+
+  /**
+   * End the stream with the final message
+   * Falls back to a regular message if the stream never started or Teams rejected it
+   * @param {string} finalText - The complete message to show the user
+   * @param {Array} [attachments] - Optional attachments (e.g. a sources card) to include with the final message
+   */
+  async endStream(finalText, attachments) {
+    if (this.ended) {
+      return;
+    }
+    this.ended = true;
+
+    if (!this.streamId || this.streamingFailed) {
+      await this.context.sendActivity({ text: finalText, attachments: attachments });
+      return;
+    }
+
+    await this.context.sendActivity({
+      type: ActivityTypes.Message,
+      text: finalText,
+      attachments: attachments,
+      entities: [
+        {
+          type: 'streaminfo',
+          streamId: this.streamId,
+          streamType: 'final'
+        }
+      ],
+      channelData: {
+        streamId: this.streamId,
+        streamType: 'final'
+      }
+    });
+  }
+
+  /**
+   * Send a single streaming activity to Teams
+   * @param {string} text - The text to show (cumulative for streaming updates)
+   * @param {string} streamType - Either 'informative' or 'streaming'
+   * @returns {Promise<boolean>} - True if Teams accepted the update
+   */
+  async sendStreamActivity(text, streamType) {
+    const streamInfo = {
+      type: 'streaminfo',
+      streamType: streamType,
+      streamSequence: this.sequence
+    };
+    const channelData = {
+      streamType: streamType,
+      streamSequence: this.sequence
+    };
+
+    // The first activity starts the stream; Teams returns its ID which identifies the stream afterwards
+    if (this.streamId) {
+      streamInfo.streamId = this.streamId;
+      channelData.streamId = this.streamId;
+    }
+
+    try {
+      const response = await this.context.sendActivity({
+        type: ActivityTypes.Typing,
+        text: text,
+        entities: [streamInfo],
+        channelData: channelData
+      });
+
+      if (!this.streamId && response && response.id) {
+        this.streamId = response.id;
+      }
+      this.sequence++;
+      this.lastUpdateTime = Date.now();
+      return true;
+    } catch (error) {
+      // Teams may reject streaming (e.g. unsupported client or throttling), fall back to a single message
+      console.warn(`Streaming update failed, falling back to a single message: ${error.message}`);
+      this.streamingFailed = true;
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  StreamingResponse
+};
@@ -0,0 +1,368 @@
+// Deterministic federal tax calculations exposed to the model as function tools
+// The model calls these instead of doing bracket math, deduction lookups and payroll tax arithmetic itself
+const {
+  FILING_STATUSES,
+  PAYROLL_RATES,
+  getSupportedTaxYears,
+  getTaxBrackets,
+  getStandardDeduction,
+  getAdditionalStandardDeduction,
+  getSocialSecurityWageBase,
+  getAdditionalMedicareThreshold,
+  getCapitalGainsThresholds
+} = require("./taxTables");
+
+/**
+ * Round a dollar amount to cents
+ * @param {number} amount - The amount to round
+ * @returns {number} - The amount rounded to two decimal places
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validate that a value is a non-negative number
+ * @param {string} name - The argument name used in the error message
+ * @param {number} value - The value to check
+ * @returns {number} - The value
+ */
+function requireAmount(name, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return value;
+}
+
+/**
+ * Calculate federal income tax on ordinary taxable income using the tax brackets
+ * @param {number} taxYear - The tax year
+ * @param {string} filingStatus - One of FILING_STATUSES
+ * @param {number} taxableIncome - Taxable income after deductions
+ * @returns {Object} - Total tax, marginal and effective rates and a per-bracket breakdown
+ */
+function calculateIncomeTax(taxYear, filingStatus, taxableIncome) {
+  requireAmount('taxable_income', taxableIncome);
+  const brackets = getTaxBrackets(taxYear, filingStatus);
+
+  let tax = 0;
+  let marginalRate = brackets[0].rate;
+  const breakdown = [];
+
+  for (const bracket of brackets) {
+    if (taxableIncome <= bracket.lowerBound) {
+      break;
+    }
+    const top = bracket.upperBound === null ? taxableIncome : Math.min(taxableIncome, bracket.upperBound);
+    const taxableInBracket = top - bracket.lowerBound;
+    const bracketTax = taxableInBracket * bracket.rate;
+    tax += bracketTax;
+    marginalRate = bracket.rate;
+    breakdown.push({
+      rate: bracket.rate,
+      from: bracket.lowerBound,
+      to: top,
+      taxable_amount: roundCurrency(taxableInBracket),
+      tax: roundCurrency(bracketTax)
+    });
+  }
+
+  return {
+    tax_year: taxYear,
+    filing_status: filingStatus,
+    taxable_income: taxableIncome,
+    tax: roundCurrency(tax),
+    marginal_rate: marginalRate,
+    effective_rate: taxableIncome > 0 ? roundCurrency(tax / taxableIncome * 100) / 100 : 0,
+    breakdown: breakdown
+  };
+}
+
+/**
+ * Calculate the standard deduction including additional amounts for age and blindness
+ * @param {number} taxYear - The tax year
+ * @param {string} filingStatus - One of FILING_STATUSES
+ * @param {number} [additionalConditions=0] - Number of taxpayers/spouses who are 65 or older plus the number who are blind
+ * @returns {Object} - Basic, additional and total standard deduction
+ */
+function calculateStandardDeduction(taxYear, filingStatus, additionalConditions = 0) {
+  requireAmount('additional_conditions', additionalConditions);
+  const basic = getStandardDeduction(taxYear, filingStatus);
+  const additional = getAdditionalStandardDeduction(taxYear, filingStatus) * additionalConditions;
+
+  return {
+    tax_year: taxYear,
+    filing_status: filingStatus,
+    basic_standard_deduction: basic,
+    additional_standard_deduction: additional,
+    total_standard_deduction: basic + additional
+  };
+}
+
+/**
+ * Calculate an employee's share of FICA taxes on wages
+ * @param {number} taxYear - The tax year
+ * @param {string} filingStatus - One of FILING_STATUSES, used for the Additional Medicare Tax threshold
+ * @param {number} wages - Medicare wages for the year
+ * @returns {Object} - Social Security, Medicare and Additional Medicare Tax amounts
+ */
+function calculateFicaTax(taxYear, filingStatus, wages) {
+  requireAmount('wages', wages);
+  const wageBase = getSocialSecurityWageBase(taxYear);
+  const additionalMedicareThreshold = getAdditionalMedicareThreshold(filingStatus);
+
+  const socialSecurityTax = Math.min(wages, wageBase) * PAYROLL_RATES.socialSecurity;
+  const medicareTax = wages * PAYROLL_RATES.medicare;
+  const additionalMedicareTax = Math.max(0, wages - additionalMedicareThreshold) * PAYROLL_RATES.additionalMedicare;
+
+  return {
+    tax_year: taxYear,
+    filing_status: filingStatus,
+    wages: wages,
+    social_security_wage_base: wageBase,
+    social_security_tax: roundCurrency(socialSecurityTax),
+    medicare_tax: roundCurrency(medicareTax),
+    additional_medicare_tax: roundCurrency(additionalMedicareTax),
+    total_fica_tax: roundCurrency(socialSecurityTax + medicareTax + additionalMedicareTax)
+  };
+}
+
+/**
+ * Calculate self-employment tax (Schedule SE) on net self-employment profit
+ * @param {number} taxYear - The tax year
+ * @param {string} filingStatus - One of FILING_STATUSES, used for the Additional Medicare Tax threshold
+ * @param {number} netProfit - Net profit from self-employment
+ * @param {number} [w2Wages=0] - W-2 wages that already used up part of the Social Security wage base
+ * @returns {Object} - Self-employment tax, its deductible half and the Additional Medicare Tax
+ */
+function calculateSelfEmploymentTax(taxYear, filingStatus, netProfit, w2Wages = 0) {
+  requireAmount('net_profit', netProfit);
+  requireAmount('w2_wages', w2Wages);
+  const wageBase = getSocialSecurityWageBase(taxYear);
+  const additionalMedicareThreshold = getAdditionalMedicareThreshold(filingStatus);
+
+  const netEarnings = netProfit * PAYROLL_RATES.selfEmploymentEarningsFactor;
+  // Net earnings under $400 are not subject to self-employment tax
+  if (netEarnings < 400) {
+    return {
+      tax_year: taxYear,
+      filing_status: filingStatus,
+      net_profit: netProfit,
+      net_earnings_from_self_employment: roundCurrency(netEarnings),
+      social_security_tax: 0,
+      medicare_tax: 0,
+      self_employment_tax: 0,
+      deductible_half: 0,
+      additional_medicare_tax: 0
+    };
+  }
+
+  const socialSecurityBase = Math.max(0, Math.min(netEarnings, wageBase - w2Wages));
+  const socialSecurityTax = socialSecurityBase * PAYROLL_RATES.socialSecurity * 2;
+  const medicareTax = netEarnings * PAYROLL_RATES.medicare * 2;
+  const selfEmploymentTax = socialSecurityTax + medicareTax;
+  // The Additional Medicare Tax threshold is reduced by W-2 wages (Form 8959)
+  const additionalMedicareTax = Math.max(0, netEarnings - Math.max(0, additionalMedicareThreshold - w2Wages)) * PAYROLL_RATES.additionalMedicare;
+
+  return {
+    tax_year: taxYear,
+    filing_status: filingStatus,
+    net_profit: netProfit,
+    net_earnings_from_self_employment: roundCurrency(netEarnings),
+    social_security_tax: roundCurrency(socialSecurityTax),
+    medicare_tax: roundCurrency(medicareTax),
+    self_employment_tax: roundCurrency(selfEmploymentTax),
+    deductible_half: roundCurrency(selfEmploymentTax / 2),
+    additional_medicare_tax: roundCurrency(additionalMedicareTax)
+  };
+}
+
+/**
+ * Calculate tax on long-term capital gains and qualified dividends at the 0%, 15% and 20% rates
+ * The gains are stacked on top of ordinary taxable income
+ * @param {number} taxYear - The tax year
+ * @param {string} filingStatus - One of FILING_STATUSES
+ * @param {number} taxableIncome - Total taxable income including the gains
+ * @param {number} qualifiedIncome - Net long-term capital gains plus qualified dividends included in taxable income
+ * @returns {Object} - The amount taxed at each rate, the capital gains tax, the ordinary income tax and the total
+ */
+function calculateCapitalGainsTax(taxYear, filingStatus, taxableIncome, qualifiedIncome) {
+  requireAmount('taxable_income', taxableIncome);
+  requireAmount('qualified_income', qualifiedIncome);
+  const gains = Math.min(qualifiedIncome, taxableIncome);
+  const ordinaryIncome = taxableIncome - gains;
+  const { zeroRateMax, fifteenRateMax } = getCapitalGainsThresholds(taxYear, filingStatus);
+
+  const atZero = Math.max(0, Math.min(taxableIncome, zeroRateMax) - ordinaryIncome);
+  const atFifteen = Math.max(0, Math.min(taxableIncome, fifteenRateMax) - Math.max(ordinaryIncome, zeroRateMax));
+  const atTwenty = gains - atZero - atFifteen;
+  const capitalGainsTax = atFifteen * 0.15 + atTwenty * 0.20;
+  const ordinaryTax = calculateIncomeTax(taxYear, filingStatus, ordinaryIncome).tax;
+
+  return {
+    tax_year: taxYear,
+    filing_status: filingStatus,
+    taxable_income: taxableIncome,
+    ordinary_income: ordinaryIncome,
+    qualified_income: gains,
+    taxed_at_0_percent: roundCurrency(atZero),
+    taxed_at_15_percent: roundCurrency(atFifteen),
+    taxed_at_20_percent: roundCurrency(atTwenty),
+    capital_gains_tax: roundCurrency(capitalGainsTax),
+    ordinary_income_tax: ordinaryTax,
+    total_tax: roundCurrency(ordinaryTax + capitalGainsTax)
+  };
+}
+
+// JSON schema fragments shared by the tool definitions
+const TAX_YEAR_PARAMETER = {
+  type: ["integer", "null"],
+  description: `The tax year, or null to use the tax year selected for the conversation. Supported tax years: ${getSupportedTaxYears().join(', ')}`
+};
+const FILING_STATUS_PARAMETER = {
+  type: "string",
+  enum: Object.values(FILING_STATUSES),
+  description: "The taxpayer's filing status"
+};
+
+// Function tool definitions for the Responses API
+const TAX_TOOL_DEFINITIONS = [
+  {
+    type: "function",
+    name: "calculate_income_tax",
+    description: "Calculate regular federal income tax on ordinary taxable income using the tax brackets. Returns the tax, marginal rate, effective rate and per-bracket breakdown.",
+    strict: true,
+    parameters: {
+      type: "object",
+      properties: {
+        tax_year: TAX_YEAR_PARAMETER,
+        filing_status: FILING_STATUS_PARAMETER,
+        taxable_income: { type: "number", description: "Taxable income after deductions, in dollars" }
+      },
+      required: ["tax_year", "filing_status", "taxable_income"],
+      additionalProperties: false
+    }
+  },
+  {
+    type: "function",
+    name: "calculate_standard_deduction",
+    description: "Look up the federal standard deduction, including the additional amounts for taxpayers who are 65 or older or blind.",
+    strict: true,
+    parameters: {
+      type: "object",
+      properties: {
+        tax_year: TAX_YEAR_PARAMETER,
+        filing_status: FILING_STATUS_PARAMETER,
+        additional_conditions: {
+          type: ["integer", "null"],
+          description: "Number of taxpayers/spouses who are 65 or older plus the number who are blind (0-4), or null for none"
+        }
+      },
+      required: ["tax_year", "filing_status", "additional_conditions"],
+      additionalProperties: false
+    }
+  },
+  {
+    type: "function",
+    name: "calculate_fica_tax",
+    description: "Calculate an employee's share of Social Security, Medicare and Additional Medicare Tax on wages.",
+    strict: true,
+    parameters: {
+      type: "object",
+      properties: {
+        tax_year: TAX_YEAR_PARAMETER,
+        filing_status: FILING_STATUS_PARAMETER,
+        wages: { type: "number", description: "Medicare wages for the year, in dollars" }
+      },
+      required: ["tax_year", "filing_status", "wages"],
+      additionalProperties: false
+    }
+  },
+  {
+    type: "function",
+    name: "calculate_self_employment_tax",
+    description: "Calculate self-employment tax (Schedule SE), its deductible half and the Additional Medicare Tax on self-employment income.",
+    strict: true,
+    parameters: {
+      type: "object",
+      properties: {
+        tax_year: TAX_YEAR_PARAMETER,
+        filing_status: FILING_STATUS_PARAMETER,
+        net_profit: { type: "number", description: "Net profit from self-employment (e.g. Schedule C line 31), in dollars" },
+        w2_wages: { type: ["number", "null"], description: "W-2 wages subject to Social Security tax, in dollars, or null for none" }
+      },
+      required: ["tax_year", "filing_status", "net_profit", "w2_wages"],
+      additionalProperties: false
+    }
+  },
+  {
+    type: "function",
+    name: "calculate_capital_gains_tax",
+    description: "Calculate federal tax when taxable income includes long-term capital gains or qualified dividends, applying the 0%, 15% and 20% rates.",
+    strict: true,
+    parameters: {
+      type: "object",
+      properties: {
+        tax_year: TAX_YEAR_PARAMETER,
+        filing_status: FILING_STATUS_PARAMETER,
+        taxable_income: { type: "number", description: "Total taxable income including the gains, in dollars" },
+        qualified_income: { type: "number", description: "Net long-term capital gains plus qualified dividends included in taxable income, in dollars" }
+      },
+      required: ["tax_year", "filing_status", "taxable_income", "qualified_income"],
+      additionalProperties: false
+    }
+  }
+];
+
+// Map tool names to calculator functions taking the parsed tool arguments
+const TAX_TOOL_HANDLERS = {
+  calculate_income_tax: args => calculateIncomeTax(args.tax_year, args.filing_status, args.taxable_income),
+  calculate_standard_deduction: args => calculateStandardDeduction(args.tax_year, args.filing_status, args.additional_conditions || 0),
+  calculate_fica_tax: args => calculateFicaTax(args.tax_year, args.filing_status, args.wages),
+  calculate_self_employment_tax: args => calculateSelfEmploymentTax(args.tax_year, args.filing_status, args.net_profit, args.w2_wages || 0),
+  calculate_capital_gains_tax: args => calculateCapitalGainsTax(args.tax_year, args.filing_status, args.taxable_income, args.qualified_income)
+};
+
+/**
+ * Check whether a function tool name is one of the tax calculator tools
+ * @param {string} name - The function tool name
+ * @returns {boolean} - True if the tool is handled by executeTaxTool
+ */
+function isTaxTool(name) {
+  return Object.prototype.hasOwnProperty.call(TAX_TOOL_HANDLERS, name);
+}
+
+/**
+ * Run a tax calculator tool call from the model
+ * Errors are returned to the model as a JSON error so it can correct its arguments
+ * @param {string} name - The function tool name
+ * @param {string} argumentsJson - The JSON-encoded tool arguments
+ * @param {number} [defaultTaxYear] - Tax year used when the model passes null for tax_year
+ * @returns {string} - The JSON-encoded result
+ */
+function executeTaxTool(name, argumentsJson, defaultTaxYear) {
+  try {
+    if (!isTaxTool(name)) {
+      throw new Error(`Unknown tool "${name}"`);
+    }
+    const args = JSON.parse(argumentsJson || '{}');
+    if (args.tax_year === null || args.tax_year === undefined) {
+      args.tax_year = defaultTaxYear;
+    }
+    return JSON.stringify(TAX_TOOL_HANDLERS[name](args));
+  } catch (error) {
+    console.error(`Error running tax tool ${name}: `, error.message);
+    return JSON.stringify({ error: error.message });
+  }
+}
+
+module.exports = {
+  calculateIncomeTax,
+  calculateStandardDeduction,
+  calculateFicaTax,
+  calculateSelfEmploymentTax,
+  calculateCapitalGainsTax,
+  TAX_TOOL_DEFINITIONS,
+  isTaxTool,
+  executeTaxTool
+};
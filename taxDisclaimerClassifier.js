@@ -1,5 +1,7 @@
+const crypto = require("crypto");
 const { z } = require("zod");
 const { default: Instructor } = require("@instructor-ai/instructor");
+const { callOpenAI } = require("./openaiResilience");
 
 // Define the classification label enum
 const CLASSIFICATION_LABELS = {
@@ -7,14 +9,146 @@ const CLASSIFICATION_LABELS = {
   "NO_DISCLAIMER_NEEDED": "NO_DISCLAIMER_NEEDED"
 };
 
-// Define schema for classifier
-const DisclaimerClassificationSchema = z.object({
-  class_label: z.enum([CLASSIFICATION_LABELS.NEEDS_DISCLAIMER, CLASSIFICATION_LABELS.NO_DISCLAIMER_NEEDED]),
-  explanation: z.string().describe("Explanation for why the message needs a disclaimer or not")
-});
+// How a classification was decided: by the local rules, by the model, by the fail-safe default,
+// or by a disclaimer policy that doesn't classify ("always" or "never" mode)
+const DECISION_PATHS = {
+  "RULE": "rule",
+  "MODEL": "model",
+  "FALLBACK": "fallback",
+  "POLICY": "policy"
+};
+
+// What each built-in label means, shown to the model
+const LABEL_DESCRIPTIONS = {
+  [CLASSIFICATION_LABELS.NEEDS_DISCLAIMER]: "The response needs a tax disclaimer",
+  [CLASSIFICATION_LABELS.NO_DISCLAIMER_NEEDED]: "The response does not need a tax disclaimer"
+};
+
+// Rules given to the model, which disclaimer policies can replace
+const DEFAULT_CLASSIFIER_RULES = [
+  "If the response contains specific tax advice, calculations, or references to tax laws/codes, it NEEDS_DISCLAIMER",
+  "If the response interprets tax regulations or suggests specific actions related to taxes, it NEEDS_DISCLAIMER",
+  "If the response provides numbers, percentages, or dollar amounts related to taxes, it NEEDS_DISCLAIMER",
+  "If the response recommends filing methods or specific forms, it NEEDS_DISCLAIMER",
+  "If the response references or cites information from the U.S. Tax Code, it NEEDS_DISCLAIMER",
+  "If the response provides factual information that would typically be sourced from the internet (such as statistics, dates, rates, or formal definitions), it NEEDS_DISCLAIMER",
+  "If the response discusses economic policies, market trends, or business regulations, even if not directly tax-related, it NEEDS_DISCLAIMER",
+  "If the response is general conversation, greetings, or clarification questions without factual content, it does NOT need a disclaimer"
+];
+
+// Patterns that always need a disclaimer, checked locally before calling the model
+// Answers can be in English or Spanish, and form names and IRC citations stay in English in either
+const DISCLAIMER_RULES = [
+  { name: "IRC section reference", pattern: /(\bIRC\b|\bI\.R\.C\.|§|\b(section|secci[oó]n)\s+\d+[A-Z]?\b|\b26\s+U\.?S\.?C\.?|\bTreas(ury)?\.?\s+Reg)/i },
+  { name: "dollar amount", pattern: /\$\s?\d|\d\s?(d[oó]lares|USD)\b/i },
+  { name: "percentage", pattern: /\d\s?%|\bpercent\b|\bpor\s?ciento\b|\bporcentaje\b/i },
+  { name: "form number", pattern: /\b(Form(ulario)?\s+[0-9]{3,4}|W-[2-9]\b|1099-[A-Z]+|1098(-[A-Z])?\b|1040(-[A-Z]+)?\b|(Schedule|Anexo)\s+[A-Z0-9]{1,3}\b)/i }
+];
+
+// Texts that are nothing but a greeting or pleasantry don't need a disclaimer: the greeting, optionally with a name,
+// then at most an offer to help. Anything more, such as "Hi! Yes, you can deduct...", goes to the model.
+const GREETING = "(hi|hello|hey|greetings|good (morning|afternoon|evening)|thanks|thank you|you're welcome|you are welcome|glad I could help|¡?hola|¡?buen(os|as) (d[ií]as|tardes|noches)|¡?gracias|de nada|con gusto|me alegra (poder )?ayudar)";
+const OFFER_TO_HELP = "(how can I help( you)?( today)?|what can I (do for you|help you with)( today)?|(is there )?anything else I can help( you)? with|let me know if you have (any )?(other|more) questions|¿?en qu[eé] (le |te )?puedo ayudar(le|te)?( hoy)?|¿?(hay )?algo m[aá]s en (lo|que) (le |te )?pueda ayudar)";
+const GREETING_PATTERN = new RegExp(`^${GREETING}(,? [\\p{L}'-]+)?[\\s!.,]*(${OFFER_TO_HELP}[\\s?!.]*)?$`, "iu");
+const GREETING_MAX_LENGTH = 200;
+
+// Model used for texts the local rules can't decide
+const CLASSIFIER_MODEL = "gpt-4.1-mini";
+
+// Cache of previous decisions, keyed by a hash of the text
+const CACHE_SIZE = parseInt(process.env.DISCLAIMER_CACHE_SIZE, 10) || 1000;
+const classificationCache = new Map();
+
+// Define schema for classifier, including any extra labels from the disclaimer policy
+function createClassificationSchema(labels) {
+  return z.object({
+    class_label: z.enum(labels),
+    explanation: z.string().describe("Explanation for why the message needs a disclaimer or not")
+  });
+}
+
+// Decide the clear-cut cases locally, returning null when the text needs the model
+// With extra labels, texts that need a disclaimer may also need one of those labels, so only greetings are decided locally
+function classifyWithRules(text, hasExtraLabels = false) {
+  const matchedRule = hasExtraLabels ? null : DISCLAIMER_RULES.find(rule => rule.pattern.test(text));
+  if (matchedRule) {
+    return {
+      class_label: CLASSIFICATION_LABELS.NEEDS_DISCLAIMER,
+      explanation: `Matched the ${matchedRule.name} rule`,
+      decision_path: DECISION_PATHS.RULE
+    };
+  }
+  
+  const trimmedText = text.trim();
+  if (trimmedText.length <= GREETING_MAX_LENGTH && GREETING_PATTERN.test(trimmedText) && !/\d/.test(trimmedText)) {
+    return {
+      class_label: CLASSIFICATION_LABELS.NO_DISCLAIMER_NEEDED,
+      explanation: "The response is a short greeting without factual content",
+      decision_path: DECISION_PATHS.RULE
+    };
+  }
+  
+  return null;
+}
+
+// Get a cached decision for the text, if there is one
+function getCachedClassification(key) {
+  const cached = classificationCache.get(key);
+  if (!cached) {
+    return null;
+  }
+  
+  // Move the entry to the end so the least recently used entry is evicted first
+  classificationCache.delete(key);
+  classificationCache.set(key, cached);
+  return { ...cached, cached: true };
+}
+
+// Remember a decision, evicting the least recently used entry once the cache is full
+// Token usage is left out so cached decisions aren't counted as model calls again
+function cacheClassification(key, classification) {
+  const { usage, model, ...decision } = classification;
+  classificationCache.set(key, decision);
+  if (classificationCache.size > CACHE_SIZE) {
+    classificationCache.delete(classificationCache.keys().next().value);
+  }
+}
+
+// Function to classify text, using the cache and local rules before asking the model
+// The policy (see disclaimerPolicy.js) can supply the model's rules, extra labels, the fail-safe label and turn off local rules
+async function classifyTextForDisclaimer(openaiClient, text, policy = {}) {
+  const extraLabels = policy.labels || [];
+  const cacheKey = crypto.createHash("sha256").update(text).digest("hex");
+  const cached = getCachedClassification(cacheKey);
+  if (cached) {
+    return cached;
+  }
+  
+  const ruleClassification = policy.useLocalRules === false ? null : classifyWithRules(text, extraLabels.length > 0);
+  if (ruleClassification) {
+    cacheClassification(cacheKey, ruleClassification);
+    return ruleClassification;
+  }
+  
+  const modelClassification = await classifyWithModel(openaiClient, text, policy);
+  
+  // Fail-safe defaults aren't cached so the model is asked again next time
+  if (modelClassification.decision_path === DECISION_PATHS.MODEL) {
+    cacheClassification(cacheKey, modelClassification);
+  }
+  return modelClassification;
+}
 
-// Function to classify text using OpenAI
-async function classifyTextForDisclaimer(openaiClient, text) {
+// Function to classify text using OpenAI, for text the local rules can't decide
+async function classifyWithModel(openaiClient, text, policy = {}) {
+  const extraLabels = policy.labels || [];
+  const labels = [...Object.values(CLASSIFICATION_LABELS), ...extraLabels.map(label => label.name)];
+  const rules = policy.classifierRules || DEFAULT_CLASSIFIER_RULES;
+  const labelDescriptions = [
+    ...Object.values(CLASSIFICATION_LABELS).map(label => `- ${label}: ${LABEL_DESCRIPTIONS[label]}`),
+    ...extraLabels.map(label => `- ${label.name}: ${label.description}`)
+  ];
+  
   try {
     // Create an instructor client according to npm documentation
     const instructor = Instructor({
@@ -26,43 +160,52 @@ async function classifyTextForDisclaimer(openaiClient, text) {
     const prompt = `
     Analyze the following tax assistant response and determine if it needs a tax disclaimer.
     
+    Choose one of these labels:
+    ${labelDescriptions.join("\n    ")}
+    
     Apply these rules:
-    1. If the response contains specific tax advice, calculations, or references to tax laws/codes, it NEEDS_DISCLAIMER
-    2. If the response interprets tax regulations or suggests specific actions related to taxes, it NEEDS_DISCLAIMER
-    3. If the response provides numbers, percentages, or dollar amounts related to taxes, it NEEDS_DISCLAIMER
-    4. If the response recommends filing methods or specific forms, it NEEDS_DISCLAIMER
-    5. If the response references or cites information from the U.S. Tax Code, it NEEDS_DISCLAIMER
-    6. If the response provides factual information that would typically be sourced from the internet (such as statistics, dates, rates, or formal definitions), it NEEDS_DISCLAIMER
-    7. If the response discusses economic policies, market trends, or business regulations, even if not directly tax-related, it NEEDS_DISCLAIMER
-    8. If the response is general conversation, greetings, or clarification questions without factual content, it does NOT need a disclaimer
+    ${rules.map((rule, index) => `${index + 1}. ${rule}`).join("\n    ")}
+    
+    The response may be written in any language. Apply the rules to what it says, whatever its language, and write your explanation in English.
     
     Response to analyze:
     ${text}
     `;
     
     // Run the classification with the model
-    const result = await instructor.chat.completions.create({
+    // callOpenAI does all the retrying, so Instructor doesn't send extra requests the circuit breaker can't count
+    const result = await callOpenAI(signal => instructor.chat.completions.create({
       messages: [{ role: "user", content: prompt }],
-      model: "gpt-4.1-mini",
+      model: CLASSIFIER_MODEL,
       response_model: {
-        schema: DisclaimerClassificationSchema,
+        schema: createClassificationSchema(labels),
         name: "DisclaimerClassification"
       },
-      max_retries: 2
-    });
+      max_retries: 0
+    }, { signal: signal, maxRetries: 0 }), { label: "Disclaimer classification" });
     
-    return result;
+    return {
+      class_label: result.class_label,
+      explanation: result.explanation,
+      decision_path: DECISION_PATHS.MODEL,
+      model: CLASSIFIER_MODEL,
+      usage: result._meta ? result._meta.usage : undefined
+    };
   } catch (error) {
     console.error("Error classifying text for disclaimer: ", error);
-    // Default to REQUIRING a disclaimer if classification fails (fail-safe approach)
+    // Default to REQUIRING a disclaimer if classification fails (fail-safe approach), unless the policy chooses another label
     return {
-      class_label: CLASSIFICATION_LABELS.NEEDS_DISCLAIMER,
-      explanation: "Classification failed, defaulting to showing disclaimer for safety"
+      class_label: policy.failSafeLabel || CLASSIFICATION_LABELS.NEEDS_DISCLAIMER,
+      explanation: "Classification failed, defaulting to showing disclaimer for safety",
+      decision_path: DECISION_PATHS.FALLBACK
     };
   }
 }
 
 module.exports = {
   classifyTextForDisclaimer,
-  CLASSIFICATION_LABELS
+  classifyWithRules,
+  CLASSIFICATION_LABELS,
+  DECISION_PATHS,
+  DEFAULT_CLASSIFIER_RULES
 };
\ No newline at end of file
@@ -0,0 +1,243 @@
+// Federal tax tables by tax year and filing status
+// Figures come from the IRS inflation adjustment revenue procedures for each year
+// (Rev. Proc. 2022-38, 2023-34, 2024-40 as amended by P.L. 119-21, and 2025-32) and the SSA wage base announcements
+
+// Supported filing statuses
+const FILING_STATUSES = {
+  "SINGLE": "single",
+  "MARRIED_FILING_JOINTLY": "married_filing_jointly",
+  "MARRIED_FILING_SEPARATELY": "married_filing_separately",
+  "HEAD_OF_HOUSEHOLD": "head_of_household",
+  "QUALIFYING_SURVIVING_SPOUSE": "qualifying_surviving_spouse"
+};
+
+// Ordinary income tax rates, shared by every year in the tables
+const ORDINARY_RATES = [0.10, 0.12, 0.22, 0.24, 0.32, 0.35, 0.37];
+
+// Additional Medicare Tax thresholds are set by statute and not indexed for inflation
+const ADDITIONAL_MEDICARE_THRESHOLDS = {
+  single: 200000,
+  married_filing_jointly: 250000,
+  married_filing_separately: 125000,
+  head_of_household: 200000,
+  qualifying_surviving_spouse: 200000
+};
+
+// Payroll tax rates
+const PAYROLL_RATES = {
+  socialSecurity: 0.062,
+  medicare: 0.0145,
+  additionalMedicare: 0.009,
+  // Net earnings from self-employment are 92.35% of net profit
+  selfEmploymentEarningsFactor: 0.9235
+};
+
+// Per-year tables. Bracket arrays hold the upper bound of each ordinary rate bracket except the last (37%)
+const TAX_TABLES = {
+  2023: {
+    brackets: {
+      single: [11000, 44725, 95375, 182100, 231250, 578125],
+      married_filing_jointly: [22000, 89450, 190750, 364200, 462500, 693750],
+      married_filing_separately: [11000, 44725, 95375, 182100, 231250, 346875],
+      head_of_household: [15700, 59850, 95350, 182100, 231250, 578100]
+    },
+    standardDeduction: {
+      single: 13850,
+      married_filing_jointly: 27700,
+      married_filing_separately: 13850,
+      head_of_household: 20800
+    },
+    // Additional standard deduction per condition (age 65 or older, blind)
+    additionalStandardDeduction: { unmarried: 1850, married: 1500 },
+    socialSecurityWageBase: 160200,
+    // Upper bound of the 0% and 15% long-term capital gains brackets (taxable income)
+    capitalGains: {
+      single: [44625, 492300],
+      married_filing_jointly: [89250, 553850],
+      married_filing_separately: [44625, 276900],
+      head_of_household: [59750, 523050]
+    }
+  },
+  2024: {
+    brackets: {
+      single: [11600, 47150, 100525, 191950, 243725, 609350],
+      married_filing_jointly: [23200, 94300, 201050, 383900, 487450, 731200],
+      married_filing_separately: [11600, 47150, 100525, 191950, 243725, 365600],
+      head_of_household: [16550, 63100, 100500, 191950, 243700, 609350]
+    },
+    standardDeduction: {
+      single: 14600,
+      married_filing_jointly: 29200,
+      married_filing_separately: 14600,
+      head_of_household: 21900
+    },
+    additionalStandardDeduction: { unmarried: 1950, married: 1550 },
+    socialSecurityWageBase: 168600,
+    capitalGains: {
+      single: [47025, 518900],
+      married_filing_jointly: [94050, 583750],
+      married_filing_separately: [47025, 291850],
+      head_of_household: [63000, 551350]
+    }
+  },
+  2025: {
+    brackets: {
+      single: [11925, 48475, 103350, 197300, 250525, 626350],
+      married_filing_jointly: [23850, 96950, 206700, 394600, 501050, 751600],
+      married_filing_separately: [11925, 48475, 103350, 197300, 250525, 375800],
+      head_of_household: [17000, 64850, 103350, 197300, 250500, 626350]
+    },
+    standardDeduction: {
+      single: 15750,
+      married_filing_jointly: 31500,
+      married_filing_separately: 15750,
+      head_of_household: 23625
+    },
+    additionalStandardDeduction: { unmarried: 2000, married: 1600 },
+    socialSecurityWageBase: 176100,
+    capitalGains: {
+      single: [48350, 533400],
+      married_filing_jointly: [96700, 600050],
+      married_filing_separately: [48350, 300000],
+      head_of_household: [64750, 566700]
+    }
+  },
+  2026: {
+    brackets: {
+      single: [12400, 50400, 105700, 201775, 256225, 640600],
+      married_filing_jointly: [24800, 100800, 211400, 403550, 512450, 768700],
+      married_filing_separately: [12400, 50400, 105700, 201775, 256225, 384350],
+      head_of_household: [17700, 67450, 105700, 201750, 256200, 640600]
+    },
+    standardDeduction: {
+      single: 16100,
+      married_filing_jointly: 32200,
+      married_filing_separately: 16100,
+      head_of_household: 24150
+    },
+    additionalStandardDeduction: { unmarried: 2050, married: 1650 },
+    socialSecurityWageBase: 184500,
+    capitalGains: {
+      single: [49450, 545500],
+      married_filing_jointly: [98900, 613700],
+      married_filing_separately: [49450, 306850],
+      head_of_household: [66200, 579600]
+    }
+  }
+};
+
+/**
+ * Get the tax years covered by the tables
+ * @returns {Array<number>} - Supported tax years in ascending order
+ */
+function getSupportedTaxYears() {
+  return Object.keys(TAX_TABLES).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Get the tables for a tax year
+ * @param {number} taxYear - The tax year
+ * @returns {Object} - The tables for the year
+ */
+function getTaxYearTables(taxYear) {
+  const tables = TAX_TABLES[taxYear];
+  if (!tables) {
+    throw new Error(`Tax year ${taxYear} is not supported. Supported tax years: ${getSupportedTaxYears().join(', ')}`);
+  }
+  return tables;
+}
+
+/**
+ * Validate a filing status and map it to the key used in the tables
+ * Qualifying surviving spouses use the married filing jointly brackets and standard deduction
+ * @param {string} filingStatus - One of FILING_STATUSES
+ * @returns {string} - The filing status key used in the tables
+ */
+function getTableFilingStatus(filingStatus) {
+  if (!Object.values(FILING_STATUSES).includes(filingStatus)) {
+    throw new Error(`Unknown filing status "${filingStatus}". Expected one of: ${Object.values(FILING_STATUSES).join(', ')}`);
+  }
+  return filingStatus === FILING_STATUSES.QUALIFYING_SURVIVING_SPOUSE
+    ? FILING_STATUSES.MARRIED_FILING_JOINTLY
+    : filingStatus;
+}
+
+/**
+ * Get the ordinary income tax brackets for a tax year and filing status
+ * @param {number} taxYear - The tax year
+ * @param {string} filingStatus - One of FILING_STATUSES
+ * @returns {Array<Object>} - Brackets with rate, lower bound and upper bound (null for the top bracket)
+ */
+function getTaxBrackets(taxYear, filingStatus) {
+  const upperBounds = getTaxYearTables(taxYear).brackets[getTableFilingStatus(filingStatus)];
+  return ORDINARY_RATES.map((rate, index) => ({
+    rate: rate,
+    lowerBound: index === 0 ? 0 : upperBounds[index - 1],
+    upperBound: index < upperBounds.length ? upperBounds[index] : null
+  }));
+}
+
+/**
+ * Get the basic standard deduction for a tax year and filing status
+ * @param {number} taxYear - The tax year
+ * @param {string} filingStatus - One of FILING_STATUSES
+ * @returns {number} - The basic standard deduction
+ */
+function getStandardDeduction(taxYear, filingStatus) {
+  return getTaxYearTables(taxYear).standardDeduction[getTableFilingStatus(filingStatus)];
+}
+
+/**
+ * Get the additional standard deduction per condition (age 65 or older, or blind)
+ * @param {number} taxYear - The tax year
+ * @param {string} filingStatus - One of FILING_STATUSES
+ * @returns {number} - The additional amount for each condition
+ */
+function getAdditionalStandardDeduction(taxYear, filingStatus) {
+  getTableFilingStatus(filingStatus);
+  const amounts = getTaxYearTables(taxYear).additionalStandardDeduction;
+  const isUnmarried = filingStatus === FILING_STATUSES.SINGLE || filingStatus === FILING_STATUSES.HEAD_OF_HOUSEHOLD;
+  return isUnmarried ? amounts.unmarried : amounts.married;
+}
+
+/**
+ * Get the Social Security wage base for a tax year
+ * @param {number} taxYear - The tax year
+ * @returns {number} - Maximum earnings subject to Social Security tax
+ */
+function getSocialSecurityWageBase(taxYear) {
+  return getTaxYearTables(taxYear).socialSecurityWageBase;
+}
+
+/**
+ * Get the Additional Medicare Tax threshold for a filing status
+ * @param {string} filingStatus - One of FILING_STATUSES
+ * @returns {number} - Wages above this amount are subject to the 0.9% Additional Medicare Tax
+ */
+function getAdditionalMedicareThreshold(filingStatus) {
+  getTableFilingStatus(filingStatus);
+  return ADDITIONAL_MEDICARE_THRESHOLDS[filingStatus];
+}
+
+/**
+ * Get the long-term capital gains thresholds for a tax year and filing status
+ * @param {number} taxYear - The tax year
+ * @param {string} filingStatus - One of FILING_STATUSES
+ * @returns {Object} - Taxable income upper bounds of the 0% and 15% rates
+ */
+function getCapitalGainsThresholds(taxYear, filingStatus) {
+  const [zeroRateMax, fifteenRateMax] = getTaxYearTables(taxYear).capitalGains[getTableFilingStatus(filingStatus)];
+  return { zeroRateMax, fifteenRateMax };
+}
+
+module.exports = {
+  FILING_STATUSES,
+  PAYROLL_RATES,
+  getSupportedTaxYears,
+  getTaxBrackets,
+  getStandardDeduction,
+  getAdditionalStandardDeduction,
+  getSocialSecurityWageBase,
+  getAdditionalMedicareThreshold,
+  getCapitalGainsThresholds
+};
@@ -0,0 +1,126 @@
+// Tax year context
+// Works out which tax year a conversation is about and describes it for the system message
+const { getSupportedTaxYears } = require('./taxTables');
+const { DEFAULT_LANGUAGE, translate, LocalizedError } = require('./localization');
+
+// Earliest tax year users can select
+const MIN_TAX_YEAR = 2015;
+
+// Until the filing deadline (April 15), "this year's return" usually means the prior tax year
+const FILING_SEASON_END_MONTH = 4;
+const FILING_SEASON_END_DAY = 15;
+
+/**
+ * Get the calendar date parts for a date in a timezone
+ * @param {Date} date - The date
+ * @param {string} [timezone] - IANA timezone, defaults to the server timezone
+ * @returns {Object} - { year, month, day }
+ */
+function getDateParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    timeZone: timezone
+  }).formatToParts(date);
+
+  const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return { year: value('year'), month: value('month'), day: value('day') };
+}
+
+/**
+ * Get the tax year to use when the user hasn't chosen one
+ * During filing season (through April 15) this is the prior year, afterwards the current year
+ * @param {Date} [date] - The current date
+ * @param {string} [timezone] - IANA timezone used to determine the date
+ * @returns {number} - The default tax year
+ */
+function getDefaultTaxYear(date = new Date(), timezone = process.env.BOT_TIMEZONE) {
+  const { year, month, day } = getDateParts(date, timezone);
+  const inFilingSeason = month < FILING_SEASON_END_MONTH ||
+    (month === FILING_SEASON_END_MONTH && day <= FILING_SEASON_END_DAY);
+  return inFilingSeason ? year - 1 : year;
+}
+
+/**
+ * Get the current calendar year in the bot's timezone
+ * @param {Date} [date] - The current date
+ * @param {string} [timezone] - IANA timezone used to determine the date
+ * @returns {number} - The current year
+ */
+function getCurrentYear(date = new Date(), timezone = process.env.BOT_TIMEZONE) {
+  return getDateParts(date, timezone).year;
+}
+
+/**
+ * Parse a tax year from user input
+ * @param {string|number} value - The tax year
+ * @returns {number} - The tax year
+ */
+function parseTaxYear(value) {
+  const taxYear = parseInt(value, 10);
+  const maxYear = getCurrentYear() + 1;
+  if (!Number.isInteger(taxYear) || String(taxYear) !== String(value).trim() || taxYear < MIN_TAX_YEAR || taxYear > maxYear) {
+    throw new LocalizedError('year.invalid', { value: value, min: MIN_TAX_YEAR, max: maxYear });
+  }
+  return taxYear;
+}
+
+/**
+ * Work out the tax year for a conversation
+ * A year chosen with /year wins, then the user's profile, then the filing season default
+ * @param {Object} settings - The conversation settings
+ * @param {Object} profile - The user's taxpayer profile
+ * @returns {Object} - { taxYear, source } where source is 'conversation', 'profile' or 'default'
+ */
+function resolveTaxYear(settings, profile) {
+  if (settings && settings.taxYear) {
+    return { taxYear: settings.taxYear, source: 'conversation' };
+  }
+  if (profile && profile.taxYear) {
+    return { taxYear: profile.taxYear, source: 'profile' };
+  }
+  return { taxYear: getDefaultTaxYear(), source: 'default' };
+}
+
+/**
+ * Build the system message section stating the selected tax year
+ * @param {number} taxYear - The selected tax year
+ * @returns {string} - The section to append to the system message
+ */
+function buildTaxYearPrompt(taxYear) {
+  const currentYear = getCurrentYear();
+  const lines = [
+    `**Tax year:** The user is asking about tax year ${taxYear} (the return filed in ${taxYear + 1}). Apply the rules, amounts and thresholds for tax year ${taxYear} unless the user explicitly asks about a different year, and say which year you are answering for.`,
+    `When calling calculation functions, use tax year ${taxYear} unless the user asks about a different year.`
+  ];
+
+  if (taxYear !== currentYear) {
+    lines.push(`The current tax year is ${currentYear}. Whenever a rule, amount, threshold or deadline you mention differs between tax year ${taxYear} and tax year ${currentYear}, point out the difference.`);
+  }
+
+  if (!getSupportedTaxYears().includes(taxYear)) {
+    lines.push(`The calculation functions don't have tables for tax year ${taxYear}, so tell the user that any figures you give for that year come from your research rather than the built-in tables.`);
+  }
+
+  return lines.join(' ');
+}
+
+/**
+ * Build the header shown at the top of each answer
+ * @param {number} taxYear - The selected tax year
+ * @param {string} [language] - The user's language code
+ * @returns {string} - The Markdown header line
+ */
+function buildTaxYearHeader(taxYear, language = DEFAULT_LANGUAGE) {
+  return translate(language, 'answer.taxYearHeader', { taxYear: taxYear });
+}
+
+module.exports = {
+  MIN_TAX_YEAR,
+  getDefaultTaxYear,
+  parseTaxYear,
+  resolveTaxYear,
+  buildTaxYearPrompt,
+  buildTaxYearHeader
+};
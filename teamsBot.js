@@ -1,274 +1,418 @@
-const { TeamsActivityHandler, TurnContext, MemoryStorage, ConversationState } = require("botbuilder");
-const OpenAI = require("openai");
-const { classifyTextForDisclaimer, CLASSIFICATION_LABELS } = require("./taxDisclaimerClassifier");
+const crypto = require("crypto");
+const { TeamsActivityHandler, TurnContext } = require("botbuilder");
+const { createOpenAIClient } = require("./openaiClient");
+const { loadDisclaimerPolicy, classifyForPolicy, getStandardDisclaimer, getDisclaimerNotes, DISCLAIMER_PLACEMENTS } = require("./disclaimerPolicy");
 const { encoding_for_model } = require("tiktoken");
 const storageService = require("./storageService");
+const { TurnQueue } = require("./turnQueue");
+const { callOpenAI, getUserErrorMessage, categorizeOpenAIError, findFailedTool } = require("./openaiResilience");
+const commands = require("./commands");
+const { StreamingResponse } = require("./streamingResponse");
+const { renderTranscript } = require("./transcriptRenderer");
+const { uploadAcceptedFile } = require("./fileDelivery");
+const { summarizeConversation, createSummaryMessage, getSummaryText, isSummaryMessage } = require("./conversationSummarizer");
+const { TAX_TOOL_DEFINITIONS, executeTaxTool } = require("./taxCalculator");
+const { buildProfilePrompt } = require("./userProfile");
+const { resolveTaxYear, buildTaxYearPrompt, buildTaxYearHeader } = require("./taxYear");
+const { getDocumentAttachments, extractDocument, buildDocumentCard } = require("./documentExtractor");
+const { redactText, buildRedactionWarning } = require("./piiRedactor");
+const { DEFAULT_LANGUAGE, resolveLanguage, translate, translateError, LocalizedError, buildLanguagePrompt } = require("./localization");
+const { buildFeedbackCard } = require("./feedbackLog");
+const { recordActivity } = require("./dataRetention");
+const { recordUsage, checkQuota, fromResponseUsage, fromChatCompletionUsage, formatCost } = require("./usageTracker");
+const { extractCitations, resolveFileCitationTitles, addCitationMarkers, buildCitationCard, toStoredCitations } = require("./citations");
 
-// Constants for conversation management
-const MAX_TOKENS = 900000; // Max tokens to keep in history (90% of the 1M limit)
+// Constants for conversation management, configurable for smaller-context models
+const MAX_TOKENS = parseInt(process.env.HISTORY_MAX_TOKENS, 10) || 900000; // Max tokens to keep in history (90% of the 1M limit)
+const TRIM_STRATEGY = process.env.HISTORY_TRIM_STRATEGY === 'summarize' ? 'summarize' : 'drop'; // How to shorten history once over budget
+const SUMMARY_THRESHOLD = parseFloat(process.env.HISTORY_SUMMARY_THRESHOLD) || 0.8; // Fraction of MAX_TOKENS that triggers summarization
+const SUMMARY_KEEP_MESSAGES = parseInt(process.env.HISTORY_SUMMARY_KEEP_MESSAGES, 10) || 6; // Recent messages kept verbatim when summarizing
+
+// Extra system message instructions for group chats and channels
+const SHARED_CONVERSATION_PROMPT = "**Group conversation:** You are in a Teams group chat or channel thread with several people. Each user message starts with the name of the person who sent it in square brackets. Keep track of who said what, address people by name when it helps, and don't apply one person's tax situation to someone else.";
+
+// Maximum number of rounds of function tool calls per user message before the model must answer
+const MAX_TOOL_ROUNDS = 5;
+
+// Turn state key for the conversation history loaded this turn
+const CONVERSATION_HISTORY_KEY = 'conversationHistory';
+
+// Turn state key for the user's language, worked out once per turn
+const LANGUAGE_KEY = 'language';
 
 class TeamsBot extends TeamsActivityHandler {
   constructor(conversationState) {
     super();
     
     // Initialize conversation state
+    // Conversation history isn't kept here: it's loaded from storage each turn and saved with an eTag check
     this.conversationState = conversationState;
-    this.conversationHistoryAccessor = this.conversationState.createProperty('conversationHistory');
+    
+    // Serializes turns within each conversation
+    this.turnQueue = new TurnQueue();
+    
+    // Documents read from uploads that are waiting for the user to confirm the extracted values
+    this.pendingDocumentsAccessor = this.conversationState.createProperty('pendingDocuments');
     
     // Initialize tiktoken encoder for GPT-4o (gpt-4.1 uses the same encoding)
     this.encoder = encoding_for_model("gpt-4o");
     
-    // Initialize OpenAI client
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    // Initialize OpenAI client (live, or recording, replaying or stubbing OpenAI traffic depending on OPENAI_MODE)
+    this.openai = createOpenAIClient();
 
-    // Define the standard disclaimer text
-    this.standardDisclaimer = "**DISCLAIMER:** U.S. Tax Assistant provides general tax information and guidance only. The information provided is not legal or tax advice, and should not be relied upon as such. Tax laws are complex and subject to change. While we strive for accuracy, this bot may not account for your specific circumstances, recent tax law changes, or uncommon tax situations. Always verify information with the official IRS resources or consult with a qualified tax professional before making financial decisions or tax filings. Jake Campbell, the creator of this bot, is not responsible for any actions taken based on the information provided.";
+    // Load the deployment's disclaimer policy (wording, mode, labels and placement), failing at startup if it's invalid
+    this.disclaimerPolicy = loadDisclaimerPolicy();
     
-    // Define a shorter disclaimer for appending to messages
-    this.shortDisclaimer = "\n\n---\n*Note: This is not professional tax advice. Please verify all information provided.*";
+    // Expose the history budget for commands such as /history
+    this.maxHistoryTokens = MAX_TOKENS;
     
     // Store system message as class property
     this.systemMessage = "";
 
     this.onMessage(async (context, next) => {
       console.log("Running with Message Activity.");
+      const isSharedConversation = this.isSharedConversation(context);
+      const submittedValue = context.activity.value;
+      const isCardSubmit = !!(submittedValue && submittedValue.command);
+      
+      // In group chats and channels, only respond when the bot is @mentioned
+      if (isSharedConversation && !isCardSubmit && !this.isBotMentioned(context)) {
+        console.log("Ignoring message in shared conversation that doesn't mention the bot");
+        return await next();
+      }
+      
       const removedMentionText = TurnContext.removeRecipientMention(context.activity);
-      let txt = removedMentionText.trim();
+      let txt = (removedMentionText || "").trim();
+      
+      // Get conversation ID for storage (per reply chain in channels)
+      const conversationId = this.getConversationKey(context);
+      const userId = this.getUserId(context);
       
-      // Get conversation ID for storage
-      const conversationId = context.activity.conversation.id;
+      // Track when the conversation and user were last active, for the retention policy
+      try {
+        await recordActivity({ conversationId, userId, personal: !isSharedConversation });
+      } catch (error) {
+        console.error("Error recording activity: ", error);
+      }
       
-      // Check for restart command anywhere in the message
-      if (txt.toLowerCase().includes('/restart')) {
-        console.log("Restart command detected in message");
+      // Answer in the user's language: their /language choice, otherwise their Teams locale
+      const language = await this.getLanguage(context);
+      
+      // Handle messages in this conversation one at a time, in the order they arrived, so each turn answers
+      // from the history saved by the previous one. Quick follow-up questions may be answered together.
+      const canCoalesce = !!txt && !isCardSubmit && !commands.parse(txt) && getDocumentAttachments(context.activity).length === 0;
+      const handled = await this.turnQueue.run(conversationId, { text: txt, coalesceKey: canCoalesce ? userId : null }, async texts => {
+        txt = texts.join("\n\n");
         
-        // Extract any text before or after the /restart command into a temporary variable
-        const restartRegex = /\/restart/i;
-        txt = txt.replace(restartRegex, '').trim();
-        if (txt) {
-          console.log(`Text after removing restart command: "${txt}"`);
-        } else {
-          console.log("No text found after removing restart command");
+        // Route Adaptive Card submissions to the command that sent the card
+        if (!txt && isCardSubmit) {
+          const command = commands.get(submittedValue.command);
+          let result;
+          if (command && typeof command.handleCardSubmit === 'function') {
+            result = await command.handleCardSubmit({ context, bot: this, commands, conversationId, userId, language, value: submittedValue });
+          }
+          
+          // Like commands, card submissions can hand text back to be answered as a normal message
+          if (!result || !result.continueWith) {
+            return;
+          }
+          txt = result.continueWith;
         }
         
-        // Clear conversation history
-        await this.conversationHistoryAccessor.set(context, []);
-        await this.conversationState.saveChanges(context);
+        // Read uploaded tax documents and ask the user to confirm the values before they are used
+        const documentAttachments = isCardSubmit ? [] : getDocumentAttachments(context.activity);
+        if (documentAttachments.length > 0) {
+          const waitingCount = await this.handleDocumentUploads(context, documentAttachments, txt);
+          
+          // If no document could be read, answer the accompanying question right away
+          if (waitingCount > 0 || !txt || this.isSharedConversation(context)) {
+            return;
+          }
+        }
         
-        // Clear persistent history in Azure Storage
-        await storageService.deleteConversationHistory(conversationId);
+        // Handle slash commands, which must start the message
+        const parsedCommand = isCardSubmit ? null : commands.parse(txt);
+        if (parsedCommand) {
+          const command = commands.get(parsedCommand.name);
+          if (!command) {
+            await context.sendActivity(translate(language, 'errors.unknownCommand', { command: parsedCommand.name }));
+            return;
+          }
+          
+          console.log(`Running command /${command.name}`);
+          const result = await command.execute({
+            context,
+            bot: this,
+            commands,
+            conversationId,
+            userId,
+            language,
+            args: parsedCommand.args,
+            argsText: parsedCommand.argsText
+          });
+          
+          // Commands can hand remaining text back to be answered as a normal message
+          if (!result || !result.continueWith) {
+            return;
+          }
+          txt = result.continueWith;
+        }
         
-        // If there's no additional text after removing the restart command
-        if (txt) {
-          await context.sendActivity(
-            "Conversation history has been reset! Responding to what you just said..."
-          );
-          console.log("Continuing with new conversation using remaining text");        
-        } else {
-          await context.sendActivity(
-            "Conversation history has been reset! Let's start over!"
-          );
-          await context.sendActivity(this.standardDisclaimer);
-          await context.sendActivity(
-            "You can type '/restart' anytime to start fresh!"
-          );
-          return await next();
+        // Stop users who have used up their daily or monthly quota before calling OpenAI
+        if (await this.isOverQuota(context, userId)) {
+          return;
         }
-      }
-      
-      // Get conversation history from state
-      let conversationHistory = await this.conversationHistoryAccessor.get(context, []);
-      
-      // If history is empty, try to load from Azure Storage
-      if (conversationHistory.length === 0) {
+        
+        // Get conversation history from storage
+        // If it can't be read, stop rather than answer without it and overwrite the saved history
+        let conversationHistory;
+        let settings;
         try {
-          const savedHistory = await storageService.loadConversationHistory(conversationId);
-          if (savedHistory && savedHistory.length > 0) {
-            conversationHistory = savedHistory;
-            await this.conversationHistoryAccessor.set(context, conversationHistory);
-            console.log(`Restored conversation history for ${conversationId} with ${conversationHistory.length} messages`);
-            
-            // Log token count of restored history
-            const historyTokens = this.countTokensInHistory(conversationHistory);
-            console.log(`Restored history contains ${historyTokens} tokens`);
-          }
+          conversationHistory = await this.loadConversationHistory(context, conversationId);
+          settings = await storageService.loadConversationSettings(conversationId);
         } catch (error) {
-          console.error("Error loading conversation history:", error);
+          console.error(`Error loading conversation ${conversationId}: `, error);
+          await context.sendActivity(translate(language, 'errors.loadConversation'));
+          return;
         }
-      }
-
-      // Send typing indicator
-      await context.sendActivity({ type: 'typing' });
-      
-      try {
-        // Get current date for system instructions
-        const currentDate = new Date();
-        const timezone = process.env.BOT_TIMEZONE
-        const formattedDate = currentDate.toLocaleString('en-US', { 
-          weekday: 'long',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric',
-          hour: 'numeric',
-          minute: 'numeric',
-          timeZoneName: 'short',
-          timeZone: timezone
-        });
-        
-        // System message for the bot
-        this.systemMessage = `Today's date is ${formattedDate}.\n\nYou are U.S. Tax Assistant. Your mission is to assist users with their tax-related questions using expert guidance on U.S. federal and state tax information. You'll handle different tax-related tasks and user queries as follows:\n\n- Explain specific tax regulations and their application.\n- Assist in selecting the correct tax forms.\n- Provide advice on deductions, credits, and filing status.\n- Answer common tax questions.\n- Direct users to additional resources for complex issues.\n- Serve individual taxpayers, small business owners, and tax professionals.\n- Offer a quick reference to tax codes and regulations.\n\nYou have been provided with the entire U.S. Tax Code (Title 26—Internal Revenue Code) to use with your retrieval tool. As a result, you're knowledgeable about the complete U.S. Tax Code, and can clarify misunderstandings by referencing it and offering examples. For intricate issues, suggest seeking professional advice.\n\n**Note:** Users cannot upload documents, and any document access is based on databases or sources available to you, not user-uploaded content.\n\nIf you cannot find information in the Title 26—Internal Revenue Code, or if the user mentions any material outside the U.S. Tax Code, you can search the internet. Start by referencing primary sources such as the IRS website and official documents from the IRS for federal tax information. For state laws, court decisions, and other tax document information, use the internet. Refer to reputable secondary sources and avoid blog sites and forums like Reddit. If the internet is not available to you, or you are confused by the user's request, inform the user that you cannot find the information in the U.S. Tax Code.\n\n**IMPORTANT:** Always be sure to cite where you found all information if you accessed any files via the retrieval tool or used the internet. Do not mention any files the user uploaded. When introducing yourself, make sure to omit any comments about files that the user uploaded or that you cannot access them.`
-        
-        // Calculate tokens in the system message
-        const systemTokens = this.encoder.encode(this.systemMessage).length;
         
-        // Calculate tokens in the current user message
-        const userMessageTokens = this.encoder.encode(txt).length;
+        // Replace SSNs, account numbers and similar data with placeholders before the message is sent to OpenAI or saved
+        ({ text: txt, settings } = await this.redactSensitiveData(context, conversationId, txt, settings, language));
+
+        // Stream the answer into Teams when the channel supports it, otherwise send a typing indicator
+        const streamingResponse = StreamingResponse.isSupported(context) ? new StreamingResponse(context) : null;
+        if (streamingResponse) {
+          await streamingResponse.sendInformativeUpdate(translate(language, 'progress.lookingIntoQuestion'));
+        } else {
+          await context.sendActivity({ type: 'typing' });
+        }
         
-        // Prepare messages array with system prompt and history
-        const messages = [
-          {
-            "role": "system",
+        try {
+          // Get current date for system instructions
+          const currentDate = new Date();
+          const timezone = process.env.BOT_TIMEZONE
+          const formattedDate = currentDate.toLocaleString('en-US', { 
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            timeZoneName: 'short',
+            timeZone: timezone
+          });
+          
+          // Load the user's saved taxpayer profile, which is kept across conversations
+          const profile = await storageService.loadUserProfile(userId);
+          const profilePrompt = buildProfilePrompt(profile);
+          
+          // Work out which tax year the conversation is about (/year setting, then profile, then filing season)
+          const { taxYear, source: taxYearSource } = resolveTaxYear(settings, profile);
+          console.log(`Answering for tax year ${taxYear} (source: ${taxYearSource})`);
+          
+          // System message for the bot
+          this.systemMessage = `Today's date is ${formattedDate}.\n\nYou are U.S. Tax Assistant. Your mission is to assist users with their tax-related questions using expert guidance on U.S. federal and state tax information. You'll handle different tax-related tasks and user queries as follows:\n\n- Explain specific tax regulations and their application.\n- Assist in selecting the correct tax forms.\n- Provide advice on deductions, credits, and filing status.\n- Answer common tax questions.\n- Direct users to additional resources for complex issues.\n- Serve individual taxpayers, small business owners, and tax professionals.\n- Offer a quick reference to tax codes and regulations.\n\nYou have been provided with the entire U.S. Tax Code (Title 26—Internal Revenue Code) to use with your retrieval tool. As a result, you're knowledgeable about the complete U.S. Tax Code, and can clarify misunderstandings by referencing it and offering examples. For intricate issues, suggest seeking professional advice.\n\n**Calculations:** Whenever an answer includes computed figures for federal income tax from the brackets, standard deductions, FICA tax, self-employment tax or capital gains tax, get them by calling the provided calculation functions instead of doing the math yourself. Present the function results and explain how they were derived.\n\n**Documents:** In personal chats, users can upload W-2, 1099 and 1098 forms. The values read from an uploaded form appear in the conversation as a user message starting with "[Uploaded document]" once the user has confirmed them. Use those values when answering, refer to them by form and box number, and ask the user to check the original form if a value looks wrong. Users can't upload other kinds of documents.\n\n**Redacted data:** Social Security numbers, ITINs, EINs, bank routing and account numbers and dates of birth are removed from user messages and replaced with placeholders such as [SSN_1] or [ACCOUNT_NUMBER_1]. The same placeholder always stands for the same value. Never ask users to share these numbers; if one matters for the answer, refer to it by its placeholder.\n\nIf you cannot find information in the Title 26—Internal Revenue Code, or if the user mentions any material outside the U.S. Tax Code, you can search the internet. Start by referencing primary sources such as the IRS website and official documents from the IRS for federal tax information. For state laws, court decisions, and other tax document information, use the internet. Refer to reputable secondary sources and avoid blog sites and forums like Reddit. If the internet is not available to you, or you are confused by the user's request, inform the user that you cannot find the information in the U.S. Tax Code.\n\n**IMPORTANT:** Always be sure to cite where you found all information if you accessed any files via the retrieval tool or used the internet. Do not cite the retrieval tool's files as if the user uploaded them. When introducing yourself, make sure to omit any comments about files you cannot access.\n\n${buildTaxYearPrompt(taxYear)}\n\n${buildLanguagePrompt(language)}${profilePrompt ? `\n\n${profilePrompt}` : ''}${isSharedConversation ? `\n\n${SHARED_CONVERSATION_PROMPT}` : ''}`;
+          
+          // Calculate tokens in the system message
+          const systemTokens = this.encoder.encode(this.systemMessage).length;
+          
+          // Calculate tokens in the current user message
+          const userMessageTokens = this.encoder.encode(txt).length;
+          
+          // Prepare messages array with system prompt and history
+          const messages = [
+            {
+              "role": "system",
+              "content": [
+                {
+                  "type": "input_text",
+                  "text": this.systemMessage
+                }
+              ]
+            }
+          ];
+          
+          // Add conversation history to messages (only role and content are sent, stored citations stay local)
+          conversationHistory.forEach(message => {
+            messages.push(this.toModelMessage(message));
+          });
+          
+          // Add current user message, attributed to the speaking user in shared conversations
+          const userMessage = {
+            "role": "user",
             "content": [
               {
                 "type": "input_text",
-                "text": this.systemMessage
+                "text": txt
               }
-            ]
+            ],
+            "timestamp": new Date().toISOString()
+          };
+          if (isSharedConversation) {
+            userMessage.speaker = this.getSpeaker(context);
           }
-        ];
-        
-        // Add conversation history to messages
-        conversationHistory.forEach(message => {
-          messages.push(message);
-        });
-        
-        // Add current user message
-        messages.push({
-          "role": "user",
-          "content": [
-            {
-              "type": "input_text",
-              "text": txt
-            }
-          ]
-        });
-        
-        // Determine if conversation logs should be stored on OpenAI
-        // Default to true if the environment variable is not set
-        const storeConversationLogs = process.env.OPENAI_STORE_CONVERSATION_LOGS !== 'false';
-        console.log(`OpenAI conversation logging: ${storeConversationLogs ? 'enabled' : 'disabled'}`);
+          messages.push(this.toModelMessage(userMessage));
+          
+          // Determine if conversation logs should be stored on OpenAI
+          // Default to true if the environment variable is not set
+          const storeConversationLogs = process.env.OPENAI_STORE_CONVERSATION_LOGS !== 'false';
+          console.log(`OpenAI conversation logging: ${storeConversationLogs ? 'enabled' : 'disabled'}`);
 
-        // Log token counts
-        const totalTokens = this.countTokensInMessages(messages);
-        console.log(`Request using ${totalTokens} tokens (system: ${systemTokens}, history: ${this.countTokensInHistory(conversationHistory)}, user: ${userMessageTokens})`);
-        
-        // Call OpenAI API with history and current message
-        const response = await this.openai.responses.create({
-          model: "gpt-4.1",
-          input: messages,
-          text: {
-            "format": {
-              "type": "text"
-            }
-          },
-          reasoning: {},
-          tools: [
-            {
-              "type": "file_search",
-              "vector_store_ids": [
-                process.env.OPENAI_VECTOR_STORE_ID
-              ]
+          // Log token counts
+          const totalTokens = this.countTokensInMessages(messages);
+          console.log(`Request using ${totalTokens} tokens (system: ${systemTokens}, history: ${this.countTokensInHistory(conversationHistory)}, user: ${userMessageTokens})`);
+          
+          // Request options for the OpenAI API with history and current message
+          const requestOptions = {
+            model: "gpt-4.1",
+            input: messages,
+            text: {
+              "format": {
+                "type": "text"
+              }
             },
-            {
-              "type": "web_search_preview",
-              "user_location": {
-                "type": "approximate",
-                "country": process.env.BOT_LOCATION_COUNTRY,
-                "region": process.env.BOT_LOCATION_REGION,
-                "city": process.env.BOT_LOCATION_CITY
+            reasoning: {},
+            tools: [
+              ...(process.env.OPENAI_VECTOR_STORE_ID ? [{
+                "type": "file_search",
+                "vector_store_ids": [
+                  process.env.OPENAI_VECTOR_STORE_ID
+                ]
+              }] : []),
+              {
+                "type": "web_search_preview",
+                "user_location": {
+                  "type": "approximate",
+                  "country": process.env.BOT_LOCATION_COUNTRY,
+                  "region": process.env.BOT_LOCATION_REGION,
+                  "city": process.env.BOT_LOCATION_CITY
+                },
+                "search_context_size": "high"
               },
-              "search_context_size": "high"
-            }
-          ],
-          temperature: 1,
-          max_output_tokens: 16384,
-          top_p: 1,
-          store: storeConversationLogs
-        });
-        
-        let botResponseText = "";
-        
-        // Process response
-        if (response.output_text) {
-          botResponseText = response.output_text;
-        } else if (response.output && response.output.length > 0) {
-          const messageOutput = response.output.find(item => item.type === "message");
-          if (messageOutput && messageOutput.content && messageOutput.content.length > 0) {
-            const textContent = messageOutput.content.find(item => item.type === "output_text");
-            if (textContent && textContent.text) {
-              botResponseText = textContent.text;
-            } else {
-              botResponseText = "I processed your request but couldn't format the response properly.";
-            }
+              ...TAX_TOOL_DEFINITIONS
+            ],
+            temperature: 1,
+            max_output_tokens: 16384,
+            top_p: 1,
+            store: storeConversationLogs
+          };
+          
+          // Without a vector store, answer without searching the tax code rather than fail every question
+          const degradedTools = [];
+          if (!process.env.OPENAI_VECTOR_STORE_ID) {
+            console.warn("OPENAI_VECTOR_STORE_ID is not set; answering without file_search");
+            degradedTools.push("file_search");
+          }
+          
+          // Call OpenAI API, running any tax calculator tool calls and streaming the output to Teams if supported
+          const usageEntries = [];
+          const response = await this.createResponseWithTools(requestOptions, streamingResponse, taxYear, usageEntries, degradedTools);
+          
+          // Collect file_search and web_search citations and number them in the answer text
+          const citations = extractCitations(response);
+          await resolveFileCitationTitles(this.openai, process.env.OPENAI_VECTOR_STORE_ID, citations);
+          const botResponseText = addCitationMarkers(this.extractResponseText(response, language), citations);
+          const citationCard = buildCitationCard(citations, language);
+          
+          // Every answer gets an ID so feedback from its thumbs-up/thumbs-down buttons can be matched to it
+          const answerId = crypto.randomUUID();
+          const attachments = citationCard ? [citationCard, buildFeedbackCard(answerId, language)] : [buildFeedbackCard(answerId, language)];
+          
+          // Calculate tokens in the bot response
+          const botResponseTokens = this.encoder.encode(botResponseText).length;
+          console.log(`Response contains ${botResponseTokens} tokens`);
+          
+          // Classify whether the response needs a disclaimer or another label, as the disclaimer policy requires
+          const classification = await classifyForPolicy(this.openai, botResponseText, this.disclaimerPolicy);
+          console.log("Disclaimer classification: ", classification);
+          
+          // Show the tax year the answer applies to, and add the disclaimer notes under it or in a separate message
+          const disclaimerNotes = getDisclaimerNotes(this.disclaimerPolicy, classification.class_label, language).join("\n\n");
+          const noteInFooter = disclaimerNotes && this.disclaimerPolicy.placement === DISCLAIMER_PLACEMENTS.FOOTER;
+          const degradedNotes = degradedTools.map(tool => `_${translate(language, `answer.degradedTools.${tool}`)}_`).join("\n\n");
+          const answerText = `${buildTaxYearHeader(taxYear, language)}\n\n${botResponseText}${degradedNotes ? `\n\n${degradedNotes}` : ''}`;
+          const finalText = noteInFooter
+            ? `${answerText}\n\n---\n${disclaimerNotes}`
+            : answerText;
+          
+          // Send the final message, ending the stream if one was started
+          if (streamingResponse) {
+            await streamingResponse.endStream(finalText, attachments);
           } else {
-            botResponseText = "I processed your request but couldn't find a message in the response.";
+            await context.sendActivity({ text: finalText, attachments: attachments });
+          }
+          if (disclaimerNotes && !noteInFooter) {
+            await context.sendActivity(disclaimerNotes);
+          }
+          
+          // Change input_text to output_text for assistant messages
+          const assistantMessage = {
+            "id": answerId,
+            "role": "assistant",
+            "content": [{ "type": "output_text", "text": botResponseText }],
+            "timestamp": new Date().toISOString(),
+            "classification": { "class_label": classification.class_label, "decision_path": classification.decision_path }
+          };
+          
+          // Keep the sources with the answer so exported transcripts can list them
+          if (citations.length > 0) {
+            assistantMessage.citations = toStoredCitations(citations);
           }
-        } else {
-          botResponseText = "I processed your request, but had trouble formatting the response.";
-        }
-        
-        // Calculate tokens in the bot response
-        const botResponseTokens = this.encoder.encode(botResponseText).length;
-        console.log(`Response contains ${botResponseTokens} tokens`);
-        
-        // Use instructor-js to classify if the response needs a disclaimer
-        const classification = await classifyTextForDisclaimer(this.openai, botResponseText);
-        console.log("Disclaimer classification: ", classification);
-        
-        // Add disclaimer if needed
-        if (classification.class_label === CLASSIFICATION_LABELS.NEEDS_DISCLAIMER) {
-          await context.sendActivity({ text: botResponseText + this.shortDisclaimer });
-        } else {
-          await context.sendActivity({ text: botResponseText });
-        }
-        
-        // Update conversation history
-        conversationHistory.push({
-          "role": "user",
-          "content": [{ "type": "input_text", "text": txt }]
-        });
 
-        // Change input_text to output_text for assistant messages
-        conversationHistory.push({
-          "role": "assistant",
-          "content": [{ "type": "output_text", "text": botResponseText }]
-        });
+          // Add the exchange to the saved history and trim it if needed (after adding both messages)
+          // The answer has already been sent, so a failed save is logged rather than reported
+          // Older turns are summarized once up front, so a save retried after a conflict doesn't call the model again
+          try {
+            const summary = await this.summarizeOlderTurns(
+              [...conversationHistory, userMessage, assistantMessage],
+              systemTokens,
+              0 // userTokens is 0 since the current message is already in history
+            );
+            if (summary) {
+              usageEntries.push(summary.usage);
+            }
+            conversationHistory = await this.updateConversationHistory(context, conversationId, history => {
+              history.push(userMessage, assistantMessage);
+              return this.trimConversationToTokenLimit(history, systemTokens, 0, summary);
+            });
 
-        // Trim the history if needed (after adding both messages)
-        if (conversationHistory.length > 0) {
-          conversationHistory = this.trimConversationToTokenLimit(
-            conversationHistory, 
-            systemTokens,
-            0 // userTokens is 0 since the current message is already in history
-          );
+            // Log the total token count after adding the new exchange and trimming
+            const finalTokenCount = this.countTokensInHistory(conversationHistory);
+            console.log(`Conversation history now contains ${conversationHistory.length} messages with ${finalTokenCount} tokens`);
+          } catch (error) {
+            console.error(`Error saving conversation history for ${conversationId}: `, error);
+          }
+          
+          // Record the tokens used by the answer and the classifier against the user's quota
+          usageEntries.push(fromChatCompletionUsage(classification.model, classification.usage));
+          try {
+            await recordUsage({
+              userId: userId,
+              conversationId: conversationId,
+              entries: usageEntries,
+              estimated: {
+                systemTokens: systemTokens,
+                historyTokens: totalTokens - systemTokens - userMessageTokens,
+                userTokens: userMessageTokens,
+                responseTokens: botResponseTokens
+              }
+            });
+          } catch (error) {
+            console.error("Error recording token usage: ", error);
+          }
+          
+        } catch (error) {
+          console.error(`Error calling OpenAI API (${categorizeOpenAIError(error)}): `, error);
+          const errorMessage = getUserErrorMessage(error, language);
+          if (streamingResponse && !streamingResponse.ended) {
+            await streamingResponse.endStream(errorMessage);
+          } else {
+            await context.sendActivity(errorMessage);
+          }
         }
-
-        // Save updated history to state after trimming
-        await this.conversationHistoryAccessor.set(context, conversationHistory);
-        await this.conversationState.saveChanges(context);
-
-        // Log the total token count after adding the new exchange and trimming
-        const finalTokenCount = this.countTokensInHistory(conversationHistory);
-        console.log(`Conversation history now contains ${conversationHistory.length} messages with ${finalTokenCount} tokens`);
-
-        // Save to persistent storage in Azure
-        await storageService.saveConversationHistory(conversationId, conversationHistory);
-        
-      } catch (error) {
-        console.error("Error calling OpenAI API: ", error);
-        await context.sendActivity("I'm sorry, I'm having trouble processing your request. Please try again later.");
+      });
+      if (!handled) {
+        console.log(`Message in ${conversationId} was answered together with an earlier one`);
       }
       
       await next();
@@ -277,19 +421,500 @@ class TeamsBot extends TeamsActivityHandler {
     // Listen to MembersAdded event
     this.onMembersAdded(async (context, next) => {
       const membersAdded = context.activity.membersAdded;
-      for (let cnt = 0; cnt < membersAdded.length; cnt++) {
-        if (membersAdded[cnt].id) {
-          await context.sendActivity(this.standardDisclaimer);
-          await context.sendActivity(
-            "You can type '/restart' anytime to start fresh!"
-          );
-          break;
-        }
+      const botId = context.activity.recipient.id;
+      
+      // In group chats and teams, only welcome once when the bot itself is added, not for every new member
+      const shouldWelcome = this.isSharedConversation(context)
+        ? membersAdded.some(member => member.id === botId)
+        : membersAdded.some(member => member.id);
+      
+      if (shouldWelcome) {
+        await this.sendWelcome(context, await this.getLanguage(context));
       }
       await next();
     });
   }
   
+  /**
+   * Check whether the activity comes from a group chat or team channel rather than a personal chat
+   * @param {TurnContext} context - The turn context for the current activity
+   * @returns {boolean} - True for group chats and channels
+   */
+  isSharedConversation(context) {
+    const conversationType = context.activity.conversation && context.activity.conversation.conversationType;
+    return conversationType === 'groupChat' || conversationType === 'channel';
+  }
+  
+  /**
+   * Check whether the bot is @mentioned in the activity
+   * @param {TurnContext} context - The turn context for the current activity
+   * @returns {boolean} - True if the bot is mentioned
+   */
+  isBotMentioned(context) {
+    const botId = context.activity.recipient && context.activity.recipient.id;
+    return TurnContext.getMentions(context.activity).some(mention => mention.mentioned && mention.mentioned.id === botId);
+  }
+  
+  /**
+   * Get the storage key for the conversation
+   * Channel conversations are keyed per reply chain so each thread has its own history
+   * @param {TurnContext} context - The turn context for the current activity
+   * @returns {string} - The conversation key
+   */
+  getConversationKey(context) {
+    const activity = context.activity;
+    const conversationId = activity.conversation.id;
+    
+    // Teams includes the root message ID for replies in a channel thread; new posts start their own thread
+    if (activity.conversation.conversationType === 'channel' && !conversationId.includes(';messageid=')) {
+      return `${conversationId};messageid=${activity.replyToId || activity.id}`;
+    }
+    return conversationId;
+  }
+  
+  /**
+   * Get the user who sent the activity, for attributing messages in shared conversations
+   * @param {TurnContext} context - The turn context for the current activity
+   * @returns {Object} - { id, name }
+   */
+  getSpeaker(context) {
+    return {
+      id: this.getUserId(context),
+      name: (context.activity.from && context.activity.from.name) || 'Unknown user'
+    };
+  }
+  
+  /**
+   * Convert a stored history message into a model input message
+   * Only role and content are sent; messages from shared conversations are prefixed with the speaker's name
+   * @param {Object} message - Message object with role and content
+   * @returns {Object} - The message to send to the model
+   */
+  toModelMessage(message) {
+    if (!message.speaker) {
+      return { role: message.role, content: message.content };
+    }
+    
+    return {
+      role: message.role,
+      content: message.content.map(content => content.type === 'input_text'
+        ? { ...content, text: `[${message.speaker.name}] ${content.text}` }
+        : content)
+    };
+  }
+  
+  /**
+   * Get a stable ID for the user who sent the activity
+   * Prefers the Microsoft Entra object ID, which is the same across conversations and channels
+   * @param {TurnContext} context - The turn context for the current activity
+   * @returns {string} - The user ID
+   */
+  getUserId(context) {
+    const from = context.activity.from || {};
+    return from.aadObjectId || from.id;
+  }
+  
+  /**
+   * Check the user's usage quota and tell them if it's used up
+   * @param {TurnContext} context - The turn context for the current message
+   * @param {string} userId - The user ID
+   * @returns {Promise<boolean>} - True if the user has reached their daily or monthly quota
+   */
+  async isOverQuota(context, userId) {
+    const exceededQuota = await checkQuota(userId);
+    if (!exceededQuota) {
+      return false;
+    }
+    
+    console.log(`User ${userId} exceeded their ${exceededQuota.period} quota (${formatCost(exceededQuota.used)} of ${formatCost(exceededQuota.limit)})`);
+    await context.sendActivity(translate(await this.getLanguage(context), `quota.${exceededQuota.period}`));
+    return true;
+  }
+  
+  /**
+   * Replace SSNs, account numbers and similar data with placeholders, and warn the user when anything was replaced
+   * The placeholders are saved with the conversation settings so the same value always gets the same placeholder
+   * @param {TurnContext} context - The turn context for the current message
+   * @param {string} conversationId - The conversation ID
+   * @param {string} text - The text to redact
+   * @param {Object} settings - The conversation settings
+   * @param {string} language - The user's language code
+   * @returns {Promise<Object>} - { text, settings } with the redacted text and the updated settings
+   */
+  async redactSensitiveData(context, conversationId, text, settings, language) {
+    const redaction = redactText(text, settings.redactionPlaceholders);
+    if (redaction.redactions.length === 0) {
+      return { text: text, settings: settings };
+    }
+    
+    console.log(`Redacted ${redaction.redactions.length} sensitive value(s): ${redaction.redactions.map(item => item.type).join(', ')}`);
+    const updatedSettings = { ...settings, redactionPlaceholders: redaction.placeholders };
+    await storageService.saveConversationSettings(conversationId, updatedSettings);
+    await context.sendActivity(buildRedactionWarning(redaction.redactions, language));
+    return { text: redaction.text, settings: updatedSettings };
+  }
+  
+  /**
+   * Read uploaded tax documents and send the extracted values back for the user to confirm
+   * Only supported in personal chats; any question sent with the upload is answered once every document is confirmed or discarded
+   * @param {TurnContext} context - The turn context for the current message
+   * @param {Array<Object>} attachments - Document attachments from getDocumentAttachments
+   * @param {string} question - Text sent along with the upload, if any
+   * @returns {Promise<number>} - The number of documents from this upload waiting for confirmation
+   */
+  async handleDocumentUploads(context, attachments, question) {
+    const language = await this.getLanguage(context);
+    if (this.isSharedConversation(context)) {
+      await context.sendActivity(translate(language, 'documents.personalChatOnly'));
+      return 0;
+    }
+    
+    if (await this.isOverQuota(context, this.getUserId(context))) {
+      return 0;
+    }
+    
+    // The question is kept in conversation state until the documents are confirmed, so it's redacted before it's stored
+    if (question) {
+      const conversationId = this.getConversationKey(context);
+      const settings = await storageService.loadConversationSettings(conversationId);
+      ({ text: question } = await this.redactSensitiveData(context, conversationId, question, settings, language));
+    }
+    
+    await context.sendActivity({ type: 'typing' });
+    const pendingDocuments = await this.pendingDocumentsAccessor.get(context, []);
+    const usageEntries = [];
+    let waitingCount = 0;
+    
+    for (const attachment of attachments) {
+      try {
+        console.log(`Reading uploaded document ${attachment.name} (${attachment.fileType})`);
+        const document = await extractDocument(context, this.openai, attachment, usageEntries);
+        if (document.boxes.length === 0) {
+          await context.sendActivity(translate(language, 'documents.noBoxValues', { name: attachment.name }));
+          continue;
+        }
+        
+        pendingDocuments.push({ document: document, question: question || undefined });
+        waitingCount++;
+        await context.sendActivity({ attachments: [buildDocumentCard(document, language)] });
+      } catch (error) {
+        console.error(`Error reading uploaded document ${attachment.name}: `, error);
+        await context.sendActivity(error instanceof LocalizedError
+          ? translateError(language, error)
+          : translate(language, 'documents.readFailed', { name: attachment.name }));
+      }
+    }
+    
+    await this.pendingDocumentsAccessor.set(context, pendingDocuments);
+    await this.conversationState.saveChanges(context);
+    
+    // Reading the documents counts toward the user's usage like a question does
+    if (usageEntries.length > 0) {
+      try {
+        await recordUsage({ userId: this.getUserId(context), conversationId: this.getConversationKey(context), entries: usageEntries });
+      } catch (error) {
+        console.error("Error recording token usage: ", error);
+      }
+    }
+    return waitingCount;
+  }
+  
+  /**
+   * Handle the user accepting a file consent card by uploading the file
+   * @param {TurnContext} context - The turn context for the invoke activity
+   * @param {Object} fileConsentCardResponse - The consent response containing the accept context and upload info
+   */
+  async handleTeamsFileConsentAccept(context, fileConsentCardResponse) {
+    const acceptContext = fileConsentCardResponse.context || {};
+    
+    try {
+      if (acceptContext.action !== 'exportTranscript') {
+        throw new Error(`Unknown file consent action: ${acceptContext.action}`);
+      }
+      
+      const file = await this.buildTranscriptFile(context, this.getConversationKey(context), acceptContext.format);
+      if (!file) {
+        await context.sendActivity(translate(await this.getLanguage(context), 'export.nothingToExport'));
+        return;
+      }
+      
+      await uploadAcceptedFile(context, fileConsentCardResponse, file.buffer);
+      console.log(`Uploaded ${file.name} (${file.buffer.length} bytes)`);
+    } catch (error) {
+      console.error("Error uploading file: ", error);
+      await context.sendActivity(translate(await this.getLanguage(context), 'export.uploadFailed'));
+    }
+  }
+  
+  /**
+   * Handle the user declining a file consent card
+   * @param {TurnContext} context - The turn context for the invoke activity
+   */
+  async handleTeamsFileConsentDecline(context) {
+    await context.sendActivity(translate(await this.getLanguage(context), 'export.declined'));
+  }
+  
+  /**
+   * Render the conversation transcript as a file
+   * @param {TurnContext} context - The turn context for the current activity
+   * @param {string} conversationId - The conversation ID used as the storage key
+   * @param {string} format - One of TRANSCRIPT_FORMATS
+   * @returns {Object|null} - { name, buffer, contentType, description } or null if there is no history
+   */
+  async buildTranscriptFile(context, conversationId, format) {
+    const history = await this.loadConversationHistory(context, conversationId);
+    if (history.length === 0) {
+      return null;
+    }
+    
+    const language = await this.getLanguage(context);
+    const rendered = await renderTranscript(history, format, {
+      disclaimer: getStandardDisclaimer(this.disclaimerPolicy, language),
+      timezone: process.env.BOT_TIMEZONE,
+      language: language
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    
+    return {
+      name: `tax-assistant-transcript-${date}.${rendered.extension}`,
+      buffer: rendered.buffer,
+      contentType: rendered.contentType,
+      description: translate(language, 'export.fileDescription', { count: history.length })
+    };
+  }
+  
+  /**
+   * Get the language to talk to the user in: their /language choice, otherwise their Teams locale
+   * Worked out once per turn and kept in the turn state
+   * @param {TurnContext} context - The turn context for the current activity
+   * @returns {Promise<string>} - The language code
+   */
+  async getLanguage(context) {
+    if (!context.turnState.has(LANGUAGE_KEY)) {
+      let preferences = {};
+      try {
+        preferences = await storageService.loadUserPreferences(this.getUserId(context));
+      } catch (error) {
+        console.error("Error loading user preferences: ", error);
+      }
+      context.turnState.set(LANGUAGE_KEY, resolveLanguage(context.activity.locale, preferences).language);
+    }
+    return context.turnState.get(LANGUAGE_KEY);
+  }
+  
+  /**
+   * Send the standard disclaimer and the command hint that start a conversation
+   * @param {TurnContext} context - The turn context for the current activity
+   * @param {string} language - The user's language code
+   */
+  async sendWelcome(context, language) {
+    await context.sendActivity(getStandardDisclaimer(this.disclaimerPolicy, language));
+    await context.sendActivity(translate(language, this.isSharedConversation(context) ? 'welcome.sharedCommandHint' : 'welcome.commandHint'));
+  }
+  
+  /**
+   * Get the conversation history from storage
+   * The history is read once per turn and kept with its eTag, so updateConversationHistory can tell if
+   * another instance of the bot saved the history in the meantime
+   * @param {TurnContext} context - The turn context for the current message
+   * @param {string} conversationId - The conversation ID used as the storage key
+   * @returns {Array} - The conversation history array
+   * @throws {StorageError} If the saved history can't be read
+   */
+  async loadConversationHistory(context, conversationId) {
+    const turnKey = `${CONVERSATION_HISTORY_KEY}:${conversationId}`;
+    let loaded = context.turnState.get(turnKey);
+    if (!loaded) {
+      loaded = await storageService.loadConversationHistoryWithETag(conversationId);
+      context.turnState.set(turnKey, loaded);
+      if (loaded.history.length > 0) {
+        console.log(`Loaded conversation history for ${conversationId} with ${loaded.history.length} messages and ${this.countTokensInHistory(loaded.history)} tokens`);
+      }
+    }
+    return loaded.history;
+  }
+  
+  /**
+   * Change the conversation history and save it
+   * The save only succeeds if the history hasn't changed since it was loaded. If another instance saved it
+   * first, the latest history is loaded and the change applied again, so neither update is lost.
+   * @param {TurnContext} context - The turn context for the current message
+   * @param {string} conversationId - The conversation ID used as the storage key
+   * @param {Function} update - Receives a copy of the history and returns (or resolves to) the new history
+   * @returns {Promise<Array>} - The saved history
+   * @throws {StorageError} If the history can't be read or saved
+   */
+  async updateConversationHistory(context, conversationId, update) {
+    const turnKey = `${CONVERSATION_HISTORY_KEY}:${conversationId}`;
+    await this.loadConversationHistory(context, conversationId);
+    const loaded = context.turnState.get(turnKey);
+    const saved = await storageService.updateRecord(conversationId, () => [], history => update([...history]), {
+      current: { data: loaded.eTag === null ? null : loaded.history, eTag: loaded.eTag }
+    });
+    context.turnState.set(turnKey, { history: saved.data, eTag: saved.eTag });
+    return saved.data;
+  }
+  
+  /**
+   * Delete the conversation history
+   * @param {TurnContext} context - The turn context for the current message
+   * @param {string} conversationId - The conversation ID used as the storage key
+   * @returns {Promise<boolean>} - True if a history was deleted
+   */
+  async deleteConversationHistory(context, conversationId) {
+    context.turnState.delete(`${CONVERSATION_HISTORY_KEY}:${conversationId}`);
+    return storageService.deleteConversationHistory(conversationId);
+  }
+  
+  /**
+   * Call the OpenAI Responses API and run any tax calculator function calls the model makes
+   * Function outputs are sent back to the model until it produces an answer or MAX_TOOL_ROUNDS is reached.
+   * Each call is retried on rate limits and outages; if a hosted search tool makes the call fail, it's made again without that tool.
+   * @param {Object} requestOptions - Options for openai.responses.create
+   * @param {StreamingResponse|null} streamingResponse - The Teams stream for the current turn, if streaming
+   * @param {number} taxYear - The tax year selected for the conversation, used when the model doesn't pass one
+   * @param {Array<Object>} [usageEntries] - Collects the token usage of each model call
+   * @param {Array<string>} [degradedTools] - Collects the types of the tools left out because they failed
+   * @returns {Object} - The final response object
+   * @throws {OpenAIRequestError} If the call fails
+   */
+  async createResponseWithTools(requestOptions, streamingResponse, taxYear, usageEntries = [], degradedTools = []) {
+    const input = [...requestOptions.input];
+    let tools = requestOptions.tools;
+    
+    for (let round = 0; ; round++) {
+      // On the last allowed round, force the model to answer with what it has
+      const options = round < MAX_TOOL_ROUNDS
+        ? { ...requestOptions, input, tools }
+        : { ...requestOptions, input, tools, tool_choice: "none" };
+      
+      let response;
+      try {
+        response = await callOpenAI((signal, onEvent) => streamingResponse
+          ? this.streamResponse(options, streamingResponse, signal, onEvent)
+          : this.openai.responses.create(options, { signal: signal, maxRetries: 0 }), {
+          label: "Responses API call",
+          stream: !!streamingResponse,
+          // Teams can't take back streamed text, so only retry before any has been shown
+          canRetry: () => !streamingResponse || !streamingResponse.hasStreamedText(),
+          onRetry: () => streamingResponse && streamingResponse.discardUnsentText()
+        });
+      } catch (error) {
+        const failedTool = findFailedTool(error, tools);
+        if (!failedTool || (streamingResponse && streamingResponse.hasStreamedText())) {
+          throw error;
+        }
+        console.warn(`Retrying the Responses API call without ${failedTool} after it failed: ${error.message}`);
+        tools = tools.filter(tool => tool.type !== failedTool);
+        degradedTools.push(failedTool);
+        if (streamingResponse) {
+          streamingResponse.discardUnsentText();
+        }
+        round--;
+        continue;
+      }
+      usageEntries.push(fromResponseUsage(requestOptions.model, response.usage));
+      
+      const functionCalls = (response.output || []).filter(item => item.type === "function_call");
+      if (functionCalls.length === 0 || round >= MAX_TOOL_ROUNDS) {
+        return response;
+      }
+      
+      if (streamingResponse) {
+        await streamingResponse.sendInformativeUpdate(translate(await this.getLanguage(streamingResponse.context), 'progress.runningNumbers'));
+      }
+      
+      for (const functionCall of functionCalls) {
+        console.log(`Running tool ${functionCall.name} with arguments ${functionCall.arguments}`);
+        input.push({
+          "type": "function_call",
+          "call_id": functionCall.call_id,
+          "name": functionCall.name,
+          "arguments": functionCall.arguments
+        });
+        input.push({
+          "type": "function_call_output",
+          "call_id": functionCall.call_id,
+          "output": executeTaxTool(functionCall.name, functionCall.arguments, taxYear)
+        });
+      }
+    }
+  }
+  
+  /**
+   * Call the OpenAI Responses API in streaming mode, forwarding text deltas to Teams
+   * @param {Object} requestOptions - Options for openai.responses.create
+   * @param {StreamingResponse} streamingResponse - The Teams stream for the current turn
+   * @param {AbortSignal} [signal] - Aborts the request, e.g. when it times out
+   * @param {Function} [onEvent] - Called for every stream event, to restart the idle timeout
+   * @returns {Object} - The completed response object
+   */
+  async streamResponse(requestOptions, streamingResponse, signal, onEvent) {
+    const stream = await this.openai.responses.create({ ...requestOptions, stream: true }, { signal: signal, maxRetries: 0 });
+    const language = await this.getLanguage(streamingResponse.context);
+    let completedResponse = null;
+    
+    for await (const event of stream) {
+      if (onEvent) {
+        onEvent();
+      }
+      switch (event.type) {
+        case 'response.file_search_call.in_progress':
+          await streamingResponse.sendInformativeUpdate(translate(language, 'progress.searchingTaxCode'));
+          break;
+        case 'response.web_search_call.in_progress':
+          await streamingResponse.sendInformativeUpdate(translate(language, 'progress.searchingWeb'));
+          break;
+        case 'response.output_text.delta':
+          await streamingResponse.appendText(event.delta);
+          break;
+        case 'response.completed':
+        case 'response.incomplete':
+          completedResponse = event.response;
+          break;
+        case 'response.failed': {
+          // Keep the error code so the failure is categorized like an API error
+          const failure = event.response.error || {};
+          throw Object.assign(new Error(`Streaming response failed: ${failure.message || 'unknown error'}`), { code: failure.code });
+        }
+        case 'error':
+          throw Object.assign(new Error(`Streaming response error: ${event.message}`), { code: event.code });
+      }
+    }
+    
+    if (!completedResponse) {
+      throw new Error("Streaming response ended without a completed response");
+    }
+    
+    return completedResponse;
+  }
+  
+  /**
+   * Extract the answer text from a Responses API response
+   * @param {Object} response - The response object returned by the OpenAI API
+   * @param {string} [language] - The user's language code, for the fallback messages
+   * @returns {string} - The answer text, or a fallback message if none was found
+   */
+  extractResponseText(response, language = DEFAULT_LANGUAGE) {
+    if (response.output_text) {
+      return response.output_text;
+    }
+    
+    if (response.output && response.output.length > 0) {
+      const messageOutput = response.output.find(item => item.type === "message");
+      if (messageOutput && messageOutput.content && messageOutput.content.length > 0) {
+        const textContent = messageOutput.content.find(item => item.type === "output_text");
+        if (textContent && textContent.text) {
+          return textContent.text;
+        }
+        return translate(language, 'answer.unformatted');
+      }
+      return translate(language, 'answer.noMessage');
+    }
+    
+    return translate(language, 'answer.unreadable');
+  }
+  
   /**
    * Count tokens in a single message
    * @param {Object} message - Message object with role and content
@@ -337,12 +962,15 @@ class TeamsBot extends TeamsActivityHandler {
   
   /**
    * Trim conversation history to fit within token limit
+   * A summary from summarizeOlderTurns replaces the turns it condensed if they are still at the head of
+   * history; any remaining excess is then trimmed by dropping the oldest pairs
    * @param {Array} history - Conversation history array
    * @param {number} systemTokens - Tokens used by system message
    * @param {number} userTokens - Tokens used by current user message
+   * @param {Object|null} [summary] - The summary from summarizeOlderTurns
    * @returns {Array} - Trimmed history array
    */
-  trimConversationToTokenLimit(history, systemTokens, userTokens) {
+  trimConversationToTokenLimit(history, systemTokens, userTokens, summary = null) {
     // If history is empty, return it
     if (history.length === 0) {
       return history;
@@ -359,6 +987,89 @@ class TeamsBot extends TeamsActivityHandler {
     console.log(`HISTORY STATUS: Conversation has ${history.length} messages with ${currentHistoryTokens} history tokens`);
     console.log(`TOTAL TOKENS: ${totalTokens} / ${MAX_TOKENS} (${percentageUsed.toFixed(2)}%) (system: ${systemTokens}, user: ${userTokens}, history: ${currentHistoryTokens})`);
     
+    if (summary) {
+      history = this.applySummary(history, summary);
+    }
+    
+    return this.dropOldestTurns(history, systemTokens, userTokens);
+  }
+  
+  /**
+   * Condense older turns into a new pinned summary message once the summary threshold is crossed
+   * The previous summary is folded into the new one, so the summary is re-summarized as it grows
+   * @param {Array} history - Conversation history array
+   * @param {number} systemTokens - Tokens used by system message
+   * @param {number} userTokens - Tokens used by current user message
+   * @returns {Promise<Object|null>} - { message, replaces, usage } with the summary message, the messages it replaces and the
+   *   usage of the summarization call, or null if there is nothing to summarize
+   */
+  async summarizeOlderTurns(history, systemTokens, userTokens) {
+    const totalTokens = systemTokens + userTokens + this.countTokensInHistory(history);
+    if (TRIM_STRATEGY !== 'summarize' || totalTokens <= MAX_TOKENS * SUMMARY_THRESHOLD) {
+      return null;
+    }
+    
+    const hasSummary = isSummaryMessage(history[0]);
+    const previousSummary = hasSummary ? getSummaryText(history[0]) : "";
+    const turns = hasSummary ? history.slice(1) : history;
+    
+    // Keep the most recent messages verbatim, summarizing whole user-assistant pairs only
+    let summarizeCount = Math.max(0, turns.length - SUMMARY_KEEP_MESSAGES);
+    summarizeCount -= summarizeCount % 2;
+    if (summarizeCount === 0) {
+      console.log("CONVERSATION SUMMARY: No older turns available to summarize");
+      return null;
+    }
+    
+    const olderTurns = turns.slice(0, summarizeCount);
+    
+    try {
+      const { text: summaryText, usage } = await summarizeConversation(this.openai, previousSummary, olderTurns);
+      const summaryMessage = createSummaryMessage(summaryText);
+      
+      console.log(`CONVERSATION SUMMARY: Condensed ${olderTurns.length} messages (${this.countTokensInHistory(olderTurns)} tokens) into a summary of ${this.countTokensInMessage(summaryMessage)} tokens`);
+      
+      return { message: summaryMessage, replaces: history.slice(0, summarizeCount + (hasSummary ? 1 : 0)), usage: usage };
+    } catch (error) {
+      // Fall back to dropping the oldest turns if summarization fails
+      console.error("Error summarizing conversation history, falling back to dropping oldest messages: ", error);
+      return null;
+    }
+  }
+  
+  /**
+   * Replace the messages a summary condensed with the summary message
+   * If the history was changed by another instance so the condensed messages are no longer at its head,
+   * the summary is left out and the history is only trimmed
+   * @param {Array} history - Conversation history array
+   * @param {Object} summary - The summary from summarizeOlderTurns
+   * @returns {Array} - History with the summary message followed by the remaining turns
+   */
+  applySummary(history, summary) {
+    const replaced = summary.replaces;
+    const stillAtHead = history.length >= replaced.length &&
+      replaced.every((message, index) => JSON.stringify(message) === JSON.stringify(history[index]));
+    if (!stillAtHead) {
+      console.log("CONVERSATION SUMMARY: History changed since it was summarized, dropping oldest messages instead");
+      return history;
+    }
+    
+    const summarizedHistory = [summary.message, ...history.slice(replaced.length)];
+    console.log(`CONVERSATION SUMMARY: ${summarizedHistory.length} messages remaining with ${this.countTokensInHistory(summarizedHistory)} history tokens`);
+    return summarizedHistory;
+  }
+  
+  /**
+   * Drop the oldest user-assistant pairs until the history fits within the token limit
+   * The pinned summary message, if present, is never dropped
+   * @param {Array} history - Conversation history array
+   * @param {number} systemTokens - Tokens used by system message
+   * @param {number} userTokens - Tokens used by current user message
+   * @returns {Array} - Trimmed history array
+   */
+  dropOldestTurns(history, systemTokens, userTokens) {
+    const totalTokens = systemTokens + userTokens + this.countTokensInHistory(history);
+    
     // If already under limit, return as is
     if (totalTokens <= MAX_TOKENS) {
       return history;
@@ -375,10 +1086,13 @@ class TeamsBot extends TeamsActivityHandler {
     let originalLength = trimmedHistory.length;
     let removedCount = 0;
     
+    // Start after the pinned summary message so it is always kept
+    const firstTurnIndex = isSummaryMessage(trimmedHistory[0]) ? 1 : 0;
+    
     // Keep removing oldest message pairs until under token limit
-    while (systemTokens + userTokens + this.countTokensInHistory(trimmedHistory) > MAX_TOKENS && trimmedHistory.length >= 2) {
+    while (systemTokens + userTokens + this.countTokensInHistory(trimmedHistory) > MAX_TOKENS && trimmedHistory.length >= firstTurnIndex + 2) {
       // Remove the oldest user-assistant pair (preserving pairs to maintain context)
-      const removedMessages = trimmedHistory.splice(0, 2);
+      const removedMessages = trimmedHistory.splice(firstTurnIndex, 2);
       removedCount += 2;
       
       // Recalculate tokens after removal
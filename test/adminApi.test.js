@@ -0,0 +1,81 @@
+// Tests of the admin API's authentication settings and audit logging, served from a local Express app
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-api-test-'));
+process.env.USE_LOCAL_STORAGE = 'true';
+process.env.LOCAL_STORAGE_PATH = storagePath;
+process.env.ADMIN_API_KEY = 'test-admin-key';
+delete process.env.ADMIN_ENTRA_TENANT_ID;
+delete process.env.ADMIN_ENTRA_AUDIENCE;
+
+const express = require('express');
+const { createAdminRouter } = require('../adminApi');
+const { listAuditEvents } = require('../auditLog');
+const storageService = require('../storageService');
+
+// Stands in for the TeamsBot, which the routes only use to count history tokens
+const bot = { countTokensInHistory: history => history.length, maxHistoryTokens: 1000 };
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', createAdminRouter(bot));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(storagePath, { recursive: true, force: true });
+});
+
+/**
+ * Call an admin route with the API key
+ * @param {string} route - The route under /api/admin
+ * @returns {Promise<Response>} - The response
+ */
+function get(route) {
+  return fetch(`${baseUrl}${route}`, { headers: { 'x-api-key': 'test-admin-key' } });
+}
+
+test('an Entra tenant without an audience stops the admin API from starting', () => {
+  process.env.ADMIN_ENTRA_TENANT_ID = '00000000-0000-0000-0000-000000000000';
+  try {
+    assert.throws(() => createAdminRouter(bot), /without ADMIN_ENTRA_AUDIENCE/);
+    process.env.ADMIN_ENTRA_AUDIENCE = 'api://tax-assistant-admin';
+    assert.doesNotThrow(() => createAdminRouter(bot));
+  } finally {
+    delete process.env.ADMIN_ENTRA_TENANT_ID;
+    delete process.env.ADMIN_ENTRA_AUDIENCE;
+  }
+});
+
+test('requests without the API key are rejected', async () => {
+  const response = await fetch(`${baseUrl}/conversations`, { headers: { authorization: 'Bearer not-a-token' } });
+  assert.equal(response.status, 401);
+});
+
+test('listing conversations and reading their usage are recorded in the audit log', async () => {
+  await storageService.saveRecord('conversation-1', [{ role: 'user', content: [{ type: 'input_text', text: 'Hi' }] }]);
+
+  const list = await get('/conversations');
+  assert.equal(list.status, 200);
+  assert.deepEqual((await list.json()).conversations.map(conversation => conversation.conversationId), ['conversation-1']);
+
+  const usage = await get('/conversations/conversation-1/usage');
+  assert.equal(usage.status, 200);
+
+  const actions = (await listAuditEvents()).map(event => [event.action, event.actor, event.target]);
+  assert.deepEqual(actions.sort(), [
+    ['conversation.list', 'api-key', undefined],
+    ['conversation.usage.read', 'api-key', 'conversation-1']
+  ]);
+});
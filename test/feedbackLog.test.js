@@ -0,0 +1,48 @@
+// Tests of stored feedback and its CSV export opened in spreadsheets
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-log-test-'));
+process.env.USE_LOCAL_STORAGE = 'true';
+process.env.LOCAL_STORAGE_PATH = storagePath;
+
+const { feedbackToCsv, saveFeedback, addFeedbackComment, listFeedback } = require('../feedbackLog');
+
+test.after(() => fs.rmSync(storagePath, { recursive: true, force: true }));
+
+test('changing a rating keeps the comment, and comments need a rating first', async () => {
+  const question = { role: 'user', content: [{ type: 'input_text', text: 'Is my HSA deductible?' }] };
+  const answer = { role: 'assistant', id: 'answer-1', content: [{ type: 'output_text', text: 'No.' }] };
+
+  assert.equal(await addFeedbackComment('answer-1', 'user-1', 'Wrong'), null);
+  assert.deepEqual(await listFeedback(), []);
+
+  await saveFeedback({ conversationId: 'conversation-1', userId: 'user-1', rating: 'negative', question, answer });
+  await addFeedbackComment('answer-1', 'user-1', 'HSA contributions are deductible');
+  await saveFeedback({ conversationId: 'conversation-1', userId: 'user-1', rating: 'positive', question, answer });
+
+  const [feedback] = await listFeedback();
+  assert.equal(feedback.rating, 'positive');
+  assert.equal(feedback.comment, 'HSA contributions are deductible');
+});
+
+test('cells a spreadsheet would run as a formula are exported as text', () => {
+  const csv = feedbackToCsv([{
+    createdAt: '2025-03-01T12:00:00.000Z',
+    rating: 'negative',
+    comment: '=HYPERLINK("https://example.com","click")',
+    question: '+1 deduction?',
+    answer: '-5 is wrong',
+    userId: '@user'
+  }]);
+  const row = csv.split('\n')[1];
+  assert.equal(row, '"2025-03-01T12:00:00.000Z","negative","\'=HYPERLINK(""https://example.com"",""click"")","\'+1 deduction?","\'-5 is wrong","","","\'@user",""');
+});
+
+test('other cells are quoted as they are', () => {
+  const csv = feedbackToCsv([{ createdAt: '2025-03-01T12:00:00.000Z', rating: 'positive', comment: 'Say "thanks"', classification: { class_label: 'tax' } }]);
+  assert.equal(csv.split('\n')[1], '"2025-03-01T12:00:00.000Z","positive","Say ""thanks""","","","tax","","",""');
+});
@@ -0,0 +1,118 @@
+// Tests of the offline OpenAI modes: fixtures recorded from a fake OpenAI server are replayed without it
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createOpenAIClient } = require('../openaiClient');
+
+const fixturesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'openai-fixtures-test-'));
+let server;
+let requestCount = 0;
+
+/**
+ * Create a client for a mode, with fixtures in the test folder
+ * @param {string} mode - The OPENAI_MODE
+ * @returns {Object} - The client
+ */
+function createClient(mode) {
+  process.env.OPENAI_MODE = mode;
+  process.env.OPENAI_FIXTURES_PATH = fixturesPath;
+  return createOpenAIClient();
+}
+
+/**
+ * Build a Responses API request
+ * @param {string} question - The user's question
+ * @param {string} date - The date mentioned in the system message
+ * @returns {Object} - The request
+ */
+function buildRequest(question, date) {
+  return {
+    model: 'gpt-test',
+    input: [
+      { role: 'system', content: [{ type: 'input_text', text: `You are a tax assistant.\nToday's date is ${date}.` }] },
+      { role: 'user', content: [{ type: 'input_text', text: question }] }
+    ]
+  };
+}
+
+test.before(async () => {
+  // Answers every Responses API call with the question it was asked
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requestCount++;
+      const request = JSON.parse(body);
+      const text = `Recorded answer to: ${request.input[request.input.length - 1].content[0].text}`;
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({
+        id: `resp_${requestCount}`,
+        object: 'response',
+        model: request.model,
+        status: 'completed',
+        output: [{ id: 'msg_1', type: 'message', role: 'assistant', status: 'completed', content: [{ type: 'output_text', text: text, annotations: [] }] }],
+        usage: { input_tokens: 10, output_tokens: 5, total_tokens: 15 }
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.OPENAI_API_KEY = 'test-key';
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(fixturesPath, { recursive: true, force: true });
+});
+
+test('replays a recorded response without calling OpenAI, whatever the date', async () => {
+  const recorded = await createClient('record').responses.create(buildRequest('When is the filing deadline?', 'Monday, April 13, 2026'));
+  assert.equal(recorded.output[0].content[0].text, 'Recorded answer to: When is the filing deadline?');
+  assert.equal(fs.readdirSync(fixturesPath).length, 1);
+
+  const countBeforeReplay = requestCount;
+  const replayed = await createClient('replay').responses.create(buildRequest('When is the filing deadline?', 'Tuesday, April 14, 2026'));
+  assert.deepEqual(replayed, recorded);
+  assert.equal(requestCount, countBeforeReplay);
+});
+
+test('replays a recorded response as a stream when the request streams', async () => {
+  await createClient('record').responses.create(buildRequest('Can I deduct my home office?', 'Monday, April 13, 2026'));
+
+  const stream = await createClient('replay').responses.create({ ...buildRequest('Can I deduct my home office?', 'Monday, April 13, 2026'), stream: true });
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  assert.equal(events[events.length - 1].type, 'response.completed');
+  const text = events.filter(event => event.type === 'response.output_text.delta').map(event => event.delta).join('');
+  assert.equal(text, 'Recorded answer to: Can I deduct my home office?');
+});
+
+test('fails on a request that was never recorded', async () => {
+  await assert.rejects(
+    createClient('replay').responses.create(buildRequest('Something new', 'Monday, April 13, 2026')),
+    /No recorded OpenAI responses.create fixture/
+  );
+});
+
+test('answers tool calls in stub mode with arguments that fit the schema', async () => {
+  delete process.env.OPENAI_STUB_SCRIPT;
+  const completion = await createClient('stub').chat.completions.create({
+    model: 'gpt-test',
+    messages: [{ role: 'user', content: 'Classify this' }],
+    tools: [{
+      type: 'function',
+      function: {
+        name: 'Classification',
+        parameters: { type: 'object', properties: { label: { type: 'string', enum: ['A', 'B'] }, score: { type: 'number' } }, required: ['label', 'score'] }
+      }
+    }]
+  });
+  const args = JSON.parse(completion.choices[0].message.tool_calls[0].function.arguments);
+  assert.equal(args.label, 'A');
+  assert.equal(typeof args.score, 'number');
+});
@@ -0,0 +1,58 @@
+// Tests of the per-attempt timeouts: a whole-request limit for plain calls and an idle limit for streams
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.OPENAI_MAX_RETRIES = '0';
+process.env.OPENAI_REQUEST_TIMEOUT_MS = '200';
+process.env.OPENAI_STREAM_IDLE_TIMEOUT_MS = '100';
+
+const { callOpenAI, OPENAI_ERROR_CATEGORIES } = require('../openaiResilience');
+
+/**
+ * Simulate a call that sends an event every interval until it has sent count events, and stops when aborted
+ * @param {AbortSignal} signal - The signal from callOpenAI
+ * @param {Function} [onEvent] - Called for each event
+ * @param {number} count - The number of events
+ * @param {number} interval - Milliseconds between events
+ * @returns {Promise<string>} - Resolves once every event is sent
+ */
+function emitEvents(signal, onEvent, count, interval) {
+  return new Promise((resolve, reject) => {
+    let sent = 0;
+    const timer = setInterval(() => {
+      if (onEvent) {
+        onEvent();
+      }
+      if (++sent === count) {
+        clearInterval(timer);
+        resolve('done');
+      }
+    }, interval);
+    signal.addEventListener('abort', () => {
+      clearInterval(timer);
+      reject(new Error('aborted'));
+    });
+  });
+}
+
+test('a stream that keeps sending events may run longer than the request timeout', async () => {
+  const result = await callOpenAI((signal, onEvent) => emitEvents(signal, onEvent, 10, 40), { label: 'Stream', stream: true });
+  assert.equal(result, 'done');
+});
+
+test('a stream that goes quiet times out', async () => {
+  await assert.rejects(
+    callOpenAI(signal => emitEvents(signal, undefined, 1, 150), { label: 'Stream', stream: true }),
+    error => error.category === OPENAI_ERROR_CATEGORIES.TIMEOUT && /without a stream event/.test(error.message)
+  );
+});
+
+test('a call that is not streamed is limited to the request timeout in all', async () => {
+  await assert.rejects(
+    callOpenAI((signal, onEvent) => {
+      assert.equal(onEvent, undefined);
+      return emitEvents(signal, undefined, 10, 40);
+    }, { label: 'Request' }),
+    error => error.category === OPENAI_ERROR_CATEGORIES.TIMEOUT && /timed out after 200 ms$/.test(error.message)
+  );
+});
@@ -0,0 +1,113 @@
+// Tests of the sensitive data rules, custom rules from PII_REDACTION_RULES_FILE and placeholder numbering
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pii-redactor-test-'));
+const rulesFile = path.join(tempDir, 'rules.json');
+fs.writeFileSync(rulesFile, JSON.stringify([
+  { type: 'member_id', label: 'member ID', pattern: '\\bM\\d{6}\\b', keywords: '\\bmember\\b' }
+]));
+
+process.env.PII_REDACTION_KEY = 'test-redaction-key';
+process.env.PII_REDACTION_RULES_FILE = rulesFile;
+delete process.env.PII_REDACTION_ENABLED;
+delete process.env.PII_REDACTION_TYPES;
+
+const { redactText, DEFAULT_RULES } = require('../piiRedactor');
+
+/**
+ * Get the types redacted from a message
+ * @param {string} text - The message text
+ * @param {Array<Object>} [rules] - Detection rules, defaults to the enabled rules
+ * @returns {Array<string>} - The redacted types
+ */
+function redactedTypes(text, rules) {
+  return redactText(text, {}, rules).redactions.map(redaction => redaction.type);
+}
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('each built-in rule redacts its own kind of number', () => {
+  const cases = [
+    ['My SSN is 123-45-6789.', 'SSN'],
+    ['my social security number is 123456789', 'SSN'],
+    ['My ITIN is 912-78-1234.', 'ITIN'],
+    ['Our EIN is 12-3456789.', 'EIN'],
+    ['the employer id is 123456789', 'EIN'],
+    ['The routing number is 021000021.', 'ROUTING_NUMBER'],
+    ['Deposit it to account 12345678901.', 'ACCOUNT_NUMBER'],
+    ['I was born on 04/15/1980.', 'DATE_OF_BIRTH'],
+    ['My DOB is March 3, 1975.', 'DATE_OF_BIRTH']
+  ];
+  for (const [text, type] of cases) {
+    assert.deepEqual(redactedTypes(text, DEFAULT_RULES), [type], text);
+  }
+});
+
+test('numbers that only look like sensitive data are left alone', () => {
+  for (const text of [
+    // Invalid SSN area and group numbers
+    'The code 000-12-3456 is not an SSN.',
+    'The code 123-00-4567 is not an SSN.',
+    // ITIN group numbers must be 50-65, 70-88, 90-92 or 94-99
+    'Reference 912-40-1234 is not an ITIN.',
+    // Nine-digit numbers need a keyword, and routing numbers a valid checksum
+    'My invoice number is 123456789.',
+    'The routing number is 123456789.',
+    // Account numbers need a keyword
+    'I earned 12345678 dollars last year.',
+    // Dates need a birth keyword
+    'The deadline is 04/15/2025.',
+    'I moved on March 3, 1975.'
+  ]) {
+    assert.deepEqual(redactedTypes(text, DEFAULT_RULES), [], text);
+  }
+});
+
+test('custom rules are loaded from PII_REDACTION_RULES_FILE', () => {
+  const result = redactText('My member number is M123456.');
+  assert.equal(result.text, 'My member number is [MEMBER_ID_1].');
+  assert.deepEqual(result.redactions, [{ type: 'MEMBER_ID', label: 'member ID', placeholder: '[MEMBER_ID_1]' }]);
+
+  // The keyword is required like it is for the built-in rules
+  assert.deepEqual(redactText('Order M123456 has shipped.').redactions, []);
+});
+
+test('placeholders are numbered per type and reused for the same value', () => {
+  const first = redactText('My SSN is 123-45-6789 and my spouse\'s is 234-56-7890.');
+  assert.equal(first.text, 'My SSN is [SSN_1] and my spouse\'s is [SSN_2].');
+
+  // Later messages reuse the saved placeholders, including when the value is written differently
+  const second = redactText('Our EIN is 12-3456789. Is SSN 123 45 6789 right?', first.placeholders);
+  assert.equal(second.text, 'Our EIN is [EIN_1]. Is SSN [SSN_1] right?');
+
+  const third = redactText('I was born on 1980-04-15, or 04/15/1980 in US format.', second.placeholders);
+  assert.equal(third.text, 'I was born on [DATE_OF_BIRTH_1], or [DATE_OF_BIRTH_1] in US format.');
+});
+
+test('placeholders stay the same after a restart with the same key', () => {
+  const script = "process.stdout.write(JSON.stringify(require('./piiRedactor').redactText('My SSN is 123-45-6789.').placeholders))";
+  const run = () => execFileSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, PII_REDACTION_RULES_FILE: '' },
+    encoding: 'utf8'
+  });
+
+  const saved = JSON.parse(run());
+  assert.deepEqual(JSON.parse(run()), saved);
+
+  // Placeholders saved before the restart still match the value afterwards
+  assert.equal(redactText('SSN 123-45-6789', saved).text, 'SSN [SSN_1]');
+});
+
+test('production refuses to start without a key', () => {
+  assert.throws(() => execFileSync(process.execPath, ['-e', "require('./piiRedactor')"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, PII_REDACTION_KEY: '', BOT_PASSWORD: '', PII_REDACTION_RULES_FILE: '', NODE_ENV: 'production' },
+    stdio: 'pipe'
+  }), /Set PII_REDACTION_KEY/);
+});
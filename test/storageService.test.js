@@ -0,0 +1,53 @@
+// Tests of conditional record updates and deletes against local file storage
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-service-test-'));
+process.env.USE_LOCAL_STORAGE = 'true';
+process.env.LOCAL_STORAGE_PATH = storagePath;
+
+const storageService = require('../storageService');
+const { STORAGE_ERROR_CODES } = require('../storageAdapters/storageError');
+
+test.after(() => fs.rmSync(storagePath, { recursive: true, force: true }));
+
+test('concurrent updates are each applied once', async () => {
+  await Promise.all([1, 2, 3, 4].map(() => storageService.updateRecord('counters/a', () => ({ count: 0 }), record => {
+    record.count++;
+  })));
+  assert.deepEqual(await storageService.loadRecord('counters/a'), { count: 4 });
+});
+
+test('an update that changes nothing writes nothing, and one that resolves to null deletes the record', async () => {
+  const eTag = await storageService.saveRecord('counters/b', { count: 1 });
+  assert.deepEqual(await storageService.updateRecord('counters/b', () => ({ count: 0 }), record => record), { data: { count: 1 }, eTag: eTag });
+  assert.equal((await storageService.loadRecordWithETag('counters/b')).eTag, eTag);
+
+  assert.deepEqual(await storageService.updateRecord('counters/b', () => ({ count: 0 }), () => null), { data: null, eTag: null });
+  assert.equal(await storageService.loadRecord('counters/b'), null);
+});
+
+test('the change is applied again to a record another writer saved in between', async () => {
+  const first = await storageService.loadRecordWithETag('counters/c');
+  await storageService.saveRecord('counters/c', { count: 10 });
+
+  let calls = 0;
+  const saved = await storageService.updateRecord('counters/c', () => ({ count: 0 }), record => {
+    calls++;
+    record.count++;
+  }, { current: first });
+  assert.equal(calls, 2);
+  assert.equal(saved.data.count, 11);
+});
+
+test('a conditional delete fails once the record has changed', async () => {
+  const eTag = await storageService.saveRecord('counters/d', { count: 1 });
+  await storageService.saveRecord('counters/d', { count: 2 });
+  await assert.rejects(storageService.deleteRecord('counters/d', { eTag: eTag }), error => error.code === STORAGE_ERROR_CODES.PRECONDITION_FAILED);
+
+  const { eTag: current } = await storageService.loadRecordWithETag('counters/d');
+  assert.equal(await storageService.deleteRecord('counters/d', { eTag: current }), true);
+});
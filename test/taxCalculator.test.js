@@ -0,0 +1,83 @@
+// Tests of the tax calculations the model calls as function tools, checked against hand-worked returns
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  calculateIncomeTax,
+  calculateStandardDeduction,
+  calculateFicaTax,
+  calculateSelfEmploymentTax,
+  calculateCapitalGainsTax,
+  executeTaxTool
+} = require('../taxCalculator');
+const { FILING_STATUSES } = require('../taxTables');
+
+const { SINGLE, MARRIED_FILING_JOINTLY } = FILING_STATUSES;
+
+test('income tax is worked out bracket by bracket', () => {
+  const cases = [
+    [2023, SINGLE, 100000, 17400, 0.24],
+    [2024, SINGLE, 100000, 17053, 0.22],
+    [2025, SINGLE, 100000, 16914, 0.22],
+    [2026, SINGLE, 100000, 16712, 0.22],
+    [2024, MARRIED_FILING_JOINTLY, 200000, 34106, 0.22]
+  ];
+  for (const [year, filingStatus, taxableIncome, tax, marginalRate] of cases) {
+    const result = calculateIncomeTax(year, filingStatus, taxableIncome);
+    assert.equal(result.tax, tax, `${year} ${filingStatus} ${taxableIncome}`);
+    assert.equal(result.marginal_rate, marginalRate, `${year} ${filingStatus} ${taxableIncome}`);
+  }
+
+  const top = calculateIncomeTax(2025, SINGLE, 1000000);
+  assert.equal(top.tax, 327020.25);
+  assert.equal(top.marginal_rate, 0.37);
+  assert.equal(top.breakdown.length, 7);
+
+  assert.equal(calculateIncomeTax(2025, SINGLE, 0).tax, 0);
+});
+
+test('the standard deduction adds the amount for each age or blindness condition', () => {
+  assert.equal(calculateStandardDeduction(2025, SINGLE, 2).total_standard_deduction, 19750);
+  assert.equal(calculateStandardDeduction(2026, MARRIED_FILING_JOINTLY, 2).total_standard_deduction, 35500);
+  assert.equal(calculateStandardDeduction(2024, SINGLE).total_standard_deduction, 14600);
+});
+
+test('FICA tax stops Social Security at the wage base and adds the Additional Medicare Tax', () => {
+  const result = calculateFicaTax(2025, SINGLE, 250000);
+  assert.equal(result.social_security_tax, 10918.2);
+  assert.equal(result.medicare_tax, 3625);
+  assert.equal(result.additional_medicare_tax, 450);
+  assert.equal(result.total_fica_tax, 14993.2);
+});
+
+test('self-employment tax uses each year\'s wage base', () => {
+  const cappedSocialSecurityTax = { 2023: 19864.8, 2024: 20906.4, 2025: 21836.4, 2026: 22878 };
+  for (const [year, socialSecurityTax] of Object.entries(cappedSocialSecurityTax)) {
+    assert.equal(calculateSelfEmploymentTax(Number(year), SINGLE, 300000).social_security_tax, socialSecurityTax, year);
+  }
+
+  assert.equal(calculateSelfEmploymentTax(2025, SINGLE, 100000).self_employment_tax, 14129.55);
+  // Net earnings under $400 owe nothing
+  assert.equal(calculateSelfEmploymentTax(2025, SINGLE, 400).self_employment_tax, 0);
+});
+
+test('capital gains are stacked on ordinary income across the 0%, 15% and 20% rates', () => {
+  const stacked = calculateCapitalGainsTax(2024, SINGLE, 60000, 20000);
+  assert.equal(stacked.taxed_at_0_percent, 7025);
+  assert.equal(stacked.taxed_at_15_percent, 12975);
+  assert.equal(stacked.taxed_at_20_percent, 0);
+  assert.equal(stacked.capital_gains_tax, 1946.25);
+  assert.equal(stacked.ordinary_income_tax, 4568);
+  assert.equal(stacked.total_tax, 6514.25);
+
+  const large = calculateCapitalGainsTax(2025, SINGLE, 700000, 700000);
+  assert.equal(large.taxed_at_0_percent, 48350);
+  assert.equal(large.taxed_at_15_percent, 485050);
+  assert.equal(large.taxed_at_20_percent, 166600);
+  assert.equal(large.capital_gains_tax, 106077.5);
+});
+
+test('tool calls use the conversation\'s tax year when the model passes none', () => {
+  const result = JSON.parse(executeTaxTool('calculate_income_tax', JSON.stringify({ tax_year: null, filing_status: SINGLE, taxable_income: 100000 }), 2024));
+  assert.equal(result.tax_year, 2024);
+  assert.equal(result.tax, 17053);
+});
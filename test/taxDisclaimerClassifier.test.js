@@ -0,0 +1,45 @@
+// Tests of the local disclaimer rules, which decide clear-cut answers without calling the model
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyWithRules, CLASSIFICATION_LABELS } = require('../taxDisclaimerClassifier');
+
+test('answers with figures, citations or form numbers need a disclaimer', () => {
+  for (const text of [
+    'The standard deduction is $15,750.',
+    'The top rate is 37%.',
+    'See IRC § 162 for business expenses.',
+    'Report it on Form 1040, Schedule C.',
+    'La deducción estándar es de 15.750 dólares.'
+  ]) {
+    assert.equal(classifyWithRules(text).class_label, CLASSIFICATION_LABELS.NEEDS_DISCLAIMER, text);
+  }
+});
+
+test('answers that are only a greeting or pleasantry need no disclaimer', () => {
+  for (const text of [
+    'Hello!',
+    'Hi there! How can I help you today?',
+    "You're welcome! Let me know if you have other questions.",
+    'Good morning, Maria.',
+    '¡Hola! ¿En qué puedo ayudarle hoy?',
+    'De nada.'
+  ]) {
+    assert.equal(classifyWithRules(text).class_label, CLASSIFICATION_LABELS.NO_DISCLAIMER_NEEDED, text);
+  }
+});
+
+test('advice that opens with a greeting is left to the model', () => {
+  for (const text of [
+    'Hi! Yes, you can deduct your mortgage interest if you itemize instead of taking the standard deduction.',
+    'Thanks for asking. You should file jointly with your spouse.',
+    'Hello! You should itemize.',
+    '¡Hola! Sí, puede deducir los intereses de su hipoteca si detalla sus deducciones.'
+  ]) {
+    assert.equal(classifyWithRules(text), null, text);
+  }
+});
+
+test('only greetings are decided locally when the policy has extra labels', () => {
+  assert.equal(classifyWithRules('The standard deduction is $15,750.', true), null);
+  assert.equal(classifyWithRules('Hello!', true).class_label, CLASSIFICATION_LABELS.NO_DISCLAIMER_NEEDED);
+});
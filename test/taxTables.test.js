@@ -0,0 +1,147 @@
+// Tests locking in the published IRS and SSA figures for each supported tax year
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  FILING_STATUSES,
+  getSupportedTaxYears,
+  getTaxBrackets,
+  getStandardDeduction,
+  getAdditionalStandardDeduction,
+  getSocialSecurityWageBase,
+  getAdditionalMedicareThreshold,
+  getCapitalGainsThresholds
+} = require('../taxTables');
+
+const { SINGLE, MARRIED_FILING_JOINTLY, MARRIED_FILING_SEPARATELY, HEAD_OF_HOUSEHOLD, QUALIFYING_SURVIVING_SPOUSE } = FILING_STATUSES;
+
+// Upper bounds of the 10% through 35% brackets, from the revenue procedure for each year
+const EXPECTED_BRACKETS = {
+  2023: {
+    [SINGLE]: [11000, 44725, 95375, 182100, 231250, 578125],
+    [MARRIED_FILING_JOINTLY]: [22000, 89450, 190750, 364200, 462500, 693750],
+    [MARRIED_FILING_SEPARATELY]: [11000, 44725, 95375, 182100, 231250, 346875],
+    [HEAD_OF_HOUSEHOLD]: [15700, 59850, 95350, 182100, 231250, 578100]
+  },
+  2024: {
+    [SINGLE]: [11600, 47150, 100525, 191950, 243725, 609350],
+    [MARRIED_FILING_JOINTLY]: [23200, 94300, 201050, 383900, 487450, 731200],
+    [MARRIED_FILING_SEPARATELY]: [11600, 47150, 100525, 191950, 243725, 365600],
+    [HEAD_OF_HOUSEHOLD]: [16550, 63100, 100500, 191950, 243700, 609350]
+  },
+  2025: {
+    [SINGLE]: [11925, 48475, 103350, 197300, 250525, 626350],
+    [MARRIED_FILING_JOINTLY]: [23850, 96950, 206700, 394600, 501050, 751600],
+    [MARRIED_FILING_SEPARATELY]: [11925, 48475, 103350, 197300, 250525, 375800],
+    [HEAD_OF_HOUSEHOLD]: [17000, 64850, 103350, 197300, 250500, 626350]
+  },
+  2026: {
+    [SINGLE]: [12400, 50400, 105700, 201775, 256225, 640600],
+    [MARRIED_FILING_JOINTLY]: [24800, 100800, 211400, 403550, 512450, 768700],
+    [MARRIED_FILING_SEPARATELY]: [12400, 50400, 105700, 201775, 256225, 384350],
+    [HEAD_OF_HOUSEHOLD]: [17700, 67450, 105700, 201750, 256200, 640600]
+  }
+};
+
+// Basic standard deduction for single, married filing jointly, married filing separately and head of household
+const EXPECTED_STANDARD_DEDUCTIONS = {
+  2023: [13850, 27700, 13850, 20800],
+  2024: [14600, 29200, 14600, 21900],
+  2025: [15750, 31500, 15750, 23625],
+  2026: [16100, 32200, 16100, 24150]
+};
+
+// Additional standard deduction per condition for unmarried and married taxpayers
+const EXPECTED_ADDITIONAL_STANDARD_DEDUCTIONS = {
+  2023: [1850, 1500],
+  2024: [1950, 1550],
+  2025: [2000, 1600],
+  2026: [2050, 1650]
+};
+
+const EXPECTED_WAGE_BASES = { 2023: 160200, 2024: 168600, 2025: 176100, 2026: 184500 };
+
+// Upper bounds of the 0% and 15% long-term capital gains rates
+const EXPECTED_CAPITAL_GAINS = {
+  2023: {
+    [SINGLE]: [44625, 492300],
+    [MARRIED_FILING_JOINTLY]: [89250, 553850],
+    [MARRIED_FILING_SEPARATELY]: [44625, 276900],
+    [HEAD_OF_HOUSEHOLD]: [59750, 523050]
+  },
+  2024: {
+    [SINGLE]: [47025, 518900],
+    [MARRIED_FILING_JOINTLY]: [94050, 583750],
+    [MARRIED_FILING_SEPARATELY]: [47025, 291850],
+    [HEAD_OF_HOUSEHOLD]: [63000, 551350]
+  },
+  2025: {
+    [SINGLE]: [48350, 533400],
+    [MARRIED_FILING_JOINTLY]: [96700, 600050],
+    [MARRIED_FILING_SEPARATELY]: [48350, 300000],
+    [HEAD_OF_HOUSEHOLD]: [64750, 566700]
+  },
+  2026: {
+    [SINGLE]: [49450, 545500],
+    [MARRIED_FILING_JOINTLY]: [98900, 613700],
+    [MARRIED_FILING_SEPARATELY]: [49450, 306850],
+    [HEAD_OF_HOUSEHOLD]: [66200, 579600]
+  }
+};
+
+test('covers tax years 2023 through 2026', () => {
+  assert.deepEqual(getSupportedTaxYears(), [2023, 2024, 2025, 2026]);
+});
+
+test('ordinary income brackets match the published figures', () => {
+  for (const [year, statuses] of Object.entries(EXPECTED_BRACKETS)) {
+    for (const [filingStatus, upperBounds] of Object.entries(statuses)) {
+      const brackets = getTaxBrackets(Number(year), filingStatus);
+      assert.deepEqual(brackets.map(bracket => bracket.rate), [0.10, 0.12, 0.22, 0.24, 0.32, 0.35, 0.37], `${year} ${filingStatus}`);
+      assert.deepEqual(brackets.map(bracket => bracket.upperBound), [...upperBounds, null], `${year} ${filingStatus}`);
+      assert.deepEqual(brackets.map(bracket => bracket.lowerBound), [0, ...upperBounds], `${year} ${filingStatus}`);
+    }
+  }
+});
+
+test('standard deductions match the published figures', () => {
+  for (const [year, amounts] of Object.entries(EXPECTED_STANDARD_DEDUCTIONS)) {
+    const statuses = [SINGLE, MARRIED_FILING_JOINTLY, MARRIED_FILING_SEPARATELY, HEAD_OF_HOUSEHOLD];
+    assert.deepEqual(statuses.map(filingStatus => getStandardDeduction(Number(year), filingStatus)), amounts, year);
+  }
+  for (const [year, [unmarried, married]] of Object.entries(EXPECTED_ADDITIONAL_STANDARD_DEDUCTIONS)) {
+    assert.equal(getAdditionalStandardDeduction(Number(year), SINGLE), unmarried, year);
+    assert.equal(getAdditionalStandardDeduction(Number(year), HEAD_OF_HOUSEHOLD), unmarried, year);
+    assert.equal(getAdditionalStandardDeduction(Number(year), MARRIED_FILING_JOINTLY), married, year);
+    assert.equal(getAdditionalStandardDeduction(Number(year), MARRIED_FILING_SEPARATELY), married, year);
+  }
+});
+
+test('qualifying surviving spouses use the married filing jointly figures', () => {
+  for (const year of getSupportedTaxYears()) {
+    assert.deepEqual(getTaxBrackets(year, QUALIFYING_SURVIVING_SPOUSE), getTaxBrackets(year, MARRIED_FILING_JOINTLY));
+    assert.equal(getStandardDeduction(year, QUALIFYING_SURVIVING_SPOUSE), getStandardDeduction(year, MARRIED_FILING_JOINTLY));
+    assert.deepEqual(getCapitalGainsThresholds(year, QUALIFYING_SURVIVING_SPOUSE), getCapitalGainsThresholds(year, MARRIED_FILING_JOINTLY));
+  }
+});
+
+test('capital gains thresholds match the published figures', () => {
+  for (const [year, statuses] of Object.entries(EXPECTED_CAPITAL_GAINS)) {
+    for (const [filingStatus, [zeroRateMax, fifteenRateMax]] of Object.entries(statuses)) {
+      assert.deepEqual(getCapitalGainsThresholds(Number(year), filingStatus), { zeroRateMax, fifteenRateMax }, `${year} ${filingStatus}`);
+    }
+  }
+});
+
+test('payroll tax figures match the published figures', () => {
+  for (const [year, wageBase] of Object.entries(EXPECTED_WAGE_BASES)) {
+    assert.equal(getSocialSecurityWageBase(Number(year)), wageBase, year);
+  }
+  assert.equal(getAdditionalMedicareThreshold(SINGLE), 200000);
+  assert.equal(getAdditionalMedicareThreshold(MARRIED_FILING_JOINTLY), 250000);
+  assert.equal(getAdditionalMedicareThreshold(MARRIED_FILING_SEPARATELY), 125000);
+});
+
+test('unsupported years and filing statuses are rejected', () => {
+  assert.throws(() => getStandardDeduction(2022, SINGLE), /Tax year 2022 is not supported/);
+  assert.throws(() => getTaxBrackets(2025, 'married'), /Unknown filing status "married"/);
+});
@@ -0,0 +1,83 @@
+// End-to-end tests of the message handler, driven through botbuilder's TestAdapter with OpenAI stubbed out
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'teams-bot-test-'));
+process.env.USE_LOCAL_STORAGE = 'true';
+process.env.LOCAL_STORAGE_PATH = storagePath;
+process.env.OPENAI_MODE = 'stub';
+process.env.OPENAI_STUB_SCRIPT = path.join(__dirname, 'fixtures', 'openaiStub.json');
+process.env.OPENAI_MAX_RETRIES = '0';
+
+const { TestAdapter, ConversationState } = require('botbuilder');
+const { TeamsBot } = require('../teamsBot');
+const { BotStateStorage } = require('../botStateStorage');
+const storageService = require('../storageService');
+const { translate } = require('../localization');
+
+const bot = new TeamsBot(new ConversationState(new BotStateStorage()));
+
+/**
+ * Send messages to the bot in a new conversation
+ * @param {Array<string|Object>} messages - Message texts or activities
+ * @returns {Promise<Object>} - { replies, conversationId } with the text of every message the bot sent
+ */
+async function converse(messages) {
+  const adapter = new TestAdapter(context => bot.run(context));
+  for (const message of messages) {
+    await adapter.send(message);
+  }
+  return {
+    replies: adapter.activeQueue.filter(activity => activity.type === 'message').map(activity => activity.text || ''),
+    conversationId: adapter.conversation.conversation.id
+  };
+}
+
+test.after(() => {
+  fs.rmSync(storagePath, { recursive: true, force: true });
+});
+
+test('answers a question from the model with the tax year and disclaimer', async () => {
+  const { replies, conversationId } = await converse(['What is the standard deduction?']);
+
+  assert.equal(replies.length, 1);
+  assert.match(replies[0], /^\*Tax year \d{4}\*/);
+  assert.match(replies[0], /the standard deduction is \$15,750 for single filers/);
+  assert.match(replies[0], /not professional tax advice/);
+
+  const history = await storageService.loadConversationHistory(conversationId);
+  assert.deepEqual(history.map(message => message.role), ['user', 'assistant']);
+});
+
+test('explains an OpenAI error instead of answering', async () => {
+  const { replies } = await converse(['I hit a rate limit, what now?']);
+
+  assert.deepEqual(replies, ["I'm getting a lot of questions right now. Please wait a minute and ask again."]);
+});
+
+test('runs slash commands without calling the model', async () => {
+  const { replies } = await converse(['/year 2024', 'What is the standard deduction?']);
+
+  assert.equal(replies[0], "Got it! I'll answer for **tax year 2024** in this conversation.");
+  assert.match(replies[1], /^\*Tax year 2024\*/);
+});
+
+test('redacts sensitive numbers before the message reaches the model or storage', async () => {
+  const { replies, conversationId } = await converse(['My SSN is 123-45-6789, do I need to file?']);
+
+  assert.match(replies[0], /removed your Social Security number/);
+  assert.match(replies[1], /only received the placeholder/);
+  const history = await storageService.loadConversationHistory(conversationId);
+  assert.doesNotMatch(JSON.stringify(history), /123-45-6789/);
+});
+
+test('answers in the language chosen with /language', async () => {
+  const { replies } = await converse(['/language es', 'I hit a rate limit', '/year 2024']);
+
+  assert.match(replies[0], /Español/);
+  assert.equal(replies[1], translate('es', 'errors.openai.rate_limited'));
+  assert.equal(replies[2], translate('es', 'year.set', { taxYear: 2024 }));
+});
@@ -0,0 +1,34 @@
+// Tests of the exported transcript text in each language
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown, renderHtml } = require('../transcriptRenderer');
+
+const history = [
+  { role: 'developer', isSummary: true, content: [{ type: 'input_text', text: 'Earlier turns' }] },
+  { role: 'user', content: [{ type: 'input_text', text: 'Is my HSA deductible?' }], timestamp: '2025-03-01T17:00:00.000Z' },
+  {
+    role: 'assistant',
+    content: [{ type: 'output_text', text: 'Yes, within the limits.' }],
+    timestamp: '2025-03-01T17:00:05.000Z',
+    citations: [{ number: 1, type: 'file', title: 'Section 223' }]
+  }
+];
+const options = { timezone: 'UTC', exportedAt: '2025-03-02T09:30:00.000Z' };
+
+test('transcripts are written in English by default', () => {
+  const markdown = renderMarkdown(history, options);
+  assert.match(markdown, /^# U\.S\. Tax Assistant Conversation Transcript\n\nExported March 2, 2025 at 9:30 AM\n/);
+  assert.match(markdown, /## Summary of earlier conversation\n/);
+  assert.match(markdown, /## You \(March 1, 2025 at 5:00 PM\)\n/);
+  assert.match(markdown, /\*\*Sources\*\*\n\n1\. Internal Revenue Code: Section 223/);
+});
+
+test('transcripts use the user\'s language for their text and dates', () => {
+  const markdown = renderMarkdown(history, { ...options, language: 'es' });
+  assert.match(markdown, /^# Transcripción de la conversación con U\.S\. Tax Assistant\n\nExportada el 2 de marzo de 2025, 9:30\n/);
+  assert.match(markdown, /## Resumen de la conversación anterior\n/);
+  assert.match(markdown, /## Usted \(1 de marzo de 2025, 17:00\)\n/);
+  assert.match(markdown, /\*\*Fuentes\*\*\n\n1\. Código de Impuestos Internos: Section 223/);
+
+  assert.match(renderHtml(history, { ...options, language: 'es' }), /<html lang="es">/);
+});
@@ -0,0 +1,136 @@
+// Tests of turn serialization, follow-up coalescing and the storage lock provider against local file storage
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'turn-queue-test-'));
+process.env.USE_LOCAL_STORAGE = 'true';
+process.env.LOCAL_STORAGE_PATH = storagePath;
+
+const { COALESCE_POLICIES, StorageLockProvider, TurnQueue } = require('../turnQueue');
+const storageService = require('../storageService');
+
+test.after(() => fs.rmSync(storagePath, { recursive: true, force: true }));
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('turns in a conversation run one at a time, in the order they arrived', async () => {
+  const queue = new TurnQueue({ lockProvider: null, coalescePolicy: COALESCE_POLICIES.OFF });
+  const events = [];
+  const handler = delay => async texts => {
+    events.push(`start ${texts.join('+')}`);
+    await sleep(delay);
+    events.push(`end ${texts.join('+')}`);
+  };
+
+  const results = await Promise.all([
+    queue.run('conversation', { text: 'a', coalesceKey: 'user' }, handler(30)),
+    queue.run('conversation', { text: 'b', coalesceKey: 'user' }, handler(10)),
+    queue.run('conversation', { text: 'c', coalesceKey: 'user' }, handler(0))
+  ]);
+  assert.deepEqual(results, [true, true, true]);
+  assert.deepEqual(events, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+});
+
+test('with the queued policy, questions that arrive during a turn are answered together after it', async () => {
+  const queue = new TurnQueue({ lockProvider: null, coalescePolicy: COALESCE_POLICIES.QUEUED });
+  const answered = [];
+  const handler = async texts => {
+    answered.push(texts);
+    await sleep(20);
+  };
+
+  const results = await Promise.all([
+    queue.run('conversation', { text: 'a', coalesceKey: 'user' }, handler),
+    queue.run('conversation', { text: 'b', coalesceKey: 'user' }, handler),
+    queue.run('conversation', { text: 'c', coalesceKey: 'user' }, handler),
+    queue.run('conversation', { text: 'd', coalesceKey: 'other-user' }, handler),
+    queue.run('conversation', { text: 'e', coalesceKey: null }, handler)
+  ]);
+  assert.deepEqual(answered, [['a'], ['b', 'c'], ['d'], ['e']]);
+  assert.deepEqual(results, [true, true, false, true, true]);
+});
+
+test('with the window policy, a question waits for follow-ups before it is answered', async () => {
+  const queue = new TurnQueue({ lockProvider: null, coalescePolicy: COALESCE_POLICIES.WINDOW, coalesceWindowMs: 50 });
+  const answered = [];
+  const handler = async texts => {
+    answered.push(texts);
+  };
+
+  const first = queue.run('conversation', { text: 'a', coalesceKey: 'user' }, handler);
+  await sleep(20);
+  const second = queue.run('conversation', { text: 'b', coalesceKey: 'user' }, handler);
+  assert.deepEqual(await Promise.all([first, second]), [true, false]);
+  assert.deepEqual(answered, [['a', 'b']]);
+
+  await queue.run('conversation', { text: 'c', coalesceKey: 'user' }, handler);
+  assert.deepEqual(answered, [['a', 'b'], ['c']]);
+});
+
+test('follow-ups combined into a turn that fails resolve false, and the turn rejects', async () => {
+  const queue = new TurnQueue({ lockProvider: null, coalescePolicy: COALESCE_POLICIES.QUEUED });
+  const first = queue.run('conversation', { text: 'a', coalesceKey: 'user' }, () => sleep(20));
+  const second = queue.run('conversation', { text: 'b', coalesceKey: 'user' }, async () => {
+    throw new Error('Model unavailable');
+  });
+  const third = queue.run('conversation', { text: 'c', coalesceKey: 'user' }, () => assert.fail('Combined into the second turn'));
+
+  assert.equal(await first, true);
+  await assert.rejects(second, /Model unavailable/);
+  assert.equal(await third, false);
+});
+
+test('the storage lock provider takes an expired lock, renews it while held and releases it', async () => {
+  await storageService.saveRecord('locks/expired', { conversationId: 'expired', owner: 'crashed-instance', expiresAt: Date.now() - 1000 });
+  const provider = new StorageLockProvider(0.2);
+
+  const release = await provider.acquire('expired');
+  const taken = await storageService.loadRecord('locks/expired');
+  assert.equal(taken.owner, provider.owner);
+
+  await sleep(250);
+  const renewed = await storageService.loadRecord('locks/expired');
+  assert.equal(renewed.owner, provider.owner);
+  assert.ok(renewed.expiresAt > taken.expiresAt);
+
+  await release();
+  assert.equal(await storageService.loadRecord('locks/expired'), null);
+});
+
+test('another instance waits for a held lock until it is released', async () => {
+  const holder = new StorageLockProvider(60);
+  const waiter = new StorageLockProvider(60);
+  const release = await holder.acquire('held');
+
+  let acquired = false;
+  const waiting = waiter.acquire('held').then(releaseWaiter => {
+    acquired = true;
+    return releaseWaiter;
+  });
+  await sleep(300);
+  assert.equal(acquired, false);
+
+  await release();
+  const releaseWaiter = await waiting;
+  assert.equal((await storageService.loadRecord('locks/held')).owner, waiter.owner);
+  await releaseWaiter();
+});
+
+test('releasing a lock another instance has taken since it expired leaves that lock in place', async () => {
+  const provider = new StorageLockProvider(60);
+  const release = await provider.acquire('taken-over');
+  await storageService.saveRecord('locks/taken-over', { conversationId: 'taken-over', owner: 'other-instance', expiresAt: Date.now() + 60000 });
+
+  await release();
+  assert.equal((await storageService.loadRecord('locks/taken-over')).owner, 'other-instance');
+});
@@ -0,0 +1,29 @@
+// Tests of the profile form card
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildProfileCard, setProfileField } = require('../userProfile');
+
+/**
+ * Find an input in the profile card
+ * @param {Object} card - The card attachment
+ * @param {string} id - The input ID
+ * @returns {Object} - The input element
+ */
+function findInput(card, id) {
+  return card.content.body.find(element => element.id === id);
+}
+
+test('self-employment starts out unset on the card, so saving the form leaves it unset', () => {
+  const input = findInput(buildProfileCard({ state: 'CA' }), 'selfEmployed');
+  assert.equal(input.value, '');
+  assert.equal(setProfileField({}, 'selfEmployed', input.value).selfEmployed, undefined);
+});
+
+test('a saved self-employment answer is selected on the card and submitted unchanged', () => {
+  for (const selfEmployed of [true, false]) {
+    const input = findInput(buildProfileCard({ selfEmployed: selfEmployed }, 'es'), 'selfEmployed');
+    assert.ok(input.choices.some(choice => choice.value === input.value));
+    assert.equal(setProfileField({}, 'selfEmployed', input.value).selfEmployed, selfEmployed);
+  }
+  assert.deepEqual(findInput(buildProfileCard({}, 'es'), 'selfEmployed').choices.map(choice => choice.title), ['Sin indicar', 'Sí', 'No']);
+});
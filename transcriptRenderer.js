@@ -0,0 +1,272 @@
+// Conversation transcript rendering
+// Renders a stored conversation history as Markdown, HTML or PDF
+// Standalone so it can be used by the /export command and by other callers such as an admin API
+const PDFDocument = require('pdfkit');
+const { marked } = require('marked');
+const { formatCitationsAsMarkdown } = require('./citations');
+const { DEFAULT_LANGUAGE, translate } = require('./localization');
+
+// Supported export formats
+const TRANSCRIPT_FORMATS = {
+  "MARKDOWN": "markdown",
+  "HTML": "html",
+  "PDF": "pdf"
+};
+
+// File details for each format
+const FORMAT_DETAILS = {
+  markdown: { extension: 'md', contentType: 'text/markdown' },
+  html: { extension: 'html', contentType: 'text/html' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+/**
+ * Format a timestamp for display in the transcript
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} [timezone] - IANA timezone, defaults to the server timezone
+ * @param {string} [language] - The user's language code
+ * @returns {string} - The formatted date and time, or an empty string if there is no timestamp
+ */
+function formatTimestamp(timestamp, timezone, language = DEFAULT_LANGUAGE) {
+  if (!timestamp) {
+    return '';
+  }
+  return new Date(timestamp).toLocaleString(language, {
+    dateStyle: 'long',
+    timeStyle: 'short',
+    timeZone: timezone
+  });
+}
+
+/**
+ * Get the plain text of a history message
+ * @param {Object} message - Message object with role and content
+ * @returns {string} - The message text
+ */
+function getMessageText(message) {
+  return (message.content || [])
+    .filter(content => content.type === 'input_text' || content.type === 'output_text')
+    .map(content => content.text)
+    .join('\n\n');
+}
+
+/**
+ * Get the line saying when the transcript was exported
+ * @param {Object} options - { timezone, exportedAt, language }
+ * @returns {string} - e.g. "Exported March 1, 2025 at 9:00 AM"
+ */
+function formatExported(options) {
+  const time = formatTimestamp(options.exportedAt || new Date().toISOString(), options.timezone, options.language);
+  return translate(options.language, 'transcript.exported', { time: time });
+}
+
+/**
+ * Turn the stored history into transcript entries
+ * @param {Array} history - Conversation history array
+ * @param {Object} options - { timezone, language } used to format speakers, timestamps and sources
+ * @returns {Array<Object>} - Entries with heading, text and Markdown source list
+ */
+function toTranscriptEntries(history, options) {
+  const language = options.language;
+  return history.map(message => {
+    let speaker;
+    if (message.isSummary) {
+      speaker = translate(language, 'transcript.summary');
+    } else if (message.role === 'assistant') {
+      speaker = translate(language, 'transcript.assistant');
+    } else {
+      speaker = message.speaker ? message.speaker.name : translate(language, 'transcript.you');
+    }
+
+    const time = formatTimestamp(message.timestamp, options.timezone, language);
+    return {
+      heading: time ? `${speaker} (${time})` : speaker,
+      role: message.role,
+      text: getMessageText(message),
+      sources: formatCitationsAsMarkdown(message.citations, language)
+    };
+  });
+}
+
+/**
+ * Render a transcript as Markdown
+ * @param {Array} history - Conversation history array
+ * @param {Object} options - { disclaimer, timezone, exportedAt, language }
+ * @returns {string} - The Markdown transcript
+ */
+function renderMarkdown(history, options = {}) {
+  const parts = [
+    `# ${translate(options.language, 'transcript.title')}`,
+    formatExported(options)
+  ];
+
+  if (options.disclaimer) {
+    parts.push(`> ${options.disclaimer}`);
+  }
+  parts.push('---');
+
+  for (const entry of toTranscriptEntries(history, options)) {
+    parts.push(`## ${entry.heading}`);
+    parts.push(entry.text);
+    if (entry.sources) {
+      parts.push(entry.sources);
+    }
+  }
+
+  return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Escape text for inclusion in HTML
+ * @param {string} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Convert Markdown to HTML, escaping any raw HTML in the source
+ * @param {string} markdown - The Markdown text
+ * @returns {string} - The HTML
+ */
+function markdownToHtml(markdown) {
+  const escapedMarkdown = markdown.replace(/</g, '&lt;');
+  return marked.parse(escapedMarkdown);
+}
+
+/**
+ * Render a transcript as a standalone HTML document
+ * @param {Array} history - Conversation history array
+ * @param {Object} options - { disclaimer, timezone, exportedAt, language }
+ * @returns {string} - The HTML transcript
+ */
+function renderHtml(history, options = {}) {
+  const title = translate(options.language, 'transcript.title');
+  const entries = toTranscriptEntries(history, options).map(entry => `
+    <section class="message ${entry.role === 'assistant' ? 'assistant' : 'user'}">
+      <h2>${escapeHtml(entry.heading)}</h2>
+      ${markdownToHtml(entry.text)}
+      ${entry.sources ? `<div class="sources">${markdownToHtml(entry.sources)}</div>` : ''}
+    </section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(options.language || DEFAULT_LANGUAGE)}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: "Segoe UI", Arial, sans-serif; max-width: 800px; margin: 2em auto; color: #242424; line-height: 1.5; }
+    .disclaimer { border-left: 4px solid #27b2d8; padding: 0.5em 1em; background: #f5f5f5; font-size: 0.9em; }
+    .message { border-top: 1px solid #e0e0e0; padding-top: 0.5em; }
+    .message h2 { font-size: 1em; color: #616161; }
+    .assistant h2 { color: #27b2d8; }
+    .sources { font-size: 0.9em; color: #616161; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(formatExported(options))}</p>
+  ${options.disclaimer ? `<div class="disclaimer">${markdownToHtml(options.disclaimer)}</div>` : ''}
+  ${entries}
+</body>
+</html>
+`;
+}
+
+/**
+ * Strip Markdown formatting for plain-text output
+ * @param {string} markdown - The Markdown text
+ * @returns {string} - The text without Markdown syntax, links written as "title (url)"
+ */
+function stripMarkdown(markdown) {
+  return markdown
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/(\*\*|__)(.*?)\1/g, '$2')
+    .replace(/(\*|_)(.*?)\1/g, '$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^\s*[-*]\s+/gm, '• ');
+}
+
+/**
+ * Render a transcript as a PDF document
+ * @param {Array} history - Conversation history array
+ * @param {Object} options - { disclaimer, timezone, exportedAt, language }
+ * @returns {Promise<Buffer>} - The PDF file contents
+ */
+function renderPdf(history, options = {}) {
+  const title = translate(options.language, 'transcript.title');
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 54, info: { Title: title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(16).text(title);
+    doc.font('Helvetica').fontSize(9).fillColor('#616161').text(formatExported(options));
+    doc.moveDown();
+
+    if (options.disclaimer) {
+      doc.fontSize(8).text(stripMarkdown(options.disclaimer));
+      doc.moveDown();
+    }
+
+    for (const entry of toTranscriptEntries(history, options)) {
+      doc.font('Helvetica-Bold').fontSize(10)
+        .fillColor(entry.role === 'assistant' ? '#1a7a96' : '#242424')
+        .text(entry.heading);
+      doc.font('Helvetica').fontSize(10).fillColor('#242424').text(stripMarkdown(entry.text));
+      if (entry.sources) {
+        doc.moveDown(0.5);
+        doc.fontSize(8).fillColor('#616161').text(stripMarkdown(entry.sources));
+      }
+      doc.moveDown();
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Render a transcript in the requested format
+ * @param {Array} history - Conversation history array
+ * @param {string} format - One of TRANSCRIPT_FORMATS
+ * @param {Object} [options] - { disclaimer, timezone, exportedAt, language }
+ * @returns {Promise<Object>} - { buffer, contentType, extension }
+ */
+async function renderTranscript(history, format, options = {}) {
+  const details = FORMAT_DETAILS[format];
+  if (!details) {
+    throw new Error(`Unsupported transcript format "${format}". Expected one of: ${Object.values(TRANSCRIPT_FORMATS).join(', ')}`);
+  }
+
+  let buffer;
+  if (format === TRANSCRIPT_FORMATS.PDF) {
+    buffer = await renderPdf(history, options);
+  } else if (format === TRANSCRIPT_FORMATS.HTML) {
+    buffer = Buffer.from(renderHtml(history, options), 'utf8');
+  } else {
+    buffer = Buffer.from(renderMarkdown(history, options), 'utf8');
+  }
+
+  return {
+    buffer: buffer,
+    contentType: details.contentType,
+    extension: details.extension
+  };
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  renderTranscript,
+  renderMarkdown,
+  renderHtml,
+  renderPdf
+};
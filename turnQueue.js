@@ -0,0 +1,288 @@
+// Per-conversation turn queue
+// Messages in the same conversation are handled one at a time, in the order they arrived, so two quick
+// messages don't both answer from the same history. A lock provider extends this across instances of the
+// bot. Depending on the coalescing policy, quick follow-up questions are answered together in one model call.
+const crypto = require('crypto');
+const path = require('path');
+const storageService = require('./storageService');
+const { STORAGE_ERROR_CODES } = require('./storageAdapters/storageError');
+
+// How follow-up questions are combined:
+// - off: every message is answered on its own
+// - queued: questions that arrive while an earlier turn is running are answered together when it finishes
+// - window: like queued, and each question also waits TURN_COALESCE_WINDOW_MS for follow-ups before it's answered
+const COALESCE_POLICIES = {
+  OFF: 'off',
+  QUEUED: 'queued',
+  WINDOW: 'window'
+};
+
+const DEFAULT_COALESCE_WINDOW_MS = 2000;
+
+// Conversation locks held by the storage lock provider expire after this long unless renewed, so a crashed
+// instance doesn't block a conversation forever
+const DEFAULT_LOCK_TTL_SECONDS = 120;
+const LOCK_POLL_MS = 250;
+const LOCK_PREFIX = 'locks/';
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Lock provider that keeps conversation locks as records in the storage backend
+ * Locks are taken with conditional writes, so every instance sharing the storage sees the same locks
+ */
+class StorageLockProvider {
+  /**
+   * @param {number} ttlSeconds - How long a lock lasts without being renewed
+   */
+  constructor(ttlSeconds) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.owner = crypto.randomUUID();
+  }
+
+  /**
+   * Take the lock for a conversation, waiting for another instance to release it
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Function>} - Releases the lock
+   */
+  async acquire(conversationId) {
+    const name = `${LOCK_PREFIX}${conversationId}`;
+    for (;;) {
+      const { data, eTag } = await storageService.loadRecordWithETag(name);
+      if (!data || data.expiresAt < Date.now()) {
+        try {
+          let lockETag = await storageService.saveRecord(name, this.createLock(conversationId), { eTag: eTag });
+          const renewal = setInterval(async () => {
+            try {
+              lockETag = await storageService.saveRecord(name, this.createLock(conversationId), { eTag: lockETag });
+            } catch (error) {
+              console.error(`Error renewing the turn lock for ${conversationId}: `, error);
+            }
+          }, this.ttlMs / 2);
+          renewal.unref();
+
+          return async () => {
+            clearInterval(renewal);
+            await this.release(name);
+          };
+        } catch (error) {
+          if (error.code !== STORAGE_ERROR_CODES.PRECONDITION_FAILED) {
+            throw error;
+          }
+          // Another instance took the lock first
+        }
+      }
+      await sleep(LOCK_POLL_MS);
+    }
+  }
+
+  /**
+   * Create the lock record
+   * @param {string} conversationId - The conversation ID
+   * @returns {Object} - The lock record
+   */
+  createLock(conversationId) {
+    return { conversationId: conversationId, owner: this.owner, expiresAt: Date.now() + this.ttlMs };
+  }
+
+  /**
+   * Release a lock, unless it expired and another instance has taken it since
+   * The delete is conditional, so a lock another instance takes between the load and the delete is kept
+   * @param {string} name - The lock record name
+   */
+  async release(name) {
+    for (;;) {
+      const { data, eTag } = await storageService.loadRecordWithETag(name);
+      if (!data || data.owner !== this.owner) {
+        return;
+      }
+      try {
+        await storageService.deleteRecord(name, { eTag: eTag });
+        return;
+      } catch (error) {
+        if (error.code !== STORAGE_ERROR_CODES.PRECONDITION_FAILED) {
+          throw error;
+        }
+        // The lock changed since it was loaded, check who holds it now
+      }
+    }
+  }
+}
+
+/**
+ * Load the lock provider from configuration
+ * TURN_LOCK_PROVIDER is "memory" (the default, for a single instance), "storage" for locks in the storage
+ * backend, or a module exporting an acquire(conversationId) function that resolves to a release function
+ * @returns {Object|null} - The lock provider, or null if turns are only serialized within this instance
+ */
+function loadLockProvider() {
+  const configured = (process.env.TURN_LOCK_PROVIDER || 'memory').trim();
+  if (configured === 'memory') {
+    return null;
+  }
+  if (configured === 'storage') {
+    const ttlSeconds = parseFloat(process.env.TURN_LOCK_TTL_SECONDS) || DEFAULT_LOCK_TTL_SECONDS;
+    console.log(`Turn locks: kept in storage (expire after ${ttlSeconds} seconds)`);
+    return new StorageLockProvider(ttlSeconds);
+  }
+
+  const provider = require(path.resolve(configured));
+  if (typeof provider.acquire !== 'function') {
+    throw new Error(`${configured} must export an acquire function`);
+  }
+  console.log(`Turn locks: using the lock provider in ${configured}`);
+  return provider;
+}
+
+/**
+ * Load the coalescing policy from configuration
+ * @returns {string} - One of COALESCE_POLICIES
+ */
+function loadCoalescePolicy() {
+  const policy = (process.env.TURN_COALESCE_POLICY || COALESCE_POLICIES.OFF).trim().toLowerCase();
+  if (!Object.values(COALESCE_POLICIES).includes(policy)) {
+    throw new Error(`Unknown TURN_COALESCE_POLICY "${policy}". Use ${Object.values(COALESCE_POLICIES).join(', ')}.`);
+  }
+  return policy;
+}
+
+class TurnQueue {
+  /**
+   * @param {Object} [options] - { lockProvider, coalescePolicy, coalesceWindowMs }, read from configuration by default
+   */
+  constructor(options = {}) {
+    this.lockProvider = options.lockProvider !== undefined ? options.lockProvider : loadLockProvider();
+    this.coalescePolicy = options.coalescePolicy || loadCoalescePolicy();
+    this.coalesceWindowMs = options.coalesceWindowMs !== undefined
+      ? options.coalesceWindowMs
+      : parseInt(process.env.TURN_COALESCE_WINDOW_MS, 10) || DEFAULT_COALESCE_WINDOW_MS;
+
+    // Turns waiting or running, by conversation; the first turn in each queue is the one running
+    this.queues = new Map();
+  }
+
+  /**
+   * Run a turn once the earlier turns in its conversation are done
+   * A message with a coalesce key can be combined with the questions that follow it if they have the same key
+   * (the same user), in which case the handler receives all their texts and the follow-up turns aren't run
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} message - { text, coalesceKey } where coalesceKey is null for messages that can't be combined
+   * @param {Function} handler - Handles the turn; receives the texts of this message and any follow-ups combined with it
+   * @returns {Promise<boolean>} - True if the handler ran, false if the message was combined into an earlier turn
+   */
+  run(conversationId, message, handler) {
+    return new Promise((resolve, reject) => {
+      const turn = { message: message, handler: handler, resolve: resolve, reject: reject, arrivedAt: Date.now() };
+      let queue = this.queues.get(conversationId);
+      if (!queue) {
+        queue = [];
+        this.queues.set(conversationId, queue);
+      }
+      queue.push(turn);
+      if (queue.length > 1) {
+        console.log(`Queued a message in ${conversationId} behind ${queue.length - 1} earlier turn(s)`);
+      } else {
+        this.processQueue(conversationId, queue);
+      }
+    });
+  }
+
+  /**
+   * Run the turns of a conversation one at a time until its queue is empty
+   * @param {string} conversationId - The conversation ID
+   * @param {Array<Object>} queue - The conversation's turns
+   */
+  async processQueue(conversationId, queue) {
+    while (queue.length > 0) {
+      const turn = queue[0];
+      let followUps = [];
+      try {
+        if (this.coalescePolicy === COALESCE_POLICIES.WINDOW && turn.message.coalesceKey) {
+          await this.waitForFollowUps(queue);
+        }
+
+        const release = this.lockProvider ? await this.lockProvider.acquire(conversationId) : null;
+        try {
+          followUps = this.takeFollowUps(queue);
+          if (followUps.length > 0) {
+            console.log(`Answering ${followUps.length + 1} messages in ${conversationId} together`);
+          }
+          await turn.handler([turn, ...followUps].map(item => item.message.text));
+        } finally {
+          if (release) {
+            // A lock that can't be released expires on its own
+            await Promise.resolve(release()).catch(error => console.error(`Error releasing the turn lock for ${conversationId}: `, error));
+          }
+        }
+        turn.resolve(true);
+      } catch (error) {
+        turn.reject(error);
+      }
+
+      // Combined follow-ups were answered by this turn, even if it failed
+      followUps.forEach(followUp => followUp.resolve(false));
+      queue.shift();
+    }
+    this.queues.delete(conversationId);
+  }
+
+  /**
+   * Wait until no follow-up question has arrived for the coalescing window
+   * @param {Array<Object>} queue - The conversation's turns, starting with the one about to run
+   */
+  async waitForFollowUps(queue) {
+    for (;;) {
+      const followUps = this.getFollowUps(queue);
+      const last = followUps.length > 0 ? followUps[followUps.length - 1] : queue[0];
+      const remaining = last.arrivedAt + this.coalesceWindowMs - Date.now();
+      if (remaining <= 0) {
+        return;
+      }
+      await sleep(remaining);
+    }
+  }
+
+  /**
+   * Get the queued turns that can be combined with the first turn: the questions directly after it from the same user
+   * @param {Array<Object>} queue - The conversation's turns
+   * @returns {Array<Object>} - The follow-up turns
+   */
+  getFollowUps(queue) {
+    const coalesceKey = queue[0].message.coalesceKey;
+    if (this.coalescePolicy === COALESCE_POLICIES.OFF || !coalesceKey) {
+      return [];
+    }
+    const followUps = [];
+    for (const turn of queue.slice(1)) {
+      if (turn.message.coalesceKey !== coalesceKey) {
+        break;
+      }
+      followUps.push(turn);
+    }
+    return followUps;
+  }
+
+  /**
+   * Remove the follow-up turns combined with the first turn from the queue
+   * @param {Array<Object>} queue - The conversation's turns
+   * @returns {Array<Object>} - The follow-up turns
+   */
+  takeFollowUps(queue) {
+    const followUps = this.getFollowUps(queue);
+    queue.splice(1, followUps.length);
+    return followUps;
+  }
+}
+
+module.exports = {
+  COALESCE_POLICIES,
+  StorageLockProvider,
+  TurnQueue
+};
@@ -0,0 +1,49 @@
+// This script regenerates the bot command list in appPackage/manifest.json from the command registry
+// Run it after adding or changing a command module in the commands directory
+const fs = require('fs');
+const path = require('path');
+const commands = require('./commands');
+
+// Teams allows at most 10 commands per command list
+const MAX_MANIFEST_COMMANDS = 10;
+
+// Commands in the order they are listed in Teams, most useful first; commands missing here come last, alphabetically.
+// Only the first MAX_MANIFEST_COMMANDS are listed, the rest can still be typed and are shown by /help
+const MANIFEST_COMMAND_PRIORITY = ['help', 'restart', 'year', 'profile', 'documents', 'remind', 'export', 'usage', 'language', 'forget-me', 'history'];
+
+/**
+ * Get a command's position in the manifest list
+ * @param {Object} manifestCommand - A command from toManifestCommands
+ * @returns {number} - Its index in MANIFEST_COMMAND_PRIORITY, or the length of the list if it isn't in it
+ */
+function getPriority(manifestCommand) {
+  const index = MANIFEST_COMMAND_PRIORITY.indexOf(manifestCommand.title.slice(1));
+  return index === -1 ? MANIFEST_COMMAND_PRIORITY.length : index;
+}
+
+const manifestPath = path.join(__dirname, 'appPackage', 'manifest.json');
+
+function updateManifestCommands() {
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  // The sort is stable, so commands with the same priority keep the registry's alphabetical order
+  const manifestCommands = commands.toManifestCommands().sort((a, b) => getPriority(a) - getPriority(b));
+
+  const dropped = manifestCommands.slice(MAX_MANIFEST_COMMANDS);
+  if (dropped.length > 0) {
+    console.warn(`Teams only shows ${MAX_MANIFEST_COMMANDS} commands per list, so ${dropped.map(command => command.title).join(', ')} will be left out of the manifest. Change MANIFEST_COMMAND_PRIORITY in updateManifestCommands.js to choose which commands are listed.`);
+  }
+
+  for (const bot of manifest.bots) {
+    bot.commandLists = [
+      {
+        scopes: bot.scopes,
+        commands: manifestCommands.slice(0, MAX_MANIFEST_COMMANDS)
+      }
+    ];
+  }
+
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 4) + '\n');
+  console.log(`Updated ${manifestPath} with ${Math.min(manifestCommands.length, MAX_MANIFEST_COMMANDS)} commands`);
+}
+
+updateManifestCommands();
@@ -0,0 +1,281 @@
+// Token usage and cost accounting
+// Records the tokens each user and conversation consumes, converts them to an estimated cost with a
+// configurable price table and checks them against daily and monthly per-user quotas
+const fs = require('fs');
+const storageService = require('./storageService');
+const { hashIdentifier } = require('./piiRedactor');
+
+// Default prices in USD per 1M tokens; override with USAGE_PRICE_TABLE_FILE when prices change
+const DEFAULT_PRICE_TABLE = {
+  'gpt-4.1': { input: 2.00, cachedInput: 0.50, output: 8.00 },
+  'gpt-4.1-mini': { input: 0.40, cachedInput: 0.10, output: 1.60 }
+};
+
+// Per-user quotas in estimated USD; unset means unlimited
+const DAILY_QUOTA = parseFloat(process.env.USAGE_DAILY_QUOTA_USD) || null;
+const MONTHLY_QUOTA = parseFloat(process.env.USAGE_MONTHLY_QUOTA_USD) || null;
+
+// Quota counters are kept under a keyed hash of the user ID rather than the ID itself, so they can outlive
+// /forget-me without being linked back to the user; otherwise deleting your data would reset your quota
+const QUOTA_PREFIX = 'usage/quotas/';
+
+/**
+ * Load the price table, merging the file named by USAGE_PRICE_TABLE_FILE over the defaults
+ * The file maps model names to { input, cachedInput, output } prices in USD per 1M tokens
+ * @returns {Object} - The price table
+ */
+function loadPriceTable() {
+  const priceFile = process.env.USAGE_PRICE_TABLE_FILE;
+  if (!priceFile) {
+    return DEFAULT_PRICE_TABLE;
+  }
+
+  const prices = JSON.parse(fs.readFileSync(priceFile, 'utf8'));
+  for (const [model, price] of Object.entries(prices)) {
+    if (!['input', 'output'].every(field => typeof price[field] === 'number' && price[field] >= 0)) {
+      throw new Error(`Price for ${model} in ${priceFile} needs numeric input and output prices`);
+    }
+  }
+  console.log(`Loaded usage prices for ${Object.keys(prices).join(', ')} from ${priceFile}`);
+  return { ...DEFAULT_PRICE_TABLE, ...prices };
+}
+
+const PRICE_TABLE = loadPriceTable();
+const warnedModels = new Set();
+
+/**
+ * Estimate the cost of a model call
+ * @param {Object} usage - { model, inputTokens, cachedInputTokens, outputTokens }
+ * @returns {number} - The estimated cost in USD, 0 if the model has no price
+ */
+function estimateCost(usage) {
+  const price = PRICE_TABLE[usage.model];
+  if (!price) {
+    if (!warnedModels.has(usage.model)) {
+      console.warn(`No price configured for model ${usage.model}, its usage is counted at no cost`);
+      warnedModels.add(usage.model);
+    }
+    return 0;
+  }
+
+  const cachedInputTokens = usage.cachedInputTokens || 0;
+  const cachedPrice = price.cachedInput !== undefined ? price.cachedInput : price.input;
+  return ((usage.inputTokens - cachedInputTokens) * price.input +
+    cachedInputTokens * cachedPrice +
+    usage.outputTokens * price.output) / 1000000;
+}
+
+/**
+ * Normalize the usage reported by the Responses API
+ * @param {string} model - The model name
+ * @param {Object} usage - The response's usage object
+ * @returns {Object|null} - { model, inputTokens, cachedInputTokens, outputTokens }, or null if no usage was reported
+ */
+function fromResponseUsage(model, usage) {
+  if (!usage) {
+    return null;
+  }
+  return {
+    model: model,
+    inputTokens: usage.input_tokens || 0,
+    cachedInputTokens: (usage.input_tokens_details && usage.input_tokens_details.cached_tokens) || 0,
+    outputTokens: usage.output_tokens || 0
+  };
+}
+
+/**
+ * Normalize the usage reported by the Chat Completions API (used through Instructor)
+ * @param {string} model - The model name
+ * @param {Object} usage - The completion's usage object
+ * @returns {Object|null} - { model, inputTokens, cachedInputTokens, outputTokens }, or null if no usage was reported
+ */
+function fromChatCompletionUsage(model, usage) {
+  if (!usage) {
+    return null;
+  }
+  return {
+    model: model,
+    inputTokens: usage.prompt_tokens || 0,
+    cachedInputTokens: (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) || 0,
+    outputTokens: usage.completion_tokens || 0
+  };
+}
+
+/**
+ * Get the date in the bot's timezone as YYYY-MM-DD
+ * @param {Date} [date] - The date
+ * @returns {string} - The date string
+ */
+function getDay(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    timeZone: process.env.BOT_TIMEZONE
+  }).format(date);
+}
+
+/**
+ * Create an empty usage total
+ * @returns {Object} - Totals with zero requests, tokens and cost
+ */
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, cachedInputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+/**
+ * Add model calls to a usage total
+ * @param {Object} totals - The totals to update (missing totals start at zero)
+ * @param {Array<Object>} entries - Normalized usage entries
+ * @returns {Object} - The updated totals
+ */
+function addToTotals(totals, entries) {
+  const updated = { ...emptyTotals(), ...totals };
+  updated.requests += 1;
+  for (const entry of entries) {
+    updated.inputTokens += entry.inputTokens;
+    updated.cachedInputTokens += entry.cachedInputTokens;
+    updated.outputTokens += entry.outputTokens;
+    updated.cost += estimateCost(entry);
+  }
+  return updated;
+}
+
+/**
+ * Get the name of a user's anonymized quota counter for a month
+ * @param {string} userId - The user ID
+ * @param {string} month - The month as YYYY-MM
+ * @returns {string} - The record name
+ */
+function getQuotaRecordName(userId, month) {
+  return `${QUOTA_PREFIX}${hashIdentifier('user', userId)}/${month}`;
+}
+
+/**
+ * Record the model calls made to answer one message
+ * @param {Object} details - { userId, conversationId, entries, estimated } where entries are normalized usage
+ *   entries and estimated holds the tiktoken counts { systemTokens, historyTokens, userTokens, responseTokens }
+ */
+async function recordUsage({ userId, conversationId, entries, estimated }) {
+  const validEntries = entries.filter(Boolean);
+  const now = new Date();
+  const day = getDay(now);
+  const month = day.slice(0, 7);
+
+  // Per-user usage, one record per month with daily breakdowns for quotas
+  await storageService.updateRecord(`usage/users/${userId}/${month}`, () => ({ userId: userId, month: month, totals: emptyTotals(), days: {} }), userUsage => {
+    userUsage.totals = addToTotals(userUsage.totals, validEntries);
+    userUsage.days[day] = addToTotals(userUsage.days[day], validEntries);
+    userUsage.updatedAt = now.toISOString();
+  });
+
+  // Anonymized cost counter for the quotas, kept until the month is over
+  const cost = validEntries.reduce((total, entry) => total + estimateCost(entry), 0);
+  await storageService.updateRecord(getQuotaRecordName(userId, month), () => ({ month: month, cost: 0, days: {} }), quotaUsage => {
+    quotaUsage.cost += cost;
+    quotaUsage.days[day] = (quotaUsage.days[day] || 0) + cost;
+  });
+
+  // Per-conversation usage, with totals by model and the local token estimates
+  await storageService.updateRecord(`usage/conversations/${conversationId}`, () => ({ conversationId: conversationId, totals: emptyTotals(), models: {}, estimated: {} }), conversationUsage => {
+    conversationUsage.totals = addToTotals(conversationUsage.totals, validEntries);
+    for (const model of new Set(validEntries.map(entry => entry.model))) {
+      conversationUsage.models[model] = addToTotals(conversationUsage.models[model], validEntries.filter(entry => entry.model === model));
+    }
+    for (const [field, tokens] of Object.entries(estimated || {})) {
+      conversationUsage.estimated[field] = (conversationUsage.estimated[field] || 0) + tokens;
+    }
+    conversationUsage.updatedAt = now.toISOString();
+  });
+}
+
+/**
+ * Get a user's usage for today and this month
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - { today, month } totals
+ */
+async function getUserUsage(userId) {
+  const day = getDay();
+  const userUsage = await storageService.loadRecord(`usage/users/${userId}/${day.slice(0, 7)}`);
+  return {
+    today: (userUsage && userUsage.days[day]) || emptyTotals(),
+    month: (userUsage && userUsage.totals) || emptyTotals()
+  };
+}
+
+/**
+ * Get a conversation's usage
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The conversation usage record, or null if none is recorded
+ */
+async function getConversationUsage(conversationId) {
+  return storageService.loadRecord(`usage/conversations/${conversationId}`);
+}
+
+/**
+ * Get the configured per-user quotas
+ * @returns {Object} - { daily, monthly } in USD, null when unlimited
+ */
+function getQuotas() {
+  return { daily: DAILY_QUOTA, monthly: MONTHLY_QUOTA };
+}
+
+/**
+ * Check whether a user has used up their daily or monthly quota
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - { period: 'daily' | 'monthly', limit, used } for the exceeded quota, or null if within quota
+ */
+async function checkQuota(userId) {
+  if (!DAILY_QUOTA && !MONTHLY_QUOTA) {
+    return null;
+  }
+
+  const day = getDay();
+  const quotaUsage = (await storageService.loadRecord(getQuotaRecordName(userId, day.slice(0, 7)))) || { cost: 0, days: {} };
+  const today = quotaUsage.days[day] || 0;
+  if (MONTHLY_QUOTA && quotaUsage.cost >= MONTHLY_QUOTA) {
+    return { period: 'monthly', limit: MONTHLY_QUOTA, used: quotaUsage.cost };
+  }
+  if (DAILY_QUOTA && today >= DAILY_QUOTA) {
+    return { period: 'daily', limit: DAILY_QUOTA, used: today };
+  }
+  return null;
+}
+
+/**
+ * Delete the quota counters of months before the current one
+ * @param {Date} [now] - The current time
+ * @returns {Promise<number>} - The number of counters deleted
+ */
+async function purgeQuotaCounters(now = new Date()) {
+  const month = getDay(now).slice(0, 7);
+  let deleted = 0;
+  for (const name of await storageService.listRecords(QUOTA_PREFIX)) {
+    if (name.slice(name.lastIndexOf('/') + 1) < month && (await storageService.deleteRecord(name))) {
+      deleted++;
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Format a cost for display
+ * @param {number} cost - The cost in USD
+ * @returns {string} - e.g. "$0.0123"
+ */
+function formatCost(cost) {
+  return `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+module.exports = {
+  estimateCost,
+  fromResponseUsage,
+  fromChatCompletionUsage,
+  recordUsage,
+  getUserUsage,
+  getConversationUsage,
+  getQuotas,
+  checkQuota,
+  purgeQuotaCounters,
+  formatCost
+};
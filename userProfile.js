@@ -0,0 +1,246 @@
+// Taxpayer profile
+// A per-user profile (filing status, state, tax year, self-employment) that is injected into the system message
+// so users don't have to re-explain their situation in every conversation
+const { FILING_STATUSES } = require('./taxTables');
+const { MIN_TAX_YEAR, parseTaxYear } = require('./taxYear');
+const { DEFAULT_LANGUAGE, translate, LocalizedError } = require('./localization');
+
+// U.S. states, DC and territories by postal code
+const STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming', AS: 'American Samoa',
+  GU: 'Guam', MP: 'Northern Mariana Islands', PR: 'Puerto Rico', VI: 'U.S. Virgin Islands'
+};
+
+/**
+ * Parse a filing status from user input
+ * Accepts the stored value, the display name or common abbreviations (e.g. "mfj", "hoh")
+ * @param {string} value - The user input
+ * @returns {string} - One of FILING_STATUSES
+ */
+function parseFilingStatus(value) {
+  const normalized = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const abbreviations = {
+    mfj: FILING_STATUSES.MARRIED_FILING_JOINTLY,
+    mfs: FILING_STATUSES.MARRIED_FILING_SEPARATELY,
+    hoh: FILING_STATUSES.HEAD_OF_HOUSEHOLD,
+    qss: FILING_STATUSES.QUALIFYING_SURVIVING_SPOUSE,
+    qw: FILING_STATUSES.QUALIFYING_SURVIVING_SPOUSE
+  };
+
+  const filingStatus = abbreviations[normalized] || normalized;
+  if (!Object.values(FILING_STATUSES).includes(filingStatus)) {
+    throw new LocalizedError('profile.errors.invalidFilingStatus', { value: value });
+  }
+  return filingStatus;
+}
+
+/**
+ * Parse a state of residence from user input
+ * @param {string} value - A postal code (e.g. "CA") or state name (e.g. "California")
+ * @returns {string} - The two-letter postal code
+ */
+function parseState(value) {
+  const normalized = String(value).trim();
+  const code = normalized.toUpperCase();
+  if (STATES[code]) {
+    return code;
+  }
+
+  const match = Object.keys(STATES).find(key => STATES[key].toLowerCase() === normalized.toLowerCase());
+  if (!match) {
+    throw new LocalizedError('profile.errors.invalidState', { value: value });
+  }
+  return match;
+}
+
+/**
+ * Parse a yes/no answer from user input
+ * @param {string|boolean} value - The user input
+ * @returns {boolean} - The parsed answer
+ */
+function parseYesNo(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+  if (['yes', 'y', 'true'].includes(normalized)) {
+    return true;
+  }
+  if (['no', 'n', 'false'].includes(normalized)) {
+    return false;
+  }
+  throw new LocalizedError('profile.errors.invalidYesNo', { value: value });
+}
+
+// Profile fields with their aliases, parser and display format
+// Field labels are in the resource bundles under profile.fields
+const PROFILE_FIELDS = {
+  filingStatus: {
+    aliases: ['filing_status', 'filingstatus', 'status'],
+    parse: parseFilingStatus,
+    format: (value, language) => translate(language, `profile.filingStatuses.${value}`)
+  },
+  state: {
+    aliases: ['state', 'residence'],
+    parse: parseState,
+    format: value => `${STATES[value]} (${value})`
+  },
+  taxYear: {
+    aliases: ['tax_year', 'taxyear', 'year'],
+    parse: parseTaxYear,
+    format: value => String(value)
+  },
+  selfEmployed: {
+    aliases: ['self_employed', 'selfemployed', 'self-employed'],
+    parse: parseYesNo,
+    format: (value, language) => translate(language, value ? 'profile.yes' : 'profile.no')
+  }
+};
+
+/**
+ * Find the profile field a user-supplied name refers to
+ * @param {string} name - The field name or alias (e.g. "filing_status", "state")
+ * @returns {string|null} - The profile field key, or null if unknown
+ */
+function findProfileField(name) {
+  const normalized = String(name).trim().toLowerCase();
+  return Object.keys(PROFILE_FIELDS).find(key =>
+    key.toLowerCase() === normalized || PROFILE_FIELDS[key].aliases.includes(normalized)
+  ) || null;
+}
+
+/**
+ * Set a single profile field from user input, validating the value
+ * @param {Object} profile - The current profile
+ * @param {string} name - The field name or alias
+ * @param {string} value - The new value, or an empty value to clear the field
+ * @returns {Object} - The updated profile
+ */
+function setProfileField(profile, name, value) {
+  const field = findProfileField(name);
+  if (!field) {
+    throw new LocalizedError('profile.errors.unknownField', { name: name });
+  }
+
+  const updated = { ...profile };
+  if (value === undefined || value === null || String(value).trim() === '') {
+    delete updated[field];
+  } else {
+    updated[field] = PROFILE_FIELDS[field].parse(value);
+  }
+  updated.updatedAt = new Date().toISOString();
+  return updated;
+}
+
+/**
+ * Check whether a profile has any fields set
+ * @param {Object} profile - The taxpayer profile
+ * @returns {boolean} - True if at least one field is set
+ */
+function hasProfile(profile) {
+  return !!profile && Object.keys(PROFILE_FIELDS).some(field => profile[field] !== undefined);
+}
+
+/**
+ * Format a profile as a Markdown bullet list
+ * @param {Object} profile - The taxpayer profile
+ * @param {string} [language] - The language code, English for the system message
+ * @returns {string} - One bullet per field that is set
+ */
+function formatProfile(profile, language = DEFAULT_LANGUAGE) {
+  return Object.keys(PROFILE_FIELDS)
+    .filter(field => profile[field] !== undefined)
+    .map(field => `- ${translate(language, `profile.fields.${field}`)}: ${PROFILE_FIELDS[field].format(profile[field], language)}`)
+    .join('\n');
+}
+
+/**
+ * Build the system message section describing the user's profile
+ * @param {Object} profile - The taxpayer profile
+ * @returns {string} - The section to append to the system message, or an empty string if there is no profile
+ */
+function buildProfilePrompt(profile) {
+  if (!hasProfile(profile)) {
+    return '';
+  }
+  return `**Taxpayer profile:** The user saved the following details about their tax situation. Use them when answering, unless the user says something different in the conversation:\n${formatProfile(profile)}`;
+}
+
+/**
+ * Build an Adaptive Card form for viewing and editing the profile
+ * Submitting the card sends { command: 'profile', action: 'save', ...inputs } back to the bot
+ * @param {Object} profile - The current taxpayer profile
+ * @param {string} [language] - The user's language code
+ * @returns {Object} - The card attachment
+ */
+function buildProfileCard(profile, language = DEFAULT_LANGUAGE) {
+  return {
+    contentType: 'application/vnd.microsoft.card.adaptive',
+    content: {
+      type: 'AdaptiveCard',
+      $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+      version: '1.5',
+      body: [
+        { type: 'TextBlock', text: translate(language, 'profile.card.title'), weight: 'Bolder', size: 'Medium' },
+        { type: 'TextBlock', text: translate(language, 'profile.card.subtitle'), wrap: true, isSubtle: true },
+        {
+          type: 'Input.ChoiceSet',
+          id: 'filingStatus',
+          label: translate(language, 'profile.fields.filingStatus'),
+          value: profile.filingStatus || '',
+          choices: Object.values(FILING_STATUSES).map(value => ({ title: PROFILE_FIELDS.filingStatus.format(value, language), value: value }))
+        },
+        {
+          type: 'Input.ChoiceSet',
+          id: 'state',
+          label: translate(language, 'profile.fields.state'),
+          value: profile.state || '',
+          choices: Object.keys(STATES).map(code => ({ title: STATES[code], value: code }))
+        },
+        {
+          type: 'Input.Number',
+          id: 'taxYear',
+          label: translate(language, 'profile.fields.taxYear'),
+          value: profile.taxYear,
+          min: MIN_TAX_YEAR,
+          max: new Date().getFullYear() + 1
+        },
+        {
+          // A choice set rather than a toggle, so submitting the card doesn't answer "no" for users who never said
+          type: 'Input.ChoiceSet',
+          id: 'selfEmployed',
+          label: translate(language, 'profile.fields.selfEmployed'),
+          value: profile.selfEmployed === undefined ? '' : String(profile.selfEmployed),
+          choices: [
+            { title: translate(language, 'profile.card.notSet'), value: '' },
+            { title: translate(language, 'profile.yes'), value: 'true' },
+            { title: translate(language, 'profile.no'), value: 'false' }
+          ]
+        }
+      ],
+      actions: [
+        { type: 'Action.Submit', title: translate(language, 'profile.card.save'), data: { command: 'profile', action: 'save' } },
+        { type: 'Action.Submit', title: translate(language, 'profile.card.clear'), data: { command: 'profile', action: 'clear' } }
+      ]
+    }
+  };
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  findProfileField,
+  setProfileField,
+  hasProfile,
+  formatProfile,
+  buildProfilePrompt,
+  buildProfileCard
+};